@@ -0,0 +1,516 @@
+/**
+ * Letter semantic analyzer: builds the scope tree of a Program,
+ * resolves the identifiers to their declarations, and reports the
+ * errors which the grammar alone can't catch.
+ */
+
+const { traverse } = require('./Traverse');
+
+/**
+ * Names defined by the runtime (see the Interpreter's builtins).
+ */
+const DefaultGlobals = ['print'];
+
+/**
+ * Nodes which define a function, with its own scope.
+ */
+const FunctionTypes = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * A named binding: a variable, parameter, function, class or import.
+ */
+class Declaration {
+    constructor(name, kind, node, scope, order = -1) {
+        this.name = name;
+        this.kind = kind; // 'let', 'param', 'catch', 'def', 'class', 'import' or 'global'
+        this.node = node; // the declaring Identifier, null for globals
+        this.scope = scope;
+        this.order = order; // when it is declared in the program, -1 for globals
+        this.references = []; // the Identifiers reading or writing it
+    }
+}
+
+/**
+ * A lexical scope: the global scope, the Program, a block (or a
+ * `catch` clause), a function (or a field initializer) or a class body.
+ */
+class Scope {
+    constructor(type, node, parent) {
+        this.type = type; // 'global', 'program', 'block', 'function' or 'class'
+        this.node = node;
+        this.parent = parent;
+        this.children = [];
+        this.declarations = new Map();
+        if (parent != null) {
+            parent.children.push(this);
+        }
+    }
+
+    /**
+     * Finds a declaration along the scope chain.
+     */
+    lookup(name) {
+        for (let scope = this; scope != null; scope = scope.parent) {
+            if (scope.declarations.has(name)) {
+                return scope.declarations.get(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The closest enclosing scope of a type.
+     */
+    closest(type) {
+        for (let scope = this; scope != null; scope = scope.parent) {
+            if (scope.type === type) {
+                return scope;
+            }
+        }
+        return null;
+    }
+}
+
+class Analyzer {
+
+    /**
+     * Initializes the analyzer.
+     *
+     * Options:
+     *  - globals: names available without a declaration.
+     */
+    constructor(options = {}) {
+        this._globals = options.globals || DefaultGlobals;
+    }
+
+    /**
+     * Analyzes a Program AST. Returns the scope tree, the declarations
+     * and references, and the diagnostics:
+     * `{ severity: 'error' | 'warning', code, message, node, loc }`.
+     */
+    analyze(ast) {
+        this._diagnostics = [];
+        this._declarations = [];
+        this._references = [];
+        this._bindings = new Map(); // Identifier -> Declaration
+        this._order = 0; // of the declarations and references, as they run
+        this._starts = new Map(); // VariableDeclaration -> order of its initializer
+
+        this._globalScope = new Scope('global', null, null);
+        for (const name of this._globals) {
+            this._globalScope.declarations.set(name, new Declaration(name, 'global', null, this._globalScope));
+        }
+        this._scope = this._globalScope;
+
+        traverse(ast, this._visitors());
+
+        // Names aren't hoisted: a reference resolves to the declarations
+        // made before it, or to any from inside a function, which runs
+        // after the scopes around it are declared.
+        for (const reference of this._references) {
+            const name = reference.identifier.name;
+            let declaration = this._visibleDeclaration(reference);
+            if (declaration == null) {
+                declaration = reference.scope.lookup(name);
+                if (declaration == null) {
+                    this._report('warning', 'undeclared', `"${name}" is not declared`, reference.identifier);
+                    continue;
+                }
+                this._report('error', 'use-before-declaration', `"${name}" is used before its declaration`, reference.identifier);
+            }
+            reference.declaration = declaration;
+            declaration.references.push(reference.identifier);
+            this._bindings.set(reference.identifier, declaration);
+        }
+
+        const bindings = this._bindings;
+        return {
+            globalScope: this._globalScope,
+            scope: this._globalScope.children[0],
+            declarations: this._declarations,
+            references: this._references,
+            diagnostics: this._diagnostics.sort(byPosition),
+
+            /**
+             * The declaration of an Identifier, either declaring or
+             * referencing it; null if it is not a variable.
+             */
+            resolve(identifier) {
+                return bindings.get(identifier) || null;
+            },
+        };
+    }
+
+    /**
+     * The traversal hooks, maintaining the current scope.
+     */
+    _visitors() {
+        return {
+            Program: {
+                enter: path => this._enterScope('program', path.node),
+                exit: () => this._exitScope(),
+            },
+
+            BlockStatement: {
+                enter: path => {
+                    // Function and `catch` bodies share the scope of
+                    // their parameters.
+                    if (!this._isBody(path)) {
+                        this._enterScope('block', path.node);
+                    }
+                },
+                exit: path => {
+                    if (!this._isBody(path)) {
+                        this._exitScope();
+                    }
+                },
+            },
+
+            ForStatement: {
+                enter: path => this._enterScope('block', path.node),
+                exit: () => this._exitScope(),
+            },
+
+            // The clauses of a switch share a scope, which the
+            // discriminant is out of.
+            SwitchCase: path => {
+                if (path.index === 0) {
+                    this._enterScope('block', path.parent);
+                }
+            },
+
+            SwitchStatement: {
+                exit: path => {
+                    if (path.node.cases.length > 0) {
+                        this._exitScope();
+                    }
+                },
+            },
+
+            CatchClause: {
+                enter: path => {
+                    this._enterScope('block', path.node);
+                    if (path.node.param != null) {
+                        this._declare(path.node.param, 'catch');
+                    }
+                },
+                exit: () => this._exitScope(),
+            },
+
+            FunctionDeclaration: {
+                enter: path => {
+                    this._declare(path.node.name, 'def');
+                    this._enterFunction(path.node);
+                },
+                exit: () => this._exitScope(),
+            },
+
+            FunctionExpression: {
+                enter: path => {
+                    // A property called as `object.f()` gets `this`,
+                    // and so does a method of a class.
+                    const isMethod = path.parent.type === 'Property' || path.parent.type === 'MethodDefinition';
+                    this._enterFunction(path.node).isMethod = isMethod;
+                },
+                exit: () => this._exitScope(),
+            },
+
+            ArrowFunctionExpression: {
+                enter: path => {
+                    this._enterFunction(path.node).isArrow = true;
+                },
+                exit: () => this._exitScope(),
+            },
+
+            ClassDeclaration: {
+                enter: path => {
+                    this._declare(path.node.id, 'class');
+                    const scope = this._enterScope('class', path.node);
+                    scope.hasSuperClass = path.node.superClass != null;
+                },
+                exit: () => this._exitScope(),
+            },
+
+            // A field initializer runs like a method of the class, with
+            // the instance (or the class) as `this`.
+            ClassField: {
+                enter: path => {
+                    this._enterScope('function', path.node).isMethod = true;
+                },
+                exit: () => this._exitScope(),
+            },
+
+            ImportDeclaration: path => {
+                for (const specifier of path.node.specifiers) {
+                    this._declare(specifier.local, 'import');
+                }
+            },
+
+            // The initializer runs first, then the targets of the
+            // pattern are declared in order (see Identifier).
+            VariableDeclaration: path => {
+                this._starts.set(path.node, this._order++);
+            },
+
+            ReturnStatement: path => {
+                if (this._scope.closest('function') == null) {
+                    this._report('error', 'return-outside-function', '"return" outside of a function', path.node);
+                }
+            },
+
+            ThisExpression: path => {
+                const fn = this._thisFunction();
+                if (fn == null || !fn.isMethod) {
+                    this._report('error', 'this-outside-method', '"this" is only allowed inside methods', path.node);
+                }
+            },
+
+            Super: path => {
+                const fn = this._thisFunction();
+                if (fn == null || !fn.isMethod || fn.parent.type !== 'class') {
+                    this._report('error', 'super-outside-method', '"super" is only allowed inside methods', path.node);
+                    return;
+                }
+                const classScope = fn.parent;
+                if (!classScope.hasSuperClass) {
+                    this._report('error', 'super-without-extends',
+                        `"super" in class "${classScope.node.id.name}", which doesn't extend another class`, path.node);
+                }
+            },
+
+            Identifier: path => {
+                if (!this._isReference(path)) {
+                    const root = patternRoot(path);
+                    if (root.parent.type === 'VariableDeclaration' && root.key === 'id') {
+                        this._declare(path.node, 'let');
+                    }
+                    return;
+                }
+                this._references.push({
+                    identifier: path.node,
+                    scope: this._scope,
+                    order: this._referenceOrder(path),
+                    declaration: null,
+                });
+            },
+        };
+    }
+
+    /**
+     * When a reference runs: in the initializer of a `let`, before
+     * the variables it declares (unless inside a function), otherwise
+     * in traversal order.
+     */
+    _referenceOrder(path) {
+        for (; path.parentPath != null; path = path.parentPath) {
+            if (FunctionTypes.has(path.node.type) || path.node.type === 'ClassField') {
+                break;
+            }
+            if (path.key === 'init' && path.parent.type === 'VariableDeclaration') {
+                return this._starts.get(path.parent);
+            }
+        }
+        return this._order++;
+    }
+
+    /**
+     * The declaration which a reference sees when it runs, along its
+     * scope chain: one made before it, or any once it is inside a
+     * function of the scope.
+     */
+    _visibleDeclaration(reference) {
+        let inFunction = false;
+        for (let scope = reference.scope; scope != null; scope = scope.parent) {
+            const declaration = scope.declarations.get(reference.identifier.name);
+            if (declaration != null && (inFunction || declaration.order < reference.order)) {
+                return declaration;
+            }
+            inFunction = inFunction || scope.type === 'function';
+        }
+        return null;
+    }
+
+    /**
+     * Whether a block is the body of a function or `catch`.
+     */
+    _isBody(path) {
+        return path.key === 'body' && (FunctionTypes.has(path.parent.type) || path.parent.type === 'CatchClause');
+    }
+
+    /**
+     * Whether an Identifier reads or writes a variable, rather than
+     * declaring a name or being a property name. A target in a pattern
+     * is where the pattern is: in `let` or the parameters it declares,
+     * on the left of `=` it writes.
+     */
+    _isReference(path) {
+        path = patternRoot(path);
+        switch (path.parent.type) {
+            case 'MemberExpression':
+                return path.key !== 'property' || path.parent.computed;
+            case 'VariableDeclaration':
+                return path.key !== 'id';
+            case 'FunctionDeclaration':
+                return false; // the name and the parameters
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return path.key !== 'params';
+            case 'ClassDeclaration':
+                return path.key !== 'id';
+            case 'CatchClause':
+                return path.key !== 'param';
+            case 'ImportSpecifier':
+            case 'ImportNamespaceSpecifier':
+                return false; // the imported and the local names
+            case 'Property':
+                return path.key !== 'key' || path.parent.computed;
+            case 'MethodDefinition':
+            case 'ClassField':
+                return path.key !== 'key';
+            case 'LabeledStatement':
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                return false; // labels aren't variables
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Enters the scope of a function, declaring its parameters.
+     */
+    _enterFunction(node) {
+        const scope = this._enterScope('function', node);
+        for (const param of node.params.flatMap(patternIdentifiers)) {
+            if (scope.declarations.has(param.name)) {
+                this._report('error', 'duplicate-parameter', `Duplicate parameter "${param.name}"`, param);
+                continue;
+            }
+            this._declare(param, 'param');
+        }
+        return scope;
+    }
+
+    /**
+     * The function whose `this` and `super` apply: arrow functions
+     * have none of their own.
+     */
+    _thisFunction() {
+        let fn = this._scope.closest('function');
+        while (fn != null && fn.isArrow) {
+            fn = fn.parent.closest('function');
+        }
+        return fn;
+    }
+
+    _enterScope(type, node) {
+        this._scope = new Scope(type, node, this._scope);
+        return this._scope;
+    }
+
+    _exitScope() {
+        this._scope = this._scope.parent;
+    }
+
+    /**
+     * Declares an Identifier in the current scope.
+     */
+    _declare(identifier, kind) {
+        const name = identifier.name;
+        if (this._scope.declarations.has(name)) {
+            this._report('error', 'duplicate-declaration', `"${name}" is already declared in this scope`, identifier);
+            return;
+        }
+        const declaration = new Declaration(name, kind, identifier, this._scope, this._order++);
+        this._scope.declarations.set(name, declaration);
+        this._declarations.push(declaration);
+        this._bindings.set(identifier, declaration);
+    }
+
+    _report(severity, code, message, node) {
+        this._diagnostics.push({
+            severity,
+            code,
+            message,
+            node,
+            loc: node.loc,
+        });
+    }
+}
+
+/**
+ * The Identifiers which a pattern declares, as a parameter or in
+ * `let`: itself, or the targets of a default value, a rest element
+ * and the parts of an ArrayPattern or ObjectPattern.
+ */
+function patternIdentifiers(pattern) {
+    switch (pattern.type) {
+        case 'Identifier':
+            return [pattern];
+        case 'AssignmentPattern':
+            return patternIdentifiers(pattern.left);
+        case 'RestElement':
+            return patternIdentifiers(pattern.argument);
+        case 'ArrayPattern':
+            return pattern.elements.filter(element => element != null).flatMap(patternIdentifiers);
+        case 'ObjectPattern':
+            return pattern.properties.flatMap(property =>
+                patternIdentifiers(property.type === 'Property' ? property.value : property));
+        default:
+            return []; // a property, on the left of `=`
+    }
+}
+
+/**
+ * The path of the outermost pattern which a node is a target in (an
+ * element, a rest element or the left of a default value), or of the
+ * node itself.
+ */
+function patternRoot(path) {
+    for (;;) {
+        switch (path.parent.type) {
+            case 'ArrayPattern':
+            case 'ObjectPattern':
+            case 'RestElement':
+                break;
+            case 'AssignmentPattern':
+                if (path.key !== 'left') {
+                    return path;
+                }
+                break;
+            case 'Property':
+                if (path.key !== 'value' || path.parentPath.parent.type !== 'ObjectPattern') {
+                    return path;
+                }
+                break;
+            default:
+                return path;
+        }
+        path = path.parentPath;
+    }
+}
+
+/**
+ * Orders diagnostics by source position, when known.
+ */
+function byPosition(a, b) {
+    if (a.node.range == null || b.node.range == null) {
+        return 0;
+    }
+    return a.node.range[0] - b.node.range[0];
+}
+
+/**
+ * Analyzes a Program AST.
+ */
+function analyze(ast, options = {}) {
+    return new Analyzer(options).analyze(ast);
+}
+
+module.exports = {
+    Analyzer,
+    Scope,
+    Declaration,
+    analyze,
+    patternIdentifiers,
+}
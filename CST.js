@@ -0,0 +1,53 @@
+/**
+ * Concrete syntax tree helpers.
+ *
+ * `parser.parse(source, { cst: true })` returns a lossless tree: each
+ * grammar production is a `{ kind, children, node }` CST node, where
+ * `node` is the AST node it produced, and each token (ending with the
+ * EOF token) is a `{ kind: 'Token', type, value, leadingTrivia,
+ * trailingTrivia, ... }` leaf. The whitespace and comments are kept
+ * as `{ kind, text }` trivia around the tokens.
+ */
+
+/**
+ * Prints a CST back to its source text, byte for byte.
+ */
+function print(cst) {
+    let output = '';
+    for (const token of tokens(cst)) {
+        for (const trivia of token.leadingTrivia) {
+            output += trivia.text;
+        }
+        output += token.value;
+        for (const trivia of token.trailingTrivia) {
+            output += trivia.text;
+        }
+    }
+    return output;
+}
+
+/**
+ * The AST of a CST, or of one of its productions.
+ */
+function toAST(cst) {
+    return cst.node;
+}
+
+/**
+ * Iterates the tokens of a CST in source order.
+ */
+function* tokens(cst) {
+    if (cst.kind === 'Token') {
+        yield cst;
+        return;
+    }
+    for (const child of cst.children) {
+        yield* tokens(child);
+    }
+}
+
+module.exports = {
+    print,
+    toAST,
+    tokens,
+}
@@ -0,0 +1,1058 @@
+/**
+ * Letter formatter: reprints source code in a canonical style.
+ *
+ * The AST is converted to a document of strings and line breaks
+ * which is then laid out for the line width. Comments are collected
+ * by the tokenizer and put back where they were: between the
+ * statements, on the line they end, or next to the node they precede
+ * or follow inside a statement.
+ */
+
+const fs = require('fs');
+const { Parser } = require('./Parser');
+const { Tokenizer } = require('./Tokenizer');
+
+// --------------------------------------
+// Document builders
+
+/**
+ * A space, or a new line if the enclosing group doesn't fit.
+ */
+const line = { type: 'line' };
+
+/**
+ * Nothing, or a new line if the enclosing group doesn't fit.
+ */
+const softline = { type: 'line', soft: true };
+
+/**
+ * Always a new line.
+ */
+const hardline = { type: 'line', hard: true };
+
+/**
+ * Nothing, but the enclosing groups can't be laid out on one line,
+ * e.g. after a line comment.
+ */
+const breakParent = { type: 'breakParent' };
+
+/**
+ * A part laid out on one line if it fits, or with all its lines broken.
+ */
+function group(contents) {
+    return { type: 'group', contents };
+}
+
+/**
+ * A part whose new lines are indented one more level.
+ */
+function indent(contents) {
+    return { type: 'indent', contents };
+}
+
+/**
+ * Joins the documents with a separator.
+ */
+function join(separator, docs) {
+    const parts = [];
+    docs.forEach((doc, index) => {
+        if (index > 0) {
+            parts.push(separator);
+        }
+        parts.push(doc);
+    });
+    return parts;
+}
+
+/**
+ * Whether the commands fit in the remaining width, up to the next
+ * new line. Commands are [indentation, mode, doc] triples; `rest`
+ * is the stack of commands which follow them.
+ */
+function fits(command, rest, width) {
+    const commands = [command];
+    let restIndex = rest.length;
+
+    while (width >= 0) {
+        if (commands.length === 0) {
+            if (restIndex === 0) {
+                return true;
+            }
+            commands.push(rest[--restIndex]);
+            continue;
+        }
+        const [level, mode, doc] = commands.pop();
+
+        if (typeof doc === 'string') {
+            // A multi-line template ends the line it starts on.
+            const newline = doc.indexOf('\n');
+            if (newline !== -1) {
+                return width - newline >= 0;
+            }
+            width -= doc.length;
+        } else if (Array.isArray(doc)) {
+            for (let i = doc.length - 1; i >= 0; i--) {
+                commands.push([level, mode, doc[i]]);
+            }
+        } else if (doc.type === 'indent' || doc.type === 'group') {
+            commands.push([level, mode, doc.contents]);
+        } else if (doc.hard || doc.type === 'breakParent') {
+            // A forced break can't be laid out flat.
+            return mode === 'break';
+        } else if (mode === 'break') {
+            return true;
+        } else if (!doc.soft) {
+            width -= 1;
+        }
+    }
+    return false;
+}
+
+/**
+ * Lays out a document to a string.
+ */
+function printDoc(doc, lineWidth, indentUnit) {
+    let output = '';
+    let column = 0;
+    const commands = [[0, 'break', doc]];
+
+    while (commands.length > 0) {
+        const [level, mode, doc] = commands.pop();
+
+        if (typeof doc === 'string') {
+            output += doc;
+            const newline = doc.lastIndexOf('\n');
+            column = newline === -1 ? column + doc.length : doc.length - newline - 1;
+        } else if (Array.isArray(doc)) {
+            for (let i = doc.length - 1; i >= 0; i--) {
+                commands.push([level, mode, doc[i]]);
+            }
+        } else if (doc.type === 'indent') {
+            commands.push([level + 1, mode, doc.contents]);
+        } else if (doc.type === 'breakParent') {
+            // Only affects the groups around it.
+        } else if (doc.type === 'group') {
+            const flat = [level, 'flat', doc.contents];
+            const fitsFlat = mode === 'flat' || fits(flat, commands, lineWidth - column);
+            commands.push(fitsFlat ? flat : [level, 'break', doc.contents]);
+        } else if (mode === 'flat' && !doc.hard) {
+            if (!doc.soft) {
+                output += ' ';
+                column++;
+            }
+        } else {
+            const indentation = indentUnit.repeat(level);
+            output = output.replace(/[ \t]+$/, '') + '\n' + indentation;
+            column = indentation.length;
+        }
+    }
+    return output;
+}
+
+// --------------------------------------
+// Formatter
+
+/**
+ * Binding power of the binary operators.
+ */
+const BinaryPrecedence = {
+    '||': 2,
+    '&&': 3,
+    '|': 4,
+    '^': 5,
+    '&': 6,
+    '==': 7,
+    '!=': 7,
+    '<': 8,
+    '>': 8,
+    '<=': 8,
+    '>=': 8,
+    '<<': 9,
+    '>>': 9,
+    '>>>': 9,
+    '+': 10,
+    '-': 10,
+    '*': 11,
+    '/': 11,
+    '%': 11,
+    '**': 12,
+};
+
+/**
+ * Binding power of an expression, used to decide on parentheses.
+ */
+function precedence(node) {
+    switch (node.type) {
+        case 'AssignmentExpression':
+        case 'ArrowFunctionExpression':
+        case 'ConditionalExpression':
+            return 1;
+        case 'LogicalExpression':
+        case 'BinaryExpression':
+            return BinaryPrecedence[node.operator];
+        case 'UnaryExpression':
+            return 13;
+        case 'UpdateExpression':
+            return 14;
+        default:
+            // Member, call, new, and primary expressions.
+            return 15;
+    }
+}
+
+/**
+ * The leftmost operand of an expression, where it starts.
+ */
+function leftmost(node) {
+    switch (node.type) {
+        case 'AssignmentExpression':
+        case 'LogicalExpression':
+        case 'BinaryExpression':
+            return leftmost(node.left);
+        case 'ConditionalExpression':
+            return leftmost(node.test);
+        case 'UpdateExpression':
+            return node.prefix ? node : leftmost(node.argument);
+        case 'MemberExpression':
+            return leftmost(node.object);
+        case 'CallExpression':
+            return leftmost(node.callee);
+        default:
+            return node;
+    }
+}
+
+const DefaultOptions = {
+    lineWidth: 80,
+    indent: 4,
+};
+
+class Formatter {
+
+    /**
+     * Initializes the formatter.
+     *
+     * Options:
+     *  - lineWidth: width where argument and parameter lists wrap.
+     *  - indent: number of spaces per indentation level.
+     */
+    constructor(options = {}) {
+        this._options = { ...DefaultOptions, ...options };
+        this._parser = new Parser();
+        this._tokenizer = new Tokenizer();
+    }
+
+    /**
+     * Formats a source string.
+     */
+    format(source) {
+        const ast = this._parser.parse(source, { locations: true });
+
+        this._source = source;
+        this._comments = this._collectComments(source);
+        this._commentIndex = 0;
+
+        const output = printDoc(this._print(ast), this._options.lineWidth, ' '.repeat(this._options.indent));
+
+        if (!sameAST(ast, this._parser.parse(output))) {
+            throw new Error('Formatting changed the meaning of the program');
+        }
+        return output;
+    }
+
+    /**
+     * Collects the comments of the source, in order.
+     */
+    _collectComments(source) {
+        this._tokenizer.init(source, { comments: true });
+        while (this._tokenizer.getNextToken() != null) {
+            // Only the comments are kept.
+        }
+        return this._tokenizer.comments.map(comment => ({
+            ...comment,
+            value: comment.value.replace(/[ \t]+$/, ''),
+        }));
+    }
+
+    /**
+     * Prints a node, with the comments left before it, and the block
+     * comments right after it on its line.
+     */
+    _print(node) {
+        if (typeof this[node.type] !== 'function') {
+            throw new Error(`Cannot format node type: "${node.type}"`);
+        }
+        const leading = this._leadingComments(node);
+        const doc = this[node.type](node);
+        const trailing = this._trailingComments(node);
+        return leading.length > 0 || trailing.length > 0 ? [leading, doc, trailing] : doc;
+    }
+
+    /**
+     * The comments before a node which weren't printed yet, e.g. inside
+     * an expression: a block comment stays inline, unless it is on a
+     * line of its own, and a line comment ends its line.
+     */
+    _leadingComments(node) {
+        const parts = [];
+        let comment = this._comments[this._commentIndex];
+        while (comment != null && comment.start < node.range[0]) {
+            const ownLine = comment.value.startsWith('//') || comment.loc.end.line < node.loc.start.line;
+            parts.push(comment.value, ownLine ? hardline : ' ');
+            comment = this._comments[++this._commentIndex];
+        }
+        return parts;
+    }
+
+    /**
+     * The block comments right after a node, with only spaces between.
+     */
+    _trailingComments(node) {
+        const parts = [];
+        let end = node.range[1];
+        let comment = this._comments[this._commentIndex];
+        while (comment != null && !comment.value.startsWith('//') &&
+            /^[ \t]*$/.test(this._source.slice(end, comment.start))) {
+            parts.push(' ', comment.value);
+            end = comment.end;
+            comment = this._comments[++this._commentIndex];
+        }
+        return parts;
+    }
+
+    /**
+     * Separates the keyword of a clause from the part before, e.g.
+     * `else` from the `if` branch: the comments in between stay on
+     * the line they start on, and if one ends its line, so does the
+     * separator.
+     */
+    _clauseSeparator(previous, separator = ' ') {
+        const parts = [];
+        let end = previous.range[1];
+        let breaks = false;
+        let comment = this._comments[this._commentIndex];
+        while (comment != null && /^\s*$/.test(this._source.slice(end, comment.start))) {
+            const sameLine = !breaks && !this._source.slice(end, comment.start).includes('\n');
+            parts.push(sameLine ? ' ' : hardline, comment.value);
+            end = comment.end;
+            breaks = comment.value.startsWith('//');
+            comment = this._comments[++this._commentIndex];
+        }
+        if (parts.length === 0) {
+            return separator;
+        }
+        const gap = /\s*/y;
+        gap.lastIndex = end;
+        return [parts, breaks || gap.exec(this._source)[0].includes('\n') ? hardline : ' '];
+    }
+
+    /**
+     * Prints an expression, parenthesized if it binds looser than
+     * its position requires.
+     */
+    _expression(node, minPrecedence = 0) {
+        const doc = this._print(node);
+        return precedence(node) < minPrecedence ? ['(', doc, ')'] : doc;
+    }
+
+    /**
+     * Prints statements one per line, with the comments before `end`
+     * put back in place. A blank line between two statements is kept.
+     */
+    _statementList(statements, end) {
+        const parts = [];
+        let lastLine = null;
+        let inline = false; // whether a comment may follow on the same line
+
+        // Starts an item on a new line (after a blank line if there was
+        // one), or a comment after the previous item when `joined`.
+        const separate = (line, joined) => {
+            if (lastLine == null) {
+                return;
+            }
+            if (joined && inline) {
+                parts.push(' ');
+                return;
+            }
+            parts.push(hardline);
+            if (line - lastLine > 1) {
+                parts.push(hardline);
+            }
+        };
+
+        // Prints the comments starting before `offset` which satisfy
+        // `accept`, joined to the previous item if `trailing`.
+        const printComments = (offset, accept = () => true, trailing = false) => {
+            let comment = this._comments[this._commentIndex];
+            while (comment != null && comment.start < offset && accept(comment)) {
+                separate(comment.loc.start.line, trailing || comment.loc.start.line === lastLine);
+                parts.push(comment.value);
+                lastLine = Math.max(lastLine, comment.loc.end.line);
+                // Nothing can follow a line comment on its line.
+                inline = !comment.value.startsWith('//');
+                comment = this._comments[++this._commentIndex];
+            }
+        };
+
+        statements.forEach((statement, index) => {
+            const next = statements[index + 1];
+
+            // Leading comments.
+            printComments(statement.range[0]);
+
+            separate(statement.loc.start.line, false);
+            parts.push(this._print(statement));
+            lastLine = statement.loc.end.line;
+            inline = true;
+
+            // Trailing comments: on the same line, or left over inside
+            // the statement (e.g. within an expression).
+            const endLine = lastLine;
+            printComments(next != null ? next.range[0] : end, comment =>
+                comment.start < statement.range[1] || comment.loc.start.line === endLine, true);
+        });
+
+        // Dangling comments at the end of the list.
+        printComments(end);
+
+        return parts;
+    }
+
+    /**
+     * Prints the body of an `if`, `else`, or loop. A statement other
+     * than a block after a line comment goes on the next line, indented.
+     */
+    _body(node) {
+        if (node.type === 'EmptyStatement') {
+            return ';';
+        }
+        const leading = this._leadingComments(node);
+        if (node.type !== 'BlockStatement' && leading[leading.length - 1] === hardline) {
+            return [' ', leading[0], indent([leading.slice(1), this._print(node)])];
+        }
+        return [' ', leading, this._print(node)];
+    }
+
+    /**
+     * Prints the items of a comma-separated list (null for a hole),
+     * one per line when broken. A line comment after an item and its
+     * comma stays on that line, and breaks the list.
+     */
+    _commaList(nodes, printItem) {
+        const parts = [];
+        let commented = false; // whether the comma before the item went before a comment
+        nodes.forEach((node, index) => {
+            if (index > 0) {
+                parts.push(commented ? line : [',', line]);
+            }
+            commented = false;
+            if (node == null) {
+                return;
+            }
+            parts.push(printItem(node));
+            const comment = this._comments[this._commentIndex];
+            if (comment != null && comment.value.startsWith('//') &&
+                /^[ \t]*,?[ \t]*$/.test(this._source.slice(node.range[1], comment.start))) {
+                this._commentIndex++;
+                commented = index < nodes.length - 1;
+                parts.push(commented ? ',' : '', ' ', comment.value, breakParent);
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Prints a parenthesized list, wrapped one item per line
+     * if it doesn't fit. The list ends before the offset `end`.
+     */
+    _list(nodes, printItem, end) {
+        if (nodes.length === 0) {
+            return this._emptyList(end);
+        }
+        return group([
+            '(',
+            indent([softline, this._commaList(nodes, printItem)]),
+            softline,
+            ')',
+        ]);
+    }
+
+    /**
+     * Prints `()`, with the comments inside: those before `end` which
+     * only whitespace and comments separate from the `)`.
+     */
+    _emptyList(end) {
+        const comments = [];
+        let index = this._commentIndex;
+        let comment = this._comments[index];
+        while (comment != null && comment.start < end &&
+            (comments.length === 0 || /^\s*$/.test(this._source.slice(comments[comments.length - 1].end, comment.start)))) {
+            comments.push(comment);
+            comment = this._comments[++index];
+        }
+        if (comments.length === 0 || !/^\s*\)/.test(this._source.slice(comments[comments.length - 1].end))) {
+            return '()';
+        }
+        this._commentIndex = index;
+        const values = comments.map(comment => comment.value);
+        if (values.some(value => value.startsWith('//'))) {
+            return ['(', indent([hardline, join(hardline, values)]), hardline, ')'];
+        }
+        return ['(', join(' ', values), ')'];
+    }
+
+    /**
+     * Prints a FormalParameterList, before the function body.
+     */
+    _params(params, body) {
+        return this._list(params, param => this._print(param), body.range[0]);
+    }
+
+    /**
+     * Prints the ArgumentList which ends a call or `new`.
+     */
+    _arguments(node) {
+        return this._list(node.arguments, arg => this._expression(arg, 1), node.range[1]);
+    }
+
+    /**
+     * Prints the callee of a call or `new`, or the object of a member.
+     */
+    _callee(node) {
+        const doc = this._print(node);
+        return precedence(node) < 15 ? ['(', doc, ')'] : doc;
+    }
+
+    // --------------------------------------
+    // Statements
+
+    /**
+     * Prints the imported names on one line if they fit, or one per line.
+     */
+    ImportDeclaration(node) {
+        let clause;
+        if (node.specifiers.length === 0) {
+            clause = '{}';
+        } else if (node.specifiers[0].type === 'ImportNamespaceSpecifier') {
+            clause = this._print(node.specifiers[0]);
+        } else {
+            const specifiers = node.specifiers.map(specifier => this._print(specifier));
+            clause = group(['{', indent([line, join([',', line], specifiers)]), line, '}']);
+        }
+        return ['import ', clause, ' from ', this._print(node.source), ';'];
+    }
+
+    ImportSpecifier(node) {
+        if (node.imported.name === node.local.name) {
+            return this._print(node.local);
+        }
+        return [this._print(node.imported), ' as ', this._print(node.local)];
+    }
+
+    ImportNamespaceSpecifier(node) {
+        return ['* as ', this._print(node.local)];
+    }
+
+    ExportDeclaration(node) {
+        return ['export ', this._print(node.declaration)];
+    }
+
+    Program(node) {
+        const parts = this._statementList(node.body, node.range[1]);
+        return parts.length > 0 ? [parts, hardline] : '';
+    }
+
+    /**
+     * A line comment right after the `{` stays on its line.
+     */
+    BlockStatement(node) {
+        let opening = '';
+        const comment = this._comments[this._commentIndex];
+        if (comment != null && comment.value.startsWith('//') && comment.start < node.range[1] &&
+            /^[ \t]*$/.test(this._source.slice(node.range[0] + 1, comment.start))) {
+            this._commentIndex++;
+            opening = [' ', comment.value];
+        }
+        const parts = this._statementList(node.body, node.range[1]);
+        if (parts.length === 0) {
+            return opening === '' ? '{}' : ['{', opening, hardline, '}'];
+        }
+        return ['{', opening, indent([hardline, parts]), hardline, '}'];
+    }
+
+    EmptyStatement() {
+        return ';';
+    }
+
+    /**
+     * A statement starting with `{` would be a block.
+     */
+    ExpressionStatement(node) {
+        const expression = this._expression(node.expression);
+        const type = leftmost(node.expression).type;
+        if (type === 'ObjectLiteral' || type === 'ObjectPattern') {
+            return ['(', expression, ');'];
+        }
+        return [expression, ';'];
+    }
+
+    VariableStatement(node) {
+        return [this._variableDeclarations(node), ';'];
+    }
+
+    /**
+     * The `let` declarations, without the `;` (also used by `for`).
+     */
+    _variableDeclarations(node) {
+        return ['let ', join(', ', node.declarations.map(declaration => this._print(declaration)))];
+    }
+
+    VariableDeclaration(node) {
+        if (node.init == null) {
+            return this._print(node.id);
+        }
+        return [this._print(node.id), ' = ', this._expression(node.init, 1)];
+    }
+
+    IfStatement(node) {
+        const parts = ['if (', this._expression(node.test), ')', this._body(node.consequent)];
+        if (node.alternate != null) {
+            parts.push(
+                this._clauseSeparator(node.consequent, node.consequent.type === 'BlockStatement' ? ' ' : hardline),
+                'else',
+                this._body(node.alternate),
+            );
+        }
+        return parts;
+    }
+
+    FunctionDeclaration(node) {
+        return ['def ', this._print(node.name), this._params(node.params, node.body), ' ', this._print(node.body)];
+    }
+
+    ReturnStatement(node) {
+        if (node.argument == null) {
+            return 'return;';
+        }
+        return ['return ', this._expression(node.argument), ';'];
+    }
+
+    ThrowStatement(node) {
+        return ['throw ', this._expression(node.argument), ';'];
+    }
+
+    TryStatement(node) {
+        const parts = ['try ', this._print(node.block)];
+        let previous = node.block;
+        if (node.handler != null) {
+            parts.push(this._clauseSeparator(previous), this._print(node.handler));
+            previous = node.handler;
+        }
+        if (node.finalizer != null) {
+            parts.push(this._clauseSeparator(previous), 'finally ', this._print(node.finalizer));
+        }
+        return parts;
+    }
+
+    CatchClause(node) {
+        return ['catch', node.param != null ? [' (', this._print(node.param), ')'] : '', ' ', this._print(node.body)];
+    }
+
+    ClassDeclaration(node) {
+        return [
+            'class ',
+            this._print(node.id),
+            node.superClass != null ? [' extends ', this._print(node.superClass)] : '',
+            ' ',
+            this._print(node.body),
+        ];
+    }
+
+    ClassBody(node) {
+        return this.BlockStatement(node);
+    }
+
+    MethodDefinition(node) {
+        return [
+            node.static ? 'static ' : '',
+            node.kind === 'get' || node.kind === 'set' ? `${node.kind} ` : 'def ',
+            this._print(node.key),
+            this._params(node.value.params, node.value.body),
+            ' ',
+            this._print(node.value.body),
+        ];
+    }
+
+    ClassField(node) {
+        return [
+            node.static ? 'static ' : '',
+            this._print(node.key),
+            node.value != null ? [' = ', this._expression(node.value, 1)] : '',
+            ';',
+        ];
+    }
+
+    WhileStatement(node) {
+        return ['while (', this._expression(node.test), ')', this._body(node.body)];
+    }
+
+    DoStatement(node) {
+        return ['do', this._body(node.body), this._clauseSeparator(node.body), 'while (', this._expression(node.test), ');'];
+    }
+
+    ForStatement(node) {
+        let init = '';
+        if (node.init != null) {
+            init = node.init.type === 'VariableStatement'
+                ? this._variableDeclarations(node.init)
+                : this._expression(node.init);
+        }
+        return [
+            'for (',
+            init,
+            ';',
+            node.test != null ? [' ', this._expression(node.test)] : '',
+            ';',
+            node.update != null ? [' ', this._expression(node.update)] : '',
+            ')',
+            this._body(node.body),
+        ];
+    }
+
+    BreakStatement(node) {
+        return node.label != null ? ['break ', this._print(node.label), ';'] : 'break;';
+    }
+
+    ContinueStatement(node) {
+        return node.label != null ? ['continue ', this._print(node.label), ';'] : 'continue;';
+    }
+
+    LabeledStatement(node) {
+        return [this._print(node.label), ':', this._body(node.body)];
+    }
+
+    SwitchStatement(node) {
+        const head = ['switch (', this._expression(node.discriminant), ') '];
+        const parts = this._statementList(node.cases, node.range[1]);
+        if (parts.length === 0) {
+            return [head, '{}'];
+        }
+        return [head, '{', indent([hardline, parts]), hardline, '}'];
+    }
+
+    /**
+     * The statements of a clause are indented under it.
+     */
+    SwitchCase(node) {
+        const head = node.test != null ? ['case ', this._expression(node.test), ':'] : 'default:';
+        const parts = this._statementList(node.consequent, node.range[1]);
+        return parts.length > 0 ? [head, indent([hardline, parts])] : head;
+    }
+
+    // --------------------------------------
+    // Expressions
+
+    AssignmentExpression(node) {
+        return [this._callee(node.left), ' ', node.operator, ' ', this._expression(node.right, 1)];
+    }
+
+    /**
+     * `**` is right-associative, and its base can't be a UnaryExpression.
+     */
+    BinaryExpression(node) {
+        const binding = precedence(node);
+        if (node.operator === '**') {
+            // The base binds tighter than a UnaryExpression.
+            return [this._expression(node.left, binding + 2), ' ** ', this._expression(node.right, binding)];
+        }
+        return [
+            this._expression(node.left, binding),
+            ' ',
+            node.operator,
+            ' ',
+            this._expression(node.right, binding + 1),
+        ];
+    }
+
+    LogicalExpression(node) {
+        return this.BinaryExpression(node);
+    }
+
+    UnaryExpression(node) {
+        const argument = this._expression(node.argument, precedence(node));
+        // `- -x` must not become `--x`, nor `- --x` become `---x`.
+        const prefixed = node.argument.type === 'UnaryExpression' ||
+            node.argument.type === 'UpdateExpression' && node.argument.prefix;
+        const nested = prefixed && /^[+-]$/.test(node.operator) && /^[+-]/.test(node.argument.operator);
+        return [node.operator, nested ? ' ' : '', argument];
+    }
+
+    ConditionalExpression(node) {
+        return [
+            this._expression(node.test, 2),
+            ' ? ',
+            this._expression(node.consequent, 1),
+            ' : ',
+            this._expression(node.alternate, 1),
+        ];
+    }
+
+    UpdateExpression(node) {
+        const argument = this._callee(node.argument);
+        return node.prefix ? [node.operator, argument] : [argument, node.operator];
+    }
+
+    MemberExpression(node) {
+        // `f().x` only parses as `(f()).x`.
+        const object = node.object.type === 'CallExpression'
+            ? ['(', this._print(node.object), ')']
+            : this._callee(node.object);
+
+        if (node.computed) {
+            return [object, '[', this._expression(node.property), ']'];
+        }
+        return [object, '.', this._print(node.property)];
+    }
+
+    CallExpression(node) {
+        return [this._callee(node.callee), this._arguments(node)];
+    }
+
+    NewExpression(node) {
+        // The callee of `new` can't contain a call.
+        const callee = node.callee.type === 'CallExpression'
+            ? ['(', this._print(node.callee), ')']
+            : this._callee(node.callee);
+        return ['new ', callee, this._arguments(node)];
+    }
+
+    SpreadElement(node) {
+        return ['...', this._expression(node.argument, 1)];
+    }
+
+    FunctionExpression(node) {
+        return ['def ', this._params(node.params, node.body), ' ', this._print(node.body)];
+    }
+
+    ArrowFunctionExpression(node) {
+        const params = this._params(node.params, node.body);
+        let body;
+        if (node.body.type === 'BlockStatement') {
+            body = this._print(node.body);
+        } else {
+            body = this._expression(node.body, 1);
+            // As for a statement, `{` would start a block.
+            const type = leftmost(node.body).type;
+            if (type === 'ObjectLiteral' || type === 'ObjectPattern') {
+                body = ['(', body, ')'];
+            }
+        }
+        return [params, ' => ', body];
+    }
+
+    /**
+     * Prints the elements on one line if they fit, or one per line.
+     */
+    ArrayLiteral(node) {
+        if (node.elements.length === 0) {
+            return '[]';
+        }
+        const elements = this._commaList(node.elements, element => this._expression(element, 1));
+        // A hole at the end takes a comma of its own.
+        const trailing = node.elements[node.elements.length - 1] == null ? ',' : '';
+        return group(['[', indent([softline, elements, trailing]), softline, ']']);
+    }
+
+    /**
+     * Prints the properties on one line if they fit, or one per line.
+     */
+    ObjectLiteral(node) {
+        if (node.properties.length === 0) {
+            return '{}';
+        }
+        const properties = this._commaList(node.properties, property => this._print(property));
+        return group(['{', indent([line, properties]), line, '}']);
+    }
+
+    Property(node) {
+        const key = node.computed ? ['[', this._expression(node.key, 1), ']'] : this._print(node.key);
+        if (node.shorthand) {
+            // With a default value in a pattern, `{ x = 1 }`.
+            return node.value.type === 'AssignmentPattern' ? this._print(node.value) : key;
+        }
+        if (node.method) {
+            return [key, this._params(node.value.params, node.value.body), ' ', this._print(node.value.body)];
+        }
+        return [key, ': ', this._expression(node.value, 1)];
+    }
+
+    Identifier(node) {
+        return node.name;
+    }
+
+    ThisExpression() {
+        return 'this';
+    }
+
+    Super() {
+        return 'super';
+    }
+
+    ArrayPattern(node) {
+        return this.ArrayLiteral(node);
+    }
+
+    ObjectPattern(node) {
+        return this.ObjectLiteral(node);
+    }
+
+    AssignmentPattern(node) {
+        return [this._print(node.left), ' = ', this._expression(node.right, 1)];
+    }
+
+    RestElement(node) {
+        return ['...', this._print(node.argument)];
+    }
+
+    NumericLiteral(node) {
+        // As written: hexadecimal, separators, exponent...
+        return node.raw != null ? node.raw : String(node.value);
+    }
+
+    StringLiteral(node) {
+        // As written, with its quotes and escapes.
+        return node.raw != null ? node.raw : JSON.stringify(node.value);
+    }
+
+    TemplateLiteral(node) {
+        const parts = ['`'];
+        node.quasis.forEach((quasi, i) => {
+            parts.push(quasi.value.raw);
+            if (i < node.expressions.length) {
+                parts.push('${', this._print(node.expressions[i]), '}');
+            }
+        });
+        parts.push('`');
+        return parts;
+    }
+
+    BooleanLiteral(node) {
+        return String(node.value);
+    }
+
+    NullLiteral() {
+        return 'null';
+    }
+}
+
+/**
+ * Whether two ASTs are equal, regardless of their locations.
+ */
+function sameAST(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a).filter(key => key !== 'loc' && key !== 'range');
+    const otherKeys = Object.keys(b).filter(key => key !== 'loc' && key !== 'range');
+    return keys.length === otherKeys.length &&
+        keys.every(key => sameAST(a[key], b[key]));
+}
+
+/**
+ * Formats a source string.
+ */
+function format(source, options = {}) {
+    return new Formatter(options).format(source);
+}
+
+// --------------------------------------
+// Command line
+
+const Usage = `Usage: node Formatter.js [--check | --write] [--line-width N] [--indent N] [file...]
+
+Formats Letter files, printing the result (or the standard input's).
+  --check       list the files which are not formatted, and fail if any
+  --write       rewrite the files in place`;
+
+/**
+ * Runs the formatter command line, returning the exit code.
+ */
+function main(args) {
+    const options = {};
+    const files = [];
+    let mode = 'print';
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--check':
+                mode = 'check';
+                break;
+            case '--write':
+                mode = 'write';
+                break;
+            case '--line-width':
+                options.lineWidth = Number(args[++i]);
+                break;
+            case '--indent':
+                options.indent = Number(args[++i]);
+                break;
+            case '--help':
+                console.log(Usage);
+                return 0;
+            default:
+                files.push(args[i]);
+        }
+    }
+    if (Number.isNaN(options.lineWidth) || Number.isNaN(options.indent)) {
+        console.error(Usage);
+        return 2;
+    }
+
+    const formatter = new Formatter(options);
+    let exitCode = 0;
+
+    for (const file of files.length > 0 ? files : ['-']) {
+        const name = file === '-' ? '<stdin>' : file;
+        let source;
+        let output;
+        try {
+            source = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+            output = formatter.format(source);
+        } catch (error) {
+            // An I/O error, or a syntax error in the file.
+            console.error(`${name}: ${error.message}`);
+            exitCode = 2;
+            continue;
+        }
+
+        if (mode === 'check') {
+            if (output !== source) {
+                console.log(name);
+                exitCode = Math.max(exitCode, 1);
+            }
+        } else if (mode === 'write' && file !== '-') {
+            if (output !== source) {
+                fs.writeFileSync(file, output);
+            }
+        } else {
+            process.stdout.write(output);
+        }
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    Formatter,
+    format,
+    main,
+}
@@ -0,0 +1,539 @@
+/**
+ * The grammar of Letter, as documented on the productions of the
+ * Parser: the rules of each production, by name. Update it with the
+ * Parser (tests/Grammar.test.js checks they agree).
+ */
+const Grammar = {
+    Program: [
+        ': OptModuleItemList',
+        ';',
+    ],
+    ModuleItemList: [
+        ': (ModuleItem)*',
+        ';',
+    ],
+    StatementList: [
+        ': (Statement)*',
+        ';',
+    ],
+    ModuleItem: [
+        ': ImportDeclaration',
+        '| ExportDeclaration',
+        '| Statement',
+        ';',
+    ],
+    ImportDeclaration: [
+        ": 'import' ImportClause 'from' StringLiteral ';'",
+        ';',
+    ],
+    ImportClause: [
+        ": '{' OptImportSpecifierList '}'",
+        "| '*' 'as' Identifier",
+        ';',
+    ],
+    ImportSpecifierList: [
+        ': ImportSpecifier',
+        "| ImportSpecifierList ',' ImportSpecifier",
+        ';',
+    ],
+    ImportSpecifier: [
+        ': Identifier',
+        "| Identifier 'as' Identifier",
+        ';',
+    ],
+    ImportNamespaceSpecifier: [
+        ": '*' 'as' Identifier",
+        ';',
+    ],
+    ExportDeclaration: [
+        ": 'export' ClassDeclaration",
+        "| 'export' FunctionDeclaration",
+        "| 'export' VariableStatement",
+        ';',
+    ],
+    Statement: [
+        ': ExpressionStatement',
+        '| BlockStatement',
+        '| EmptyStatement',
+        '| VariableStatement',
+        '| IfStatement',
+        '| IterationStatement',
+        '| FunctionStatement',
+        '| ReturnStatement',
+        '| ClassDeclaration',
+        '| BreakStatement',
+        '| ContinueStatement',
+        '| SwitchStatement',
+        '| LabeledStatement',
+        '| ThrowStatement',
+        '| TryStatement',
+        ';',
+    ],
+    IfStatement: [
+        ": 'if' '(' Expression ')' Statement ('else' Statement)?",
+        ';',
+    ],
+    FunctionDeclaration: [
+        ": 'def' Identifier '(' OptFormalParameterList ')' BlockStatement",
+        ';',
+    ],
+    FunctionExpression: [
+        ": 'def' '(' OptFormalParameterList ')' BlockStatement",
+        ';',
+    ],
+    FormalParameterList: [
+        ': BindingElement',
+        '| RestElement',
+        "| FormalParameterList ',' BindingElement",
+        "| FormalParameterList ',' RestElement",
+        ';',
+    ],
+    BindingElement: [
+        ': BindingPattern OptVariableInitializer',
+        ';',
+    ],
+    RestElement: [
+        ": '...' BindingPattern",
+        ';',
+    ],
+    BindingPattern: [
+        ': Identifier',
+        '| ArrayPattern',
+        '| ObjectPattern',
+        ';',
+    ],
+    ArrayPattern: [
+        ": '[' OptBindingElementList ']'",
+        ';',
+    ],
+    BindingElementList: [
+        ': Elision? BindingElement',
+        '| Elision? RestElement',
+        "| BindingElementList ',' Elision? BindingElement",
+        "| BindingElementList ',' Elision? RestElement",
+        ';',
+    ],
+    ObjectPattern: [
+        ": '{' OptBindingPropertyList '}'",
+        ';',
+    ],
+    BindingPropertyList: [
+        ': BindingProperty',
+        '| RestElement',
+        "| BindingPropertyList ',' BindingProperty",
+        "| BindingPropertyList ',' RestElement",
+        ';',
+    ],
+    BindingProperty: [
+        ": PropertyName ':' BindingElement",
+        '| Identifier OptVariableInitializer',
+        ';',
+    ],
+    ReturnStatement: [
+        ": 'return' OptExpression ';'",
+        ';',
+    ],
+    ThrowStatement: [
+        ": 'throw' Expression ';'",
+        ';',
+    ],
+    TryStatement: [
+        ": 'try' BlockStatement CatchClause OptFinally",
+        "| 'try' BlockStatement Finally",
+        ';',
+    ],
+    Finally: [
+        ": 'finally' BlockStatement",
+        ';',
+    ],
+    CatchClause: [
+        ": 'catch' OptCatchParameter BlockStatement",
+        ';',
+    ],
+    CatchParameter: [
+        ": '(' Identifier ')'",
+        ';',
+    ],
+    ClassDeclaration: [
+        ": 'class' Identifier OptClassExtends ClassBody",
+        ';',
+    ],
+    ClassExtends: [
+        ": 'extends' Identifier",
+        ';',
+    ],
+    ClassBody: [
+        ": '{' OptClassMemberList '}'",
+        ';',
+    ],
+    ClassMemberList: [
+        ': (ClassMember)*',
+        ';',
+    ],
+    ClassMember: [
+        ': MethodDefinition',
+        '| ClassField',
+        ';',
+    ],
+    MethodDefinition: [
+        ": OptStatic 'def' IdentifierName '(' OptFormalParameterList ')' BlockStatement",
+        "| OptStatic 'get' IdentifierName '(' ')' BlockStatement",
+        "| OptStatic 'set' IdentifierName '(' Identifier ')' BlockStatement",
+        ';',
+    ],
+    Static: [
+        ": 'static'",
+        ';',
+    ],
+    ClassField: [
+        ": OptStatic IdentifierName OptVariableInitializer ';'",
+        ';',
+    ],
+    IterationStatement: [
+        ': WhileStatement',
+        '| DoStatement',
+        '| ForStatement',
+        ';',
+    ],
+    WhileStatement: [
+        ": 'while' '(' Expression ')' Statement",
+        ';',
+    ],
+    DoStatement: [
+        ": 'do' Statement 'while' '(' Expression ')' ';'",
+        ';',
+    ],
+    ForStatement: [
+        ": 'for' '(' OptForStatementInit ';' OptExpression ';' OptExpression)' Statement",
+        ';',
+    ],
+    ForStatementInit: [
+        ': VariableStatementInit',
+        '| Expression',
+        ';',
+    ],
+    BreakStatement: [
+        ": 'break' OptIdentifier ';'",
+        ';',
+    ],
+    ContinueStatement: [
+        ": 'continue' OptIdentifier ';'",
+        ';',
+    ],
+    LabeledStatement: [
+        ": Identifier ':' Statement",
+        ';',
+    ],
+    SwitchStatement: [
+        ": 'switch' '(' Expression ')' '{' OptSwitchCaseList '}'",
+        ';',
+    ],
+    SwitchCaseList: [
+        ': SwitchCase',
+        '| SwitchCaseList SwitchCase',
+        ';',
+    ],
+    SwitchCase: [
+        ": 'case' Expression ':' OptStatementList",
+        "| 'default' ':' OptStatementList",
+        ';',
+    ],
+    VariableStatementInit: [
+        ": 'let' VariableDeclarationList",
+        ';',
+    ],
+    VariableStatement: [
+        ": 'let' VariableDeclarationList ';'",
+        ';',
+    ],
+    VariableDeclarationList: [
+        ': VariableDeclaration',
+        "| VariableDeclarationList ',' VariableDeclaration",
+        ';',
+    ],
+    VariableDeclaration: [
+        ': BindingPattern OptVariableInitializer',
+    ],
+    VariableInitializer: [
+        ': SIMPLE_ASSIGN AssignmentExpression',
+        ';',
+    ],
+    ExpressionStatement: [
+        ": Expression ';'",
+        ';',
+    ],
+    BlockStatement: [
+        ": '{' OptStatementList '}'",
+        ';',
+    ],
+    EmptyStatement: [
+        ": ';'",
+        ';',
+    ],
+    Expression: [
+        ': AssignmentExpression',
+        ';',
+    ],
+    AssignmentExpression: [
+        ': ArrowFunctionExpression',
+        '| ConditionalExpression',
+        '| LeftHandSideExpression AssigmentOperator AssignmentExpression',
+        '| ArrayLiteral SIMPLE_ASSIGN AssignmentExpression',
+        '| ObjectLiteral SIMPLE_ASSIGN AssignmentExpression',
+    ],
+    ArrowFunctionExpression: [
+        ": ArrowParameters '=>' ArrowFunctionBody",
+        ';',
+    ],
+    ArrowParameters: [
+        ': Identifier',
+        "| '(' OptFormalParameterList ')'",
+        ';',
+    ],
+    ArrowFunctionBody: [
+        ': BlockStatement',
+        '| AssignmentExpression',
+        ';',
+    ],
+    ConditionalExpression: [
+        ': LogicalORExpression',
+        "| LogicalORExpression '?' AssignmentExpression ':' AssignmentExpression",
+        ';',
+    ],
+    LogicalORExpression: [
+        ': LogicalANDExpression',
+        '| LogicalORExpression LOGICAL_OR LogicalANDExpression',
+        ';',
+    ],
+    LogicalANDExpression: [
+        ': BitwiseORExpression',
+        '| LogicalANDExpression LOGICAL_AND BitwiseORExpression',
+        ';',
+    ],
+    BitwiseORExpression: [
+        ': BitwiseXORExpression',
+        '| BitwiseORExpression BITWISE_OR BitwiseXORExpression',
+        ';',
+    ],
+    BitwiseXORExpression: [
+        ': BitwiseANDExpression',
+        '| BitwiseXORExpression BITWISE_XOR BitwiseANDExpression',
+        ';',
+    ],
+    BitwiseANDExpression: [
+        ': EqualityExpression',
+        '| BitwiseANDExpression BITWISE_AND EqualityExpression',
+        ';',
+    ],
+    EqualityExpression: [
+        ': RelationalExpression',
+        '| EqualityExpression EQUALITY_OPERATOR RelationalExpression',
+        ';',
+    ],
+    RelationalExpression: [
+        ': ShiftExpression',
+        '| RelationalExpression RELATIONAL_OPERATOR ShiftExpression',
+        ';',
+    ],
+    ShiftExpression: [
+        ': AdditiveExpression',
+        '| ShiftExpression SHIFT_OPERATOR AdditiveExpression',
+        ';',
+    ],
+    Identifier: [
+        ': IDENTIFIER',
+        ';',
+    ],
+    IdentifierName: [
+        ': IDENTIFIER',
+        '| Keyword',
+        ';',
+    ],
+    AssignmentOperator: [
+        ': SIMPLE_ASSIGN',
+        '| COMPLEX_ASSIGN',
+        ';',
+    ],
+    AdditiveExpression: [
+        ': MultiplicativeExpression (ADDITIVE_OPERATOR MultiplicativeExpression)*',
+        ';',
+    ],
+    MultiplicativeExpression: [
+        ': ExponentiationExpression (MULTIPLICATIVE_OPERATOR ExponentiationExpression)*',
+        ';',
+    ],
+    ExponentiationExpression: [
+        ': UnaryExpression',
+        '| UpdateExpression EXPONENT_OPERATOR ExponentiationExpression',
+        ';',
+    ],
+    UnaryExpression: [
+        ': UpdateExpression',
+        '| ADDITIVE_OPERATOR UnaryExpression',
+        '| LOGICAL_NOT UnaryExpression',
+        '| BITWISE_NOT UnaryExpression',
+        ';',
+    ],
+    UpdateExpression: [
+        ': LeftHandSideExpression',
+        '| LeftHandSideExpression UPDATE_OPERATOR',
+        '| UPDATE_OPERATOR UnaryExpression',
+        ';',
+    ],
+    LeftHandSideExpression: [
+        ': CallMemberExpression',
+        ';',
+    ],
+    CallMemberExpression: [
+        ': MemberExpression',
+        '| CallExpression',
+        ';',
+    ],
+    CallExpression: [
+        ': Callee Arguments',
+        ';',
+    ],
+    Callee: [
+        ': MemberExpression',
+        '| CallExpression',
+        ';',
+    ],
+    Arguments: [
+        ": '(' OptArgumentList ') '",
+        ';',
+    ],
+    ArgumentList: [
+        ': Argument',
+        "| ArgumentList ',' Argument e.g: foo(bar = z, ...baz)",
+        ';',
+    ],
+    Argument: [
+        ': AssignmentExpression',
+        '| SpreadElement',
+        ';',
+    ],
+    SpreadElement: [
+        ": '...' AssignmentExpression",
+        ';',
+    ],
+    MemberExpression: [
+        ': PrimaryExpression',
+        "| Super '.' IdentifierName",
+        "| Super '[' Expression ']'",
+        "| MemberExpression '.' IdentifierName",
+        "| MemberExpression '[' Expression ']'",
+        ';',
+    ],
+    PrimaryExpression: [
+        ': Literal',
+        '| ParenthesizedExpression',
+        '| Identifier',
+        '| ThisExpression',
+        '| NewExpression',
+        '| FunctionExpression',
+        '| ArrayLiteral',
+        '| ObjectLiteral',
+        ';',
+    ],
+    ThisExpression: [
+        ": 'this'",
+        ';',
+    ],
+    Super: [
+        ": 'super'",
+        ';',
+    ],
+    NewExpression: [
+        ": 'new' MemberExpression Arguments -> e.g: new MyNamespace.MyClass(1, 2);",
+        ';',
+    ],
+    ParenthesizedExpression: [
+        ": '(' Expression ')'",
+        ';',
+    ],
+    ArrayLiteral: [
+        ": '[' OptElementList ']'",
+        ';',
+    ],
+    ElementList: [
+        ': Elision? Element',
+        "| ElementList ',' Elision? Element",
+        ';',
+    ],
+    Element: [
+        ': AssignmentExpression',
+        '| SpreadElement',
+        ';',
+    ],
+    ObjectLiteral: [
+        ": '{' OptPropertyList '}'",
+        ';',
+    ],
+    PropertyList: [
+        ': Property',
+        '| SpreadElement',
+        "| PropertyList ',' Property",
+        "| PropertyList ',' SpreadElement",
+        ';',
+    ],
+    Property: [
+        ": PropertyName ':' AssignmentExpression",
+        "| PropertyName '(' OptFormalParameterList ')' BlockStatement",
+        '| Identifier OptVariableInitializer',
+        ';',
+    ],
+    PropertyName: [
+        ': IdentifierName',
+        '| StringLiteral',
+        "| '[' AssignmentExpression ']'",
+        ';',
+    ],
+    Literal: [
+        ': NumericLiteral',
+        '| StringLiteral',
+        '| BooleanLiteral',
+        '| NullLiteral',
+        ';',
+    ],
+    NumericLiteral: [
+        ': NUMBER',
+        ';',
+    ],
+    StringLiteral: [
+        ': STRING',
+        ';',
+    ],
+    TemplateLiteral: [
+        ': TEMPLATE',
+        '| TEMPLATE_HEAD Expression (TEMPLATE_MIDDLE Expression)* TEMPLATE_TAIL',
+        ';',
+    ],
+    BooleanLiteral: [
+        ': TRUE',
+        '| FALSE',
+        ';',
+    ],
+    NullLiteral: [
+        ": 'null'",
+        ';',
+    ],
+};
+
+/**
+ * A production by name, as it is documented:
+ *
+ *     IfStatement
+ *       : 'if' '(' Expression ')' Statement ('else' Statement)?
+ *       ;
+ */
+function grammarProduction(name) {
+    if (!Object.prototype.hasOwnProperty.call(Grammar, name)) {
+        return null;
+    }
+    return [name, ...Grammar[name].map(rule => '  ' + rule)].join('\n');
+}
+
+module.exports = {
+    Grammar,
+    grammarProduction,
+}
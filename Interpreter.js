@@ -0,0 +1,1281 @@
+/**
+ * Letter interpreter: tree-walking evaluator of the Parser's AST.
+ */
+
+const { Parser } = require('./Parser');
+
+/**
+ * Environment: a lexical scope, holding the variables of a
+ * program, block or function call, and chained to its parent.
+ */
+class Environment {
+
+    /**
+     * Creates an environment with the given record of variables.
+     */
+    constructor(record = {}, parent = null) {
+        this._record = new Map(Object.entries(record));
+        this.parent = parent;
+    }
+
+    /**
+     * Creates a variable in this scope.
+     */
+    define(name, value) {
+        if (this._record.has(name)) {
+            throw new ReferenceError(`Variable "${name}" is already defined`);
+        }
+        this._record.set(name, value);
+        return value;
+    }
+
+    /**
+     * Updates an existing variable.
+     */
+    assign(name, value) {
+        this.resolve(name)._record.set(name, value);
+        return value;
+    }
+
+    /**
+     * Returns the value of a variable.
+     */
+    lookup(name) {
+        return this.resolve(name)._record.get(name);
+    }
+
+    /**
+     * Returns the environment where a variable is defined.
+     */
+    resolve(name) {
+        if (this._record.has(name)) {
+            return this;
+        }
+        if (this.parent == null) {
+            throw new ReferenceError(`Variable "${name}" is not defined`);
+        }
+        return this.parent.resolve(name);
+    }
+}
+
+/**
+ * A user function: the `def` (or arrow function) node and the
+ * environment it closes over. Methods also know their class, to
+ * resolve `super`, and their MethodDefinition.
+ */
+class LetterFunction {
+    constructor(node, closure, homeClass = null, definition = null) {
+        this.node = node;
+        this.closure = closure;
+        this.homeClass = homeClass;
+        this.definition = definition;
+    }
+
+    /**
+     * The name of a `def` statement or a method, null for a function
+     * expression.
+     */
+    get name() {
+        if (this.definition != null) {
+            return this.definition.key.name;
+        }
+        return this.node.name != null ? this.node.name.name : null;
+    }
+
+    /**
+     * Whether the function is a static method, called on its class.
+     */
+    get isStatic() {
+        return this.definition != null && this.definition.static;
+    }
+}
+
+/**
+ * A method looked up on an instance, with `this` fixed.
+ */
+class BoundMethod {
+    constructor(method, thisValue) {
+        this.method = method;
+        this.thisValue = thisValue;
+    }
+}
+
+/**
+ * An object: its fields by name.
+ */
+class LetterObject {
+    constructor() {
+        this.fields = new Map();
+    }
+}
+
+/**
+ * A class: its members, and the parent class from `extends`. A class
+ * is an object too, whose fields are the static fields.
+ */
+class LetterClass extends LetterObject {
+    constructor(name, superClass, closure) {
+        super();
+        this.name = name;
+        this.superClass = superClass;
+        this.closure = closure; // where the field initializers run
+        this.members = new Map(); // name -> { method } or { get, set }
+        this.staticMembers = new Map();
+        this.instanceFields = []; // the ClassField nodes, set up by `new`
+    }
+
+    /**
+     * Finds a member along the inheritance chain, static or not:
+     * `{ method }` for a method, `{ get, set }` for accessors.
+     */
+    findMember(name, isStatic = false) {
+        const members = isStatic ? this.staticMembers : this.members;
+        if (members.has(name)) {
+            return members.get(name);
+        }
+        return this.superClass != null ? this.superClass.findMember(name, isStatic) : null;
+    }
+
+    /**
+     * Finds a method along the inheritance chain.
+     */
+    findMethod(name, isStatic = false) {
+        const member = this.findMember(name, isStatic);
+        return member != null && member.method != null ? member.method : null;
+    }
+}
+
+/**
+ * An object created with `new`.
+ */
+class LetterInstance extends LetterObject {
+    constructor(letterClass) {
+        super();
+        this.class = letterClass;
+    }
+}
+
+/**
+ * Thrown by a `return` statement, and caught by the function call.
+ */
+class ReturnSignal {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown by a `break` statement, and caught by the loop, switch or
+ * labeled statement it ends.
+ */
+class BreakSignal {
+    constructor(label) {
+        this.label = label; // null for the innermost loop or switch
+    }
+}
+
+/**
+ * Thrown by a `continue` statement, and caught by the loop it
+ * continues.
+ */
+class ContinueSignal {
+    constructor(label) {
+        this.label = label; // null for the innermost loop
+    }
+}
+
+/**
+ * A value thrown by a `throw` statement. It is an Error, so that an
+ * uncaught one is reported like the runtime errors.
+ */
+class Exception extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'Exception';
+    }
+}
+
+/**
+ * Converts a runtime value to its printable form.
+ */
+function stringify(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (value instanceof LetterClass) {
+        return `<class ${value.name}>`;
+    }
+    if (value instanceof LetterInstance) {
+        const fields = [...value.fields].map(([name, field]) => `${name}: ${stringify(field)}`);
+        return `${value.class.name} { ${fields.join(', ')} }`;
+    }
+    if (value instanceof LetterObject) {
+        const fields = [...value.fields].map(([name, field]) => `${name}: ${stringify(field)}`);
+        return fields.length > 0 ? `{ ${fields.join(', ')} }` : '{}';
+    }
+    if (Array.isArray(value)) {
+        // The holes of an array are null.
+        return `[${Array.from(value, element => stringify(element !== undefined ? element : null)).join(', ')}]`;
+    }
+    if (value instanceof LetterFunction) {
+        return value.name != null ? `<def ${value.name}>` : '<def>';
+    }
+    if (value instanceof BoundMethod) {
+        return `<def ${value.method.name}>`;
+    }
+    if (typeof value === 'function') {
+        return `<builtin ${value.name}>`;
+    }
+    return String(value);
+}
+
+/**
+ * Whether a property name is an array index.
+ */
+function isIndex(name) {
+    return Number.isInteger(name) && name >= 0;
+}
+
+/**
+ * Default global functions, implemented in JavaScript.
+ */
+const Builtins = {
+    print(...args) {
+        console.log(args.map(stringify).join(' '));
+        return null;
+    },
+};
+
+class Interpreter {
+
+    /**
+     * Initializes the interpreter.
+     *
+     * Options:
+     *  - builtins: global functions added to (or replacing) the
+     *    defaults, e.g. `{ print: (...args) => output.push(args) }`.
+     */
+    constructor(options = {}) {
+        this._parser = new Parser();
+        this.global = new Environment({
+            ...Builtins,
+            ...options.builtins,
+        });
+        this._module = null; // the Module being evaluated, see evaluateModules
+    }
+
+    /**
+     * Parses and evaluates a source string.
+     */
+    run(string) {
+        return this.evaluate(this._parser.parse(string));
+    }
+
+    /**
+     * Evaluates a Program AST in the global environment. Returns
+     * the value of the last statement.
+     */
+    evaluate(ast) {
+        return this._eval(ast, this.global);
+    }
+
+    /**
+     * Evaluates the modules of a program loaded by the Loader, each
+     * in a scope of its own after the modules it imports. Returns the
+     * value of the last statement of the root module.
+     */
+    evaluateModules(graph) {
+        this._namespaces = new Map(); // Module -> the object of its exports
+        let result = null;
+        for (const module of graph.order) {
+            const env = new Environment({}, this.global);
+            this._module = module;
+            try {
+                result = this._eval(module.ast, env);
+            } finally {
+                this._module = null;
+            }
+
+            const namespace = new LetterObject();
+            for (const name of module.exports.keys()) {
+                namespace.fields.set(name, env.lookup(name));
+            }
+            this._namespaces.set(module, namespace);
+        }
+        return result;
+    }
+
+    /**
+     * Evaluates a node in an environment.
+     */
+    _eval(node, env) {
+        if (typeof this[node.type] !== 'function') {
+            throw this._error(SyntaxError, `Unsupported node type: "${node.type}"`, node);
+        }
+        return this[node.type](node, env);
+    }
+
+    /**
+     * Evaluates a list of statements, returning the last value.
+     */
+    _evalBody(body, env) {
+        let result = null;
+        for (const statement of body) {
+            result = this._eval(statement, env);
+        }
+        return result;
+    }
+
+    // --------------------------------------
+    // Statements
+
+    Program(node, env) {
+        return this._evalBody(node.body, env);
+    }
+
+    BlockStatement(node, env) {
+        return this._evalBody(node.body, new Environment({}, env));
+    }
+
+    EmptyStatement() {
+        return null;
+    }
+
+    ExpressionStatement(node, env) {
+        return this._eval(node.expression, env);
+    }
+
+    VariableStatement(node, env) {
+        for (const declaration of node.declarations) {
+            const value = declaration.init != null ? this._eval(declaration.init, env) : null;
+            this._destructure(declaration.id, value, env, true);
+        }
+        return null;
+    }
+
+    IfStatement(node, env) {
+        if (this._eval(node.test, env)) {
+            return this._eval(node.consequent, env);
+        }
+        return node.alternate != null ? this._eval(node.alternate, env) : null;
+    }
+
+    WhileStatement(node, env, labels = []) {
+        while (this._eval(node.test, env)) {
+            if (!this._iterate(node, env, labels)) {
+                break;
+            }
+        }
+        return null;
+    }
+
+    DoStatement(node, env, labels = []) {
+        do {
+            if (!this._iterate(node, env, labels)) {
+                break;
+            }
+        } while (this._eval(node.test, env));
+        return null;
+    }
+
+    ForStatement(node, env, labels = []) {
+        // The `let` of the initializer is scoped to the loop.
+        const loopEnv = new Environment({}, env);
+        if (node.init != null) {
+            this._eval(node.init, loopEnv);
+        }
+        while (node.test == null || this._eval(node.test, loopEnv)) {
+            if (!this._iterate(node, loopEnv, labels)) {
+                break;
+            }
+            if (node.update != null) {
+                this._eval(node.update, loopEnv);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Runs an iteration of a loop, given the labels of the loop:
+     * false if a `break` ends the loop. A `continue` to this loop
+     * ends the iteration only.
+     */
+    _iterate(node, env, labels) {
+        try {
+            this._eval(node.body, env);
+        } catch (signal) {
+            if (signal instanceof BreakSignal && signal.label === null) {
+                return false;
+            }
+            if (signal instanceof ContinueSignal && (signal.label === null || labels.includes(signal.label))) {
+                return true;
+            }
+            throw signal;
+        }
+        return true;
+    }
+
+    BreakStatement(node) {
+        throw new BreakSignal(node.label != null ? node.label.name : null);
+    }
+
+    ContinueStatement(node) {
+        throw new ContinueSignal(node.label != null ? node.label.name : null);
+    }
+
+    LabeledStatement(node, env, labels = []) {
+        labels = [...labels, node.label.name];
+        try {
+            // A loop gets its labels, for `continue`.
+            return this[node.body.type](node.body, env, labels);
+        } catch (signal) {
+            if (signal instanceof BreakSignal && signal.label === node.label.name) {
+                return null;
+            }
+            throw signal;
+        }
+    }
+
+    SwitchStatement(node, env) {
+        const discriminant = this._eval(node.discriminant, env);
+        // The clauses share a scope.
+        const switchEnv = new Environment({}, env);
+
+        // The tests run in order up to a match; the default clause
+        // is taken if none does, wherever it is.
+        let index = node.cases.findIndex(switchCase =>
+            switchCase.test !== null && this._eval(switchCase.test, switchEnv) === discriminant);
+        if (index === -1) {
+            index = node.cases.findIndex(switchCase => switchCase.test === null);
+        }
+        if (index === -1) {
+            return null;
+        }
+
+        // Falls through the next clauses, up to a `break`.
+        try {
+            for (const switchCase of node.cases.slice(index)) {
+                this._evalBody(switchCase.consequent, switchEnv);
+            }
+        } catch (signal) {
+            if (signal instanceof BreakSignal && signal.label === null) {
+                return null;
+            }
+            throw signal;
+        }
+        return null;
+    }
+
+    /**
+     * Binds the imported names to the exports of the imported module,
+     * which ran before. The graph may have the errors which the Loader
+     * reports (a missing module or export, an import cycle): they are
+     * runtime errors here.
+     */
+    ImportDeclaration(node, env) {
+        if (this._module == null) {
+            throw this._error(ReferenceError, `Cannot import "${node.source.value}": the program wasn't loaded with its modules`, node);
+        }
+        const dependency = this._module.dependencies.get(node);
+        if (dependency == null) {
+            throw this._error(ReferenceError, `Cannot find module "${node.source.value}"`, node.source);
+        }
+        const namespace = this._namespaces.get(dependency);
+        if (namespace == null) {
+            throw this._error(ReferenceError, `Cannot import "${node.source.value}" before it is evaluated, in an import cycle`, node.source);
+        }
+        for (const specifier of node.specifiers) {
+            if (specifier.type === 'ImportNamespaceSpecifier') {
+                this._define(env, specifier.local, namespace);
+                continue;
+            }
+            const name = specifier.imported.name;
+            if (!namespace.fields.has(name)) {
+                throw this._error(ReferenceError, `Module "${node.source.value}" has no export "${name}"`, specifier.imported);
+            }
+            this._define(env, specifier.local, namespace.fields.get(name));
+        }
+        return null;
+    }
+
+    ExportDeclaration(node, env) {
+        return this._eval(node.declaration, env);
+    }
+
+    ThrowStatement(node, env) {
+        const value = this._eval(node.argument, env);
+        const error = this._error(Exception, stringify(value), node);
+        error.thrown = value;
+        throw error;
+    }
+
+    /**
+     * The `catch` handles the exceptions of the program: the `throw`n
+     * values, and the runtime errors, seen as `{ name, message }`
+     * objects. The `finally` block runs however the `try` ends.
+     */
+    TryStatement(node, env) {
+        try {
+            return this._eval(node.block, env);
+        } catch (error) {
+            if (node.handler == null || !(error instanceof Error) || !('thrown' in error)) {
+                throw error;
+            }
+            return this.CatchClause(node.handler, env, error.thrown);
+        } finally {
+            if (node.finalizer != null) {
+                this._eval(node.finalizer, env);
+            }
+        }
+    }
+
+    /**
+     * The parameter and the body of a `catch` share a scope.
+     */
+    CatchClause(node, env, value) {
+        const catchEnv = new Environment({}, env);
+        if (node.param != null) {
+            this._define(catchEnv, node.param, value);
+        }
+        return this._evalBody(node.body.body, catchEnv);
+    }
+
+    FunctionDeclaration(node, env) {
+        return this._define(env, node.name, new LetterFunction(node, env));
+    }
+
+    ReturnStatement(node, env) {
+        throw new ReturnSignal(node.argument != null ? this._eval(node.argument, env) : null);
+    }
+
+    ClassDeclaration(node, env) {
+        let superClass = null;
+        if (node.superClass != null) {
+            superClass = this._eval(node.superClass, env);
+            if (!(superClass instanceof LetterClass)) {
+                throw this._error(TypeError, `Class "${node.id.name}" extends a value that is not a class`, node.superClass);
+            }
+        }
+
+        const letterClass = new LetterClass(node.id.name, superClass, env);
+        for (const member of node.body.body) {
+            if (member.type === 'ClassField') {
+                if (!member.static) {
+                    letterClass.instanceFields.push(member);
+                }
+                continue;
+            }
+            const members = member.static ? letterClass.staticMembers : letterClass.members;
+            const fn = new LetterFunction(member.value, env, letterClass, member);
+            if (member.kind === 'get' || member.kind === 'set') {
+                // A getter and its setter share an entry.
+                const accessors = members.get(member.key.name) || { get: null, set: null };
+                accessors[member.kind] = fn;
+                members.set(member.key.name, accessors);
+            } else {
+                members.set(member.key.name, { method: fn });
+            }
+        }
+        this._define(env, node.id, letterClass);
+
+        // The static fields, in order, once the class is defined: their
+        // initializers may refer to it.
+        for (const member of node.body.body) {
+            if (member.type === 'ClassField' && member.static) {
+                letterClass.fields.set(member.key.name, this._fieldValue(member, letterClass, letterClass));
+            }
+        }
+        return letterClass;
+    }
+
+    // --------------------------------------
+    // Expressions
+
+    AssignmentExpression(node, env) {
+        let value = this._eval(node.right, env);
+        if (node.operator !== '=') {
+            // Complex assignment: `x += 1` is `x = x + 1`.
+            value = this._binary(node.operator.slice(0, -1), this._eval(node.left, env), value, node);
+        }
+
+        if (node.left.type === 'Identifier') {
+            return this._assign(env, node.left, value);
+        }
+        if (node.left.type === 'ArrayPattern' || node.left.type === 'ObjectPattern') {
+            this._destructure(node.left, value, env, false);
+            return value;
+        }
+
+        return this._setProperty(this._memberObject(node.left, env), this._propertyName(node.left, env), value, node.left);
+    }
+
+    /**
+     * `a ? b : c` evaluates only one of `b` and `c`.
+     */
+    ConditionalExpression(node, env) {
+        return this._eval(node.test, env) ? this._eval(node.consequent, env) : this._eval(node.alternate, env);
+    }
+
+    /**
+     * `++x` and `x++` both add 1 to the number in `x`: the prefix form
+     * evaluates to the new value, the postfix form to the old one.
+     */
+    UpdateExpression(node, env) {
+        const argument = node.argument;
+        let object;
+        let name;
+        let old;
+        if (argument.type === 'Identifier') {
+            old = this._eval(argument, env);
+        } else {
+            object = this._memberObject(argument, env);
+            name = this._propertyName(argument, env);
+            old = argument.object.type === 'Super' ?
+                this._superProperty(argument, name, env) : this._getProperty(object, name, argument);
+        }
+
+        old = +old;
+        const value = node.operator === '++' ? old + 1 : old - 1;
+        if (argument.type === 'Identifier') {
+            this._assign(env, argument, value);
+        } else {
+            this._setProperty(object, name, value, argument);
+        }
+        return node.prefix ? value : old;
+    }
+
+    LogicalExpression(node, env) {
+        const left = this._eval(node.left, env);
+        if (node.operator === '&&') {
+            return left ? this._eval(node.right, env) : left;
+        }
+        return left ? left : this._eval(node.right, env);
+    }
+
+    BinaryExpression(node, env) {
+        return this._binary(node.operator, this._eval(node.left, env), this._eval(node.right, env), node);
+    }
+
+    UnaryExpression(node, env) {
+        const argument = this._eval(node.argument, env);
+        switch (node.operator) {
+            case '-':
+                return -argument;
+            case '+':
+                return +argument;
+            case '!':
+                return !argument;
+            case '~':
+                return ~argument;
+        }
+        throw this._error(SyntaxError, `Unknown unary operator: "${node.operator}"`, node);
+    }
+
+    Identifier(node, env) {
+        try {
+            return env.lookup(node.name);
+        } catch (error) {
+            throw this._error(ReferenceError, error.message, node);
+        }
+    }
+
+    MemberExpression(node, env) {
+        if (node.object.type === 'Super') {
+            return this._superProperty(node, this._propertyName(node, env), env);
+        }
+        return this._getProperty(this._eval(node.object, env), this._propertyName(node, env), node);
+    }
+
+    /**
+     * A function called as a property, `object.f()`, gets the
+     * object as `this`; `super.f()` keeps the current one.
+     */
+    CallExpression(node, env) {
+        const args = this._elements(node.arguments, env);
+
+        if (node.callee.type === 'Super') {
+            return this._superCall(node, args, env);
+        }
+
+        let callee;
+        let thisValue = null;
+        if (node.callee.type === 'MemberExpression' && node.callee.object.type !== 'Super') {
+            thisValue = this._eval(node.callee.object, env);
+            callee = this._getProperty(thisValue, this._propertyName(node.callee, env), node.callee);
+        } else {
+            callee = this._eval(node.callee, env);
+        }
+
+        if (callee instanceof BoundMethod) {
+            return this._callFunction(callee.method, args, callee.thisValue);
+        }
+        if (callee instanceof LetterFunction) {
+            return this._callFunction(callee, args, thisValue);
+        }
+        if (typeof callee === 'function') {
+            return callee(...args);
+        }
+        throw this._error(TypeError, `${stringify(callee)} is not a function`, node.callee);
+    }
+
+    NewExpression(node, env) {
+        const letterClass = this._eval(node.callee, env);
+        if (!(letterClass instanceof LetterClass)) {
+            throw this._error(TypeError, `${stringify(letterClass)} is not a class`, node.callee);
+        }
+
+        const args = this._elements(node.arguments, env);
+        const instance = new LetterInstance(letterClass);
+        this._initializeFields(instance, letterClass);
+        const constructor = letterClass.findMethod('constructor');
+        if (constructor != null) {
+            this._callFunction(constructor, args, instance);
+        }
+        return instance;
+    }
+
+    ArrayLiteral(node, env) {
+        return this._elements(node.elements, env);
+    }
+
+    /**
+     * `...value` copies the fields of an object, or the elements of
+     * an array (or the characters of a string) under their indexes;
+     * spreading null copies nothing.
+     */
+    ObjectLiteral(node, env) {
+        const object = new LetterObject();
+        for (const property of node.properties) {
+            if (property.type !== 'SpreadElement') {
+                object.fields.set(this._propertyKey(property, env), this._eval(property.value, env));
+                continue;
+            }
+            const value = this._eval(property.argument, env);
+            if (value instanceof LetterObject) {
+                for (const [key, field] of value.fields) {
+                    object.fields.set(key, field);
+                }
+            } else if (Array.isArray(value) || typeof value === 'string') {
+                Array.from(value).forEach((element, index) => object.fields.set(String(index), element !== undefined ? element : null));
+            } else if (value !== null) {
+                throw this._error(TypeError, `Cannot spread ${stringify(value)}, which is not an object, an array or a string`, property.argument);
+            }
+        }
+        return object;
+    }
+
+    FunctionExpression(node, env) {
+        return new LetterFunction(node, env);
+    }
+
+    ArrowFunctionExpression(node, env) {
+        return new LetterFunction(node, env);
+    }
+
+    ThisExpression(node, env) {
+        const frame = this._frame(env);
+        if (frame == null || frame.thisValue == null) {
+            throw this._error(SyntaxError, `"this" is only allowed inside methods`, node);
+        }
+        return frame.thisValue;
+    }
+
+    NumericLiteral(node) {
+        return node.value;
+    }
+
+    StringLiteral(node) {
+        return node.value;
+    }
+
+    /**
+     * The values are converted as `print` does.
+     */
+    TemplateLiteral(node, env) {
+        let value = node.quasis[0].value.cooked;
+        node.expressions.forEach((expression, i) => {
+            value += stringify(this._eval(expression, env)) + node.quasis[i + 1].value.cooked;
+        });
+        return value;
+    }
+
+    BooleanLiteral(node) {
+        return node.value;
+    }
+
+    NullLiteral() {
+        return null;
+    }
+
+    // --------------------------------------
+    // Helpers
+
+    /**
+     * Calls a user function: binds the parameters in a new environment
+     * on top of the closure, and unwinds on `return`. An arrow function
+     * has no frame of its own: `this` and `super` are those of the
+     * function around it.
+     */
+    _callFunction(fn, args, thisValue) {
+        const env = new Environment({}, fn.closure);
+        const isArrow = fn.node.type === 'ArrowFunctionExpression';
+        if (!isArrow) {
+            env.frame = {
+                thisValue,
+                method: fn,
+                homeClass: fn.homeClass,
+                isStatic: fn.isStatic,
+            };
+        }
+        fn.node.params.forEach((param, index) => this._bindParameter(param, index, args, env));
+
+        if (isArrow && fn.node.body.type !== 'BlockStatement') {
+            return this._eval(fn.node.body, env);
+        }
+
+        try {
+            this._evalBody(fn.node.body.body, env);
+        } catch (signal) {
+            if (signal instanceof ReturnSignal) {
+                return signal.value;
+            }
+            throw signal;
+        }
+        return null;
+    }
+
+    /**
+     * Binds a parameter to its argument. A missing argument is null,
+     * or the default value, evaluated once the parameters before it
+     * are bound; a rest parameter gets the array of the remaining ones.
+     */
+    _bindParameter(param, index, args, env) {
+        if (param.type === 'RestElement') {
+            return this._destructure(param.argument, args.slice(index), env, true);
+        }
+        return this._destructure(param, index < args.length ? args[index] : undefined, env, true);
+    }
+
+    /**
+     * Assigns a value to a pattern: to a variable, defined if
+     * `declare` is set, to a property, or piece by piece to the
+     * elements of an ArrayPattern or the fields of an ObjectPattern.
+     * A missing value (undefined) is the default of an
+     * AssignmentPattern, evaluated then, or null.
+     */
+    _destructure(target, value, env, declare) {
+        if (target.type === 'AssignmentPattern') {
+            return this._destructure(target.left, value !== undefined ? value : this._eval(target.right, env), env, declare);
+        }
+        if (value === undefined) {
+            value = null;
+        }
+        switch (target.type) {
+            case 'Identifier':
+                return declare ? this._define(env, target, value) : this._assign(env, target, value);
+            case 'MemberExpression':
+                return this._setProperty(this._memberObject(target, env), this._propertyName(target, env), value, target);
+            case 'ArrayPattern':
+                return this._destructureArray(target, value, env, declare);
+            case 'ObjectPattern':
+                return this._destructureObject(target, value, env, declare);
+        }
+    }
+
+    /**
+     * `[a, , b, ...rest]` takes the elements of an array, or the
+     * characters of a string, by position; the RestElement gets an
+     * array of the remaining ones.
+     */
+    _destructureArray(pattern, value, env, declare) {
+        if (!Array.isArray(value) && typeof value !== 'string') {
+            throw this._error(TypeError, `Cannot destructure ${stringify(value)}, which is not an array or a string`, pattern);
+        }
+        const elements = Array.from(value);
+        pattern.elements.forEach((element, index) => {
+            if (element == null) {
+                return;
+            }
+            if (element.type === 'RestElement') {
+                const rest = elements.slice(index).map(item => item !== undefined ? item : null);
+                this._destructure(element.argument, rest, env, declare);
+                return;
+            }
+            this._destructure(element, elements[index], env, declare);
+        });
+    }
+
+    /**
+     * `{ a, b: c, ...rest }` reads the properties of a value, as
+     * `value.a` and `value.b` do; the RestElement gets a new object
+     * with the other fields.
+     */
+    _destructureObject(pattern, value, env, declare) {
+        if (!(value instanceof LetterObject) && !Array.isArray(value) && typeof value !== 'string') {
+            throw this._error(TypeError, `Cannot destructure ${stringify(value)}, which is not an object, an array or a string`, pattern);
+        }
+        const taken = new Set();
+        for (const property of pattern.properties) {
+            if (property.type === 'RestElement') {
+                const rest = new LetterObject();
+                if (value instanceof LetterObject) {
+                    for (const [key, field] of value.fields) {
+                        if (!taken.has(key)) {
+                            rest.fields.set(key, field);
+                        }
+                    }
+                }
+                this._destructure(property.argument, rest, env, declare);
+                continue;
+            }
+            const key = this._propertyKey(property, env);
+            taken.add(key);
+            this._destructure(property.value, this._findProperty(value, key, property), env, declare);
+        }
+    }
+
+    /**
+     * The name of a Property of an object literal or pattern.
+     */
+    _propertyKey(property, env) {
+        if (property.computed) {
+            return String(this._eval(property.key, env));
+        }
+        return property.key.type === 'Identifier' ? property.key.name : property.key.value;
+    }
+
+    /**
+     * Evaluates the arguments of a call, or the elements of an
+     * ArrayLiteral, spreading the elements of an array (or the
+     * characters of a string) after `...`. A hole is null.
+     */
+    _elements(nodes, env) {
+        const args = [];
+        for (const node of nodes) {
+            if (node == null) {
+                args.push(null);
+                continue;
+            }
+            if (node.type !== 'SpreadElement') {
+                args.push(this._eval(node, env));
+                continue;
+            }
+            const value = this._eval(node.argument, env);
+            if (!Array.isArray(value) && typeof value !== 'string') {
+                throw this._error(TypeError, `Cannot spread ${stringify(value)}, which is not an array or a string`, node.argument);
+            }
+            // The holes of an array are null.
+            args.push(...Array.from(value, element => element !== undefined ? element : null));
+        }
+        return args;
+    }
+
+    /**
+     * `super(...)` calls the method of the same name in the parent of
+     * the class defining the current method: the parent constructor
+     * from `constructor`, or the overridden method otherwise.
+     */
+    _superCall(node, args, env) {
+        const { frame, parent } = this._superContext(node.callee, env);
+        if (frame.method == null) {
+            throw this._error(SyntaxError, `"super(...)" is only allowed inside methods`, node.callee);
+        }
+
+        const name = frame.method.name;
+        const method = parent.findMethod(name, frame.isStatic);
+        if (method == null) {
+            // A missing parent constructor is a no-op.
+            if (name === 'constructor') {
+                return null;
+            }
+            throw this._error(TypeError, `Parent class "${parent.name}" has no method "${name}"`, node.callee);
+        }
+        return this._callFunction(method, args, frame.thisValue);
+    }
+
+    /**
+     * `super.name` reads a member of the parent class with the current
+     * `this`: a method bound to it, or the value of its getter.
+     */
+    _superProperty(node, name, env) {
+        const { frame, parent } = this._superContext(node.object, env);
+        const value = this._lookupMember(parent, String(name), frame.isStatic, frame.thisValue);
+        return value !== undefined ? value : null;
+    }
+
+    /**
+     * The frame of the method (or field initializer) where `super`
+     * appears, and the parent class `super` refers to.
+     */
+    _superContext(node, env) {
+        const frame = this._frame(env);
+        if (frame == null || frame.homeClass == null) {
+            throw this._error(SyntaxError, `"super" is only allowed inside methods`, node);
+        }
+        const parent = frame.homeClass.superClass;
+        if (parent == null) {
+            throw this._error(SyntaxError, `Class "${frame.homeClass.name}" has no parent class for "super"`, node);
+        }
+        return { frame, parent };
+    }
+
+    /**
+     * The object whose property a member expression writes: `this`
+     * for `super.name`.
+     */
+    _memberObject(node, env) {
+        if (node.object.type === 'Super') {
+            return this._superContext(node.object, env).frame.thisValue;
+        }
+        return this._eval(node.object, env);
+    }
+
+    /**
+     * Sets up the fields of a new instance, the parent class's first,
+     * before any constructor runs.
+     */
+    _initializeFields(instance, letterClass) {
+        if (letterClass.superClass != null) {
+            this._initializeFields(instance, letterClass.superClass);
+        }
+        for (const field of letterClass.instanceFields) {
+            instance.fields.set(field.key.name, this._fieldValue(field, letterClass, instance));
+        }
+    }
+
+    /**
+     * The initial value of a field: its initializer runs with the
+     * instance (or the class, for a static field) as `this`.
+     */
+    _fieldValue(field, letterClass, thisValue) {
+        if (field.value == null) {
+            return null;
+        }
+        const env = new Environment({}, letterClass.closure);
+        env.frame = {
+            thisValue,
+            method: null,
+            homeClass: letterClass,
+            isStatic: field.static,
+        };
+        return this._eval(field.value, env);
+    }
+
+    /**
+     * Defines the variable of a declaring Identifier, which is where
+     * a redefinition is reported.
+     */
+    _define(env, identifier, value) {
+        try {
+            return env.define(identifier.name, value);
+        } catch (error) {
+            throw this._error(ReferenceError, error.message, identifier);
+        }
+    }
+
+    /**
+     * Assigns the variable of an Identifier, which is where an
+     * undefined one is reported.
+     */
+    _assign(env, identifier, value) {
+        try {
+            return env.assign(identifier.name, value);
+        } catch (error) {
+            throw this._error(ReferenceError, error.message, identifier);
+        }
+    }
+
+    /**
+     * Finds the innermost function call frame of an environment.
+     */
+    _frame(env) {
+        for (let scope = env; scope != null; scope = scope.parent) {
+            if (scope.frame != null) {
+                return scope.frame;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Name of the property of a member expression: `a.b` or `a[expr]`.
+     */
+    _propertyName(node, env) {
+        return node.computed ? this._eval(node.property, env) : node.property.name;
+    }
+
+    /**
+     * Writes a property: a field of an object (through its setter, if
+     * its class has one), or an element of an array.
+     */
+    _setProperty(object, name, value, node) {
+        if (object instanceof LetterObject) {
+            const key = String(name);
+            const accessors = object.fields.has(key) ? null : this._accessors(object, key);
+            if (accessors == null) {
+                object.fields.set(key, value);
+            } else if (accessors.set != null) {
+                this._callFunction(accessors.set, [value], object);
+            } else {
+                throw this._error(TypeError, `Cannot set property "${key}", which has only a getter`, node);
+            }
+        } else if (Array.isArray(object) && isIndex(name)) {
+            object[name] = value;
+        } else {
+            throw this._error(TypeError, `Cannot set property of ${stringify(object)}`, node);
+        }
+        return value;
+    }
+
+    /**
+     * Reads a property: a field, method or getter of an object (the
+     * static ones of a class), an element or the `length` of an array
+     * or string. A missing one is null.
+     */
+    _getProperty(object, name, node) {
+        const value = this._findProperty(object, name, node);
+        return value !== undefined ? value : null;
+    }
+
+    /**
+     * Reads a property as _getProperty does, but returns undefined if
+     * there is no such property.
+     */
+    _findProperty(object, name, node) {
+        if (object instanceof LetterClass) {
+            return this._lookupMember(object, String(name), true, object);
+        }
+        if (object instanceof LetterObject) {
+            const key = String(name);
+            if (object.fields.has(key)) {
+                return object.fields.get(key);
+            }
+            return object instanceof LetterInstance ? this._lookupMember(object.class, key, false, object) : undefined;
+        }
+
+        if (Array.isArray(object)) {
+            if (name === 'length') {
+                return object.length;
+            }
+            return isIndex(name) ? object[name] : undefined;
+        }
+
+        if (typeof object === 'string') {
+            return name === 'length' ? object.length : object[name];
+        }
+
+        throw this._error(TypeError, `Cannot read property "${name}" of ${stringify(object)}`, node);
+    }
+
+    /**
+     * Reads a member along the inheritance chain from a class: a method
+     * bound to `thisValue`, or the value of a getter called on it. On
+     * the static side, the static fields of each class come first.
+     * Returns undefined if there is no such member.
+     */
+    _lookupMember(letterClass, key, isStatic, thisValue) {
+        for (let current = letterClass; current != null; current = current.superClass) {
+            if (isStatic && current.fields.has(key)) {
+                return current.fields.get(key);
+            }
+            const member = (isStatic ? current.staticMembers : current.members).get(key);
+            if (member == null) {
+                continue;
+            }
+            if (member.method != null) {
+                return new BoundMethod(member.method, thisValue);
+            }
+            // A setter without a getter reads as null.
+            return member.get != null ? this._callFunction(member.get, [], thisValue) : null;
+        }
+        return undefined;
+    }
+
+    /**
+     * The getter and setter `{ get, set }` which a property of an
+     * instance or a class goes through, unless it is a field.
+     */
+    _accessors(object, key) {
+        let member = null;
+        if (object instanceof LetterClass) {
+            member = object.findMember(key, true);
+        } else if (object instanceof LetterInstance) {
+            member = object.class.findMember(key);
+        }
+        return member != null && member.method == null ? member : null;
+    }
+
+    /**
+     * Applies a binary operator.
+     */
+    _binary(operator, left, right, node) {
+        switch (operator) {
+            case '+':
+                return left + right;
+            case '-':
+                return left - right;
+            case '*':
+                return left * right;
+            case '/':
+                return left / right;
+            case '%':
+                return left % right;
+            case '**':
+                return left ** right;
+            case '<<':
+                return left << right;
+            case '>>':
+                return left >> right;
+            case '>>>':
+                return left >>> right;
+            case '&':
+                return left & right;
+            case '|':
+                return left | right;
+            case '^':
+                return left ^ right;
+            case '<':
+                return left < right;
+            case '>':
+                return left > right;
+            case '<=':
+                return left <= right;
+            case '>=':
+                return left >= right;
+            case '==':
+                return left === right;
+            case '!=':
+                return left !== right;
+        }
+        throw this._error(SyntaxError, `Unknown binary operator: "${operator}"`, node);
+    }
+
+    /**
+     * Builds a runtime error at a node, located when the AST was
+     * parsed with locations. A `catch` gets it as the object
+     * `thrown`, `{ name, message }`.
+     */
+    _error(ErrorClass, message, node) {
+        let error;
+        if (node.loc == null) {
+            error = new ErrorClass(message);
+        } else {
+            const { line, column } = node.loc.start;
+            error = new ErrorClass(`${message} (${line}:${column})`);
+            error.pos = node.range[0];
+            error.loc = { line, column };
+        }
+        error.node = node;
+        error.thrown = new LetterObject();
+        error.thrown.fields.set('name', error.name);
+        error.thrown.fields.set('message', message);
+        return error;
+    }
+}
+
+module.exports = {
+    Interpreter,
+    Environment,
+    Exception,
+    stringify,
+}
@@ -0,0 +1,642 @@
+/**
+ * Letter to JavaScript compiler: emits equivalent, readable
+ * JavaScript code from the Parser's AST.
+ */
+
+const { patternIdentifiers } = require('./Analyzer');
+
+/**
+ * Binding power of the JavaScript operators, used to decide on
+ * parentheses in the output.
+ */
+const JSPrecedence = {
+    '=': 2,
+    '||': 3,
+    '&&': 4,
+    '|': 5,
+    '^': 6,
+    '&': 7,
+    '===': 8,
+    '!==': 8,
+    '<': 9,
+    '>': 9,
+    '<=': 9,
+    '>=': 9,
+    '<<': 10,
+    '>>': 10,
+    '>>>': 10,
+    '+': 11,
+    '-': 11,
+    '*': 12,
+    '/': 12,
+    '%': 12,
+    '**': 13,
+};
+
+/**
+ * Letter operators which are spelled differently in JavaScript.
+ */
+const JSOperators = {
+    '==': '===',
+    '!=': '!==',
+};
+
+/**
+ * Names which can't be used as identifiers in JavaScript, including
+ * the strict mode ones (in modules and class bodies).
+ */
+const JSReservedWords = new Set([
+    'await', 'break', 'case', 'catch', 'const', 'continue', 'debugger',
+    'default', 'delete', 'enum', 'export', 'finally', 'function', 'import',
+    'in', 'instanceof', 'switch', 'throw', 'try', 'typeof', 'var', 'void',
+    'with', 'yield', 'arguments', 'eval',
+    'implements', 'interface', 'let', 'package', 'private', 'protected',
+    'public', 'static',
+]);
+
+/**
+ * JavaScript implementation of the Letter builtins, emitted when used.
+ */
+const Prelude = {
+    print: 'const print = (...args) => console.log(...args);',
+};
+
+class JSCompiler {
+
+    /**
+     * Compiles a Program AST to JavaScript code. Throws an error
+     * listing every construct which can't be translated.
+     */
+    compile(ast) {
+        this._unsupported = [];
+        this._usedBuiltins = new Set();
+        this._method = null; // the class method being compiled
+        this._indent = '';
+
+        const body = this._gen(ast);
+
+        if (this._unsupported.length > 0) {
+            const list = this._unsupported.map(({ type, reason, loc }) =>
+                `  ${type}: ${reason}${loc != null ? ` (${loc.start.line}:${loc.start.column})` : ''}`);
+            const error = new Error(`Cannot compile to JavaScript:\n${list.join('\n')}`);
+            error.unsupported = this._unsupported;
+            throw error;
+        }
+
+        // A program may define (or import) its own builtins.
+        const declared = new Set();
+        for (const statement of ast.body) {
+            const declaration = statement.type === 'ExportDeclaration' ? statement.declaration : statement;
+            if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+                declared.add((declaration.name || declaration.id).name);
+            } else if (declaration.type === 'ImportDeclaration') {
+                declaration.specifiers.forEach(specifier => declared.add(specifier.local.name));
+            } else if (declaration.type === 'VariableStatement') {
+                declaration.declarations.flatMap(({ id }) => patternIdentifiers(id))
+                    .forEach(identifier => declared.add(identifier.name));
+            }
+        }
+        const prelude = [...this._usedBuiltins]
+            .filter(name => !declared.has(name))
+            .map(name => Prelude[name] + '\n');
+        return (prelude.length > 0 ? prelude.join('') + '\n' : '') + body;
+    }
+
+    /**
+     * Generates the code for a node.
+     */
+    _gen(node) {
+        if (typeof this[node.type] !== 'function') {
+            return this._unsupportedNode(node, 'no JavaScript equivalent');
+        }
+        return this[node.type](node);
+    }
+
+    /**
+     * Records a construct which can't be translated.
+     */
+    _unsupportedNode(node, reason) {
+        this._unsupported.push({ type: node.type, reason, loc: node.loc });
+        return `/* ${node.type} */`;
+    }
+
+    /**
+     * Generates an expression, parenthesized if it binds looser
+     * than its position requires.
+     */
+    _expression(node, minPrecedence = 0) {
+        const code = this._gen(node);
+        return this._precedence(node) < minPrecedence ? `(${code})` : code;
+    }
+
+    /**
+     * JavaScript binding power of an expression.
+     */
+    _precedence(node) {
+        switch (node.type) {
+            case 'AssignmentExpression':
+            case 'ArrowFunctionExpression':
+            case 'ConditionalExpression':
+                return JSPrecedence['='];
+            case 'LogicalExpression':
+            case 'BinaryExpression':
+                return JSPrecedence[JSOperators[node.operator] || node.operator];
+            case 'UnaryExpression':
+                return 14;
+            case 'UpdateExpression':
+                return 15;
+            default:
+                // Member, call, new, and primary expressions.
+                return 17;
+        }
+    }
+
+    /**
+     * The leftmost operand of an expression, where its code starts.
+     */
+    _leftmost(node) {
+        switch (node.type) {
+            case 'AssignmentExpression':
+            case 'LogicalExpression':
+            case 'BinaryExpression':
+                return this._leftmost(node.left);
+            case 'ConditionalExpression':
+                return this._leftmost(node.test);
+            case 'UpdateExpression':
+                return node.prefix ? node : this._leftmost(node.argument);
+            case 'MemberExpression':
+                return this._leftmost(node.object);
+            case 'CallExpression':
+                return this._leftmost(node.callee);
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Generates statements one per line, at one more indentation level.
+     */
+    _block(statements) {
+        if (statements.length === 0) {
+            return '{}';
+        }
+        const outer = this._indent;
+        this._indent += '    ';
+        const body = statements.map(statement => this._indent + this._gen(statement)).join('\n');
+        this._indent = outer;
+        return `{\n${body}\n${outer}}`;
+    }
+
+    /**
+     * Generates the body of an `if`, `else` or loop.
+     */
+    _body(node) {
+        return node.type === 'EmptyStatement' ? ';' : ' ' + this._gen(node);
+    }
+
+    /**
+     * Generates a function's parameters and body.
+     */
+    _function(node) {
+        const params = node.params.map(param => this._gen(param)).join(', ');
+        return `(${params}) ${this._gen(node.body)}`;
+    }
+
+    /**
+     * Generates a list of arguments.
+     */
+    _arguments(args) {
+        return `(${args.map(arg => this._expression(arg, JSPrecedence['='])).join(', ')})`;
+    }
+
+    // --------------------------------------
+    // Statements
+
+    /**
+     * The imports and exports are those of an ES module.
+     */
+    ImportDeclaration(node) {
+        let clause;
+        if (node.specifiers.length > 0 && node.specifiers[0].type === 'ImportNamespaceSpecifier') {
+            clause = `* as ${this._gen(node.specifiers[0].local)}`;
+        } else {
+            const specifiers = node.specifiers.map(specifier => specifier.imported.name === specifier.local.name
+                ? this._gen(specifier.local)
+                : `${this._gen(specifier.imported)} as ${this._gen(specifier.local)}`);
+            clause = specifiers.length > 0 ? `{ ${specifiers.join(', ')} }` : '{}';
+        }
+        return `import ${clause} from ${this._gen(node.source)};`;
+    }
+
+    ExportDeclaration(node) {
+        return `export ${this._gen(node.declaration)}`;
+    }
+
+    Program(node) {
+        return node.body.map(statement => this._gen(statement) + '\n').join('');
+    }
+
+    BlockStatement(node) {
+        return this._block(node.body);
+    }
+
+    EmptyStatement() {
+        return ';';
+    }
+
+    /**
+     * A statement starting with `function` or `{` would be a declaration
+     * or a block in JavaScript, so the expression is parenthesized then.
+     */
+    ExpressionStatement(node) {
+        const code = this._expression(node.expression);
+        const leftmost = this._leftmost(node.expression).type;
+        return leftmost === 'FunctionExpression' || leftmost === 'ObjectLiteral' || leftmost === 'ObjectPattern'
+            ? `(${code});`
+            : code + ';';
+    }
+
+    VariableStatement(node) {
+        return this._declarations(node) + ';';
+    }
+
+    /**
+     * The `let` declarations without the `;` (also used by `for`).
+     */
+    _declarations(node) {
+        return 'let ' + node.declarations.map(declaration => this._gen(declaration)).join(', ');
+    }
+
+    /**
+     * A variable without an initializer starts as null, as in Letter.
+     */
+    VariableDeclaration(node) {
+        const init = node.init != null ? this._expression(node.init, JSPrecedence['=']) : 'null';
+        return `${this._gen(node.id)} = ${init}`;
+    }
+
+    IfStatement(node) {
+        let code = `if (${this._expression(node.test)})${this._body(node.consequent)}`;
+        if (node.alternate != null) {
+            const separator = node.consequent.type === 'BlockStatement' ? ' ' : '\n' + this._indent;
+            code += `${separator}else${this._body(node.alternate)}`;
+        }
+        return code;
+    }
+
+    FunctionDeclaration(node) {
+        const outer = this._method;
+        this._method = null;
+        const code = `function ${this._gen(node.name)}${this._function(node)}`;
+        this._method = outer;
+        return code;
+    }
+
+    ReturnStatement(node) {
+        return node.argument != null ? `return ${this._expression(node.argument)};` : 'return;';
+    }
+
+    ThrowStatement(node) {
+        return `throw ${this._expression(node.argument)};`;
+    }
+
+    TryStatement(node) {
+        let code = `try ${this._gen(node.block)}`;
+        if (node.handler != null) {
+            code += ' ' + this._gen(node.handler);
+        }
+        if (node.finalizer != null) {
+            code += ` finally ${this._gen(node.finalizer)}`;
+        }
+        return code;
+    }
+
+    CatchClause(node) {
+        const param = node.param != null ? ` (${this._gen(node.param)})` : '';
+        return `catch${param} ${this._gen(node.body)}`;
+    }
+
+    /**
+     * The members of the body become those of a JavaScript class,
+     * `def constructor` the class constructor.
+     */
+    ClassDeclaration(node) {
+        const heritage = node.superClass != null ? ` extends ${this._gen(node.superClass)}` : '';
+
+        const outer = this._indent;
+        this._indent += '    ';
+        const members = node.body.body.map((member, i) => {
+            // Fields in a row stay together, methods are apart.
+            const previous = node.body.body[i - 1];
+            const apart = i > 0 && !(member.type === 'ClassField' && previous.type === 'ClassField');
+            return (apart ? '\n' : '') + this._indent + this._gen(member);
+        });
+        this._indent = outer;
+
+        const body = members.length > 0 ? `{\n${members.join('\n')}\n${outer}}` : '{}';
+        return `class ${this._gen(node.id)}${heritage} ${body}`;
+    }
+
+    MethodDefinition(node) {
+        const modifiers = (node.static ? 'static ' : '') + (node.kind === 'get' || node.kind === 'set' ? `${node.kind} ` : '');
+        const outer = this._method;
+        this._method = node.key.name;
+        const code = modifiers + node.key.name + this._function(node.value);
+        this._method = outer;
+        return code;
+    }
+
+    /**
+     * A field without an initializer starts as null, as in Letter.
+     */
+    ClassField(node) {
+        const outer = this._method;
+        this._method = null;
+        const value = node.value != null ? this._expression(node.value, JSPrecedence['=']) : 'null';
+        this._method = outer;
+        return `${node.static ? 'static ' : ''}${node.key.name} = ${value};`;
+    }
+
+    WhileStatement(node) {
+        return `while (${this._expression(node.test)})${this._body(node.body)}`;
+    }
+
+    DoStatement(node) {
+        return `do${this._body(node.body)} while (${this._expression(node.test)});`;
+    }
+
+    ForStatement(node) {
+        let init = '';
+        if (node.init != null) {
+            init = node.init.type === 'VariableStatement' ? this._declarations(node.init) : this._expression(node.init);
+        }
+        const test = node.test != null ? ' ' + this._expression(node.test) : '';
+        const update = node.update != null ? ' ' + this._expression(node.update) : '';
+        return `for (${init};${test};${update})${this._body(node.body)}`;
+    }
+
+    BreakStatement(node) {
+        return node.label != null ? `break ${this._gen(node.label)};` : 'break;';
+    }
+
+    ContinueStatement(node) {
+        return node.label != null ? `continue ${this._gen(node.label)};` : 'continue;';
+    }
+
+    LabeledStatement(node) {
+        return `${this._gen(node.label)}:${this._body(node.body)}`;
+    }
+
+    SwitchStatement(node) {
+        const discriminant = this._expression(node.discriminant);
+        if (node.cases.length === 0) {
+            return `switch (${discriminant}) {}`;
+        }
+        const outer = this._indent;
+        this._indent += '    ';
+        const cases = node.cases.map(switchCase => this._indent + this._gen(switchCase)).join('\n');
+        this._indent = outer;
+        return `switch (${discriminant}) {\n${cases}\n${outer}}`;
+    }
+
+    /**
+     * The statements of a clause are one level deeper than the clause.
+     */
+    SwitchCase(node) {
+        const outer = this._indent;
+        this._indent += '    ';
+        const consequent = node.consequent.map(statement => '\n' + this._indent + this._gen(statement)).join('');
+        this._indent = outer;
+        return (node.test != null ? `case ${this._expression(node.test)}:` : 'default:') + consequent;
+    }
+
+    // --------------------------------------
+    // Expressions
+
+    AssignmentExpression(node) {
+        const binding = this._precedence(node);
+        return `${this._expression(node.left, binding + 1)} ${node.operator} ${this._expression(node.right, binding)}`;
+    }
+
+    /**
+     * `**` is right-associative, and its base can't be a unary expression.
+     */
+    BinaryExpression(node) {
+        const operator = JSOperators[node.operator] || node.operator;
+        const binding = this._precedence(node);
+        if (operator === '**') {
+            return `${this._expression(node.left, 15)} ** ${this._expression(node.right, binding)}`;
+        }
+        return `${this._expression(node.left, binding)} ${operator} ${this._expression(node.right, binding + 1)}`;
+    }
+
+    LogicalExpression(node) {
+        return this.BinaryExpression(node);
+    }
+
+    UnaryExpression(node) {
+        const argument = this._expression(node.argument, this._precedence(node));
+        // `- -x` must not become `--x`.
+        const separator = /^[+-]/.test(argument) && /^[+-]$/.test(node.operator) ? ' ' : '';
+        return node.operator + separator + argument;
+    }
+
+    ConditionalExpression(node) {
+        const test = this._expression(node.test, JSPrecedence['||']);
+        const consequent = this._expression(node.consequent, JSPrecedence['=']);
+        const alternate = this._expression(node.alternate, JSPrecedence['=']);
+        return `${test} ? ${consequent} : ${alternate}`;
+    }
+
+    UpdateExpression(node) {
+        const argument = this._expression(node.argument, 17);
+        return node.prefix ? node.operator + argument : argument + node.operator;
+    }
+
+    MemberExpression(node) {
+        const object = node.object.type === 'Super' ? 'super' : this._expression(node.object, 17);
+        if (node.computed) {
+            return `${object}[${this._expression(node.property)}]`;
+        }
+        return `${object}.${node.property.name}`;
+    }
+
+    /**
+     * `super(...)` calls the parent constructor from `constructor`,
+     * and the overridden parent method from any other method.
+     */
+    CallExpression(node) {
+        const args = this._arguments(node.arguments);
+        if (node.callee.type !== 'Super') {
+            return this._expression(node.callee, 17) + args;
+        }
+
+        if (this._method == null) {
+            return this._unsupportedNode(node.callee, '"super" is only allowed inside methods');
+        }
+        return this._method === 'constructor' ? `super${args}` : `super.${this._method}${args}`;
+    }
+
+    NewExpression(node) {
+        // The callee of `new` can't contain a call.
+        const callee = node.callee.type === 'CallExpression'
+            ? `(${this._gen(node.callee)})`
+            : this._expression(node.callee, 17);
+        return `new ${callee}${this._arguments(node.arguments)}`;
+    }
+
+    SpreadElement(node) {
+        return '...' + this._expression(node.argument, JSPrecedence['=']);
+    }
+
+    FunctionExpression(node) {
+        const outer = this._method;
+        this._method = null;
+        const code = `function ${this._function(node)}`;
+        this._method = outer;
+        return code;
+    }
+
+    /**
+     * `this` and `super` keep their meaning in an arrow function.
+     */
+    ArrowFunctionExpression(node) {
+        const params = node.params.map(param => this._gen(param)).join(', ');
+        let body;
+        if (node.body.type === 'BlockStatement') {
+            body = this._gen(node.body);
+        } else {
+            body = this._expression(node.body, JSPrecedence['=']);
+            // A body starting with `{` would be a block.
+            const leftmost = this._leftmost(node.body).type;
+            if (leftmost === 'ObjectLiteral' || leftmost === 'ObjectPattern') {
+                body = `(${body})`;
+            }
+        }
+        return `(${params}) => ${body}`;
+    }
+
+    ArrayLiteral(node) {
+        const elements = node.elements.map(element => element != null ? this._expression(element, JSPrecedence['=']) : '');
+        // A hole at the end takes a comma of its own.
+        const trailing = node.elements.length > 0 && node.elements[node.elements.length - 1] == null ? ',' : '';
+        return `[${elements.join(', ')}${trailing}]`;
+    }
+
+    /**
+     * Objects are written on one line, unless a property spans lines.
+     */
+    ObjectLiteral(node) {
+        if (node.properties.length === 0) {
+            return '{}';
+        }
+        const outer = this._indent;
+        this._indent += '    ';
+        const properties = node.properties.map(property => this._gen(property));
+        const code = properties.some(property => property.includes('\n'))
+            ? `{\n${properties.map(property => this._indent + property).join(',\n')}\n${outer}}`
+            : `{ ${properties.join(', ')} }`;
+        this._indent = outer;
+        return code;
+    }
+
+    Property(node) {
+        if (node.shorthand) {
+            return this._gen(node.value);
+        }
+
+        let key;
+        if (node.computed) {
+            key = `[${this._expression(node.key, JSPrecedence['='])}]`;
+        } else {
+            // Any name is a valid property name.
+            key = node.key.type === 'Identifier' ? node.key.name : this._gen(node.key);
+        }
+
+        if (node.method) {
+            const outer = this._method;
+            this._method = null;
+            const code = key + this._function(node.value);
+            this._method = outer;
+            return code;
+        }
+        return `${key}: ${this._expression(node.value, JSPrecedence['='])}`;
+    }
+
+    Identifier(node) {
+        if (JSReservedWords.has(node.name)) {
+            return this._unsupportedNode(node, `"${node.name}" is a reserved word in JavaScript`);
+        }
+        if (Object.prototype.hasOwnProperty.call(Prelude, node.name)) {
+            this._usedBuiltins.add(node.name);
+        }
+        return node.name;
+    }
+
+    ThisExpression() {
+        return 'this';
+    }
+
+    Super(node) {
+        return this._unsupportedNode(node, '"super" is only allowed in a call or before a property');
+    }
+
+    ArrayPattern(node) {
+        return this.ArrayLiteral(node);
+    }
+
+    ObjectPattern(node) {
+        return this.ObjectLiteral(node);
+    }
+
+    AssignmentPattern(node) {
+        return `${this._gen(node.left)} = ${this._expression(node.right, JSPrecedence['='])}`;
+    }
+
+    RestElement(node) {
+        return '...' + this._gen(node.argument);
+    }
+
+    NumericLiteral(node) {
+        // JavaScript has the same numeric literals.
+        return node.raw != null ? node.raw : String(node.value);
+    }
+
+    StringLiteral(node) {
+        return JSON.stringify(node.value);
+    }
+
+    /**
+     * Letter templates have the escapes of JavaScript's.
+     */
+    TemplateLiteral(node) {
+        let code = '`';
+        node.quasis.forEach((quasi, i) => {
+            code += quasi.value.raw;
+            if (i < node.expressions.length) {
+                code += '${' + this._expression(node.expressions[i]) + '}';
+            }
+        });
+        return code + '`';
+    }
+
+    BooleanLiteral(node) {
+        return String(node.value);
+    }
+
+    NullLiteral() {
+        return 'null';
+    }
+}
+
+/**
+ * Compiles a Program AST to JavaScript code.
+ */
+function compileToJS(ast) {
+    return new JSCompiler().compile(ast);
+}
+
+module.exports = {
+    JSCompiler,
+    compileToJS,
+}
@@ -0,0 +1,189 @@
+/**
+ * Scripted Language Server Protocol client: starts the Letter language
+ * server over stdio and drives it, so the server can be exercised
+ * without an editor.
+ *
+ * Run: node LanguageClient.js [file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { MessageReader, writeMessage, SemanticTokensLegend } = require('./LanguageServer');
+
+/**
+ * Program used when no file is given.
+ */
+const Sample = `class Point {
+    def constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+def length(point) {
+    return point.x + point.y;
+}
+
+let p = new Point(1, 2);
+print(length(p), missing);
+let = 3;
+`;
+
+class LanguageClient {
+
+    /**
+     * Starts the server process.
+     */
+    constructor(serverPath = path.join(__dirname, 'LanguageServer.js')) {
+        this._process = spawn(process.execPath, [serverPath, '--stdio'], { stdio: ['pipe', 'pipe', 'inherit'] });
+        this._nextId = 1;
+        this._pending = new Map(); // request id -> { resolve, reject }
+        this._notifications = [];
+        this._waiting = [];
+
+        const reader = new MessageReader(
+            message => this._receive(message),
+            error => this._rejectAll(error),
+        );
+        this._process.stdout.on('data', chunk => reader.push(chunk));
+        this._exited = new Promise(resolve => this._process.on('exit', code => {
+            this._rejectAll(new Error(`The server exited with code ${code}`));
+            resolve(code);
+        }));
+    }
+
+    /**
+     * Sends a request, resolving to its result.
+     */
+    request(method, params) {
+        const id = this._nextId++;
+        writeMessage(this._process.stdin, { jsonrpc: '2.0', id, method, params });
+        return new Promise((resolve, reject) => this._pending.set(id, { resolve, reject }));
+    }
+
+    /**
+     * Sends a notification.
+     */
+    notify(method, params) {
+        writeMessage(this._process.stdin, { jsonrpc: '2.0', method, params });
+    }
+
+    /**
+     * Resolves to the next notification of a method from the server.
+     */
+    notification(method) {
+        const index = this._notifications.findIndex(message => message.method === method);
+        if (index !== -1) {
+            return Promise.resolve(this._notifications.splice(index, 1)[0].params);
+        }
+        return new Promise(resolve => this._waiting.push({ method, resolve }));
+    }
+
+    /**
+     * Shuts the server down, resolving to its exit code.
+     */
+    async stop() {
+        await this.request('shutdown');
+        this.notify('exit');
+        this._process.stdin.end();
+        return this._exited;
+    }
+
+    _receive(message) {
+        if (message.id != null && this._pending.has(message.id)) {
+            const { resolve, reject } = this._pending.get(message.id);
+            this._pending.delete(message.id);
+            if (message.error != null) {
+                reject(new Error(`${message.error.message} (${message.error.code})`));
+            } else {
+                resolve(message.result);
+            }
+            return;
+        }
+        const index = this._waiting.findIndex(waiting => waiting.method === message.method);
+        if (index !== -1) {
+            this._waiting.splice(index, 1)[0].resolve(message.params);
+        } else {
+            this._notifications.push(message);
+        }
+    }
+
+    _rejectAll(error) {
+        for (const { reject } of this._pending.values()) {
+            reject(error);
+        }
+        this._pending.clear();
+    }
+}
+
+/**
+ * Opens a document, and prints the answer to each feature of the server.
+ */
+async function main(args) {
+    const file = args[0];
+    const text = file != null ? fs.readFileSync(file, 'utf8') : Sample;
+    const uri = pathToFileURL(file != null ? path.resolve(file) : path.join(__dirname, 'sample.letter')).href;
+    const textDocument = { uri };
+
+    const client = new LanguageClient();
+    const print = (title, value) => console.log(`--- ${title}\n${JSON.stringify(value, null, 2)}`);
+
+    const { capabilities } = await client.request('initialize', { processId: process.pid, rootUri: null, capabilities: {} });
+    client.notify('initialized', {});
+    print('capabilities', capabilities);
+
+    client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'letter', version: 1, text } });
+    print('diagnostics', (await client.notification('textDocument/publishDiagnostics')).diagnostics);
+
+    const symbols = await client.request('textDocument/documentSymbol', { textDocument });
+    print('document symbols', symbols);
+
+    // Follow the first symbol: its references, and from the first
+    // reference back to its definition.
+    if (symbols.length > 0) {
+        const position = symbols[0].selectionRange.start;
+        const references = await client.request('textDocument/references', {
+            textDocument,
+            position,
+            context: { includeDeclaration: false },
+        });
+        print(`references of "${symbols[0].name}"`, references);
+
+        if (references.length > 0) {
+            const reference = references[0].range.start;
+            print('definition', await client.request('textDocument/definition', { textDocument, position: reference }));
+            print('hover', await client.request('textDocument/hover', { textDocument, position: reference }));
+        }
+    }
+
+    const { data } = await client.request('textDocument/semanticTokens/full', { textDocument });
+    const tokens = [];
+    for (let i = 0, line = 0, character = 0; i < data.length; i += 5) {
+        line += data[i];
+        character = data[i] === 0 ? character + data[i + 1] : data[i + 1];
+        tokens.push(`${line + 1}:${character} ${SemanticTokensLegend.tokenTypes[data[i + 3]]}` +
+            `${data[i + 4] !== 0 ? ' (declaration)' : ''} "${text.split('\n')[line].substr(character, data[i + 2])}"`);
+    }
+    print('semantic tokens', tokens);
+
+    return client.stop();
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        code => {
+            process.exitCode = code;
+        },
+        error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        },
+    );
+}
+
+module.exports = {
+    LanguageClient,
+    main,
+}
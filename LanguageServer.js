@@ -0,0 +1,723 @@
+/**
+ * Letter language server: speaks the Language Server Protocol over
+ * stdio, answering from the Parser, the Tokenizer and the Analyzer.
+ *
+ * Run: node LanguageServer.js --stdio
+ */
+
+const { Parser } = require('./Parser');
+const { Tokenizer } = require('./Tokenizer');
+const { grammarProduction } = require('./Grammar');
+const { Analyzer, patternIdentifiers } = require('./Analyzer');
+const { traverse, VisitorKeys } = require('./Traverse');
+
+/**
+ * JSON-RPC error codes.
+ */
+const ErrorCodes = {
+    ParseError: -32700,
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InternalError: -32603,
+};
+
+/**
+ * Severities of `window/logMessage`.
+ */
+const MessageType = {
+    Error: 1,
+    Warning: 2,
+    Info: 3,
+    Log: 4,
+};
+
+/**
+ * LSP enumerations used by the server.
+ */
+const SymbolKind = {
+    Class: 5,
+    Method: 6,
+    Property: 7,
+    Field: 8,
+    Constructor: 9,
+    Function: 12,
+    Variable: 13,
+};
+
+const DiagnosticSeverity = {
+    error: 1,
+    warning: 2,
+};
+
+/**
+ * Semantic token types and modifiers, in the order the client decodes.
+ */
+const SemanticTokensLegend = {
+    tokenTypes: ['keyword', 'number', 'string', 'operator', 'comment', 'variable', 'parameter', 'function', 'method', 'class', 'property'],
+    tokenModifiers: ['declaration'],
+};
+
+/**
+ * Semantic token type of each Tokenizer token type. Keywords are their
+ * own token type; identifiers depend on what they name.
+ */
+const TokenTypeSemantics = {
+    NUMBER: 'number',
+    STRING: 'string',
+    TEMPLATE: 'string',
+    TEMPLATE_HEAD: 'string',
+    TEMPLATE_MIDDLE: 'string',
+    TEMPLATE_TAIL: 'string',
+    COMMENT: 'comment',
+    RELATIONAL_OPERATOR: 'operator',
+    EQUALITY_OPERATOR: 'operator',
+    LOGICAL_AND: 'operator',
+    LOGICAL_OR: 'operator',
+    LOGICAL_NOT: 'operator',
+    SIMPLE_ASSIGN: 'operator',
+    COMPLEX_ASSIGN: 'operator',
+    '=>': 'operator',
+    '?': 'operator',
+    '...': 'operator',
+    ADDITIVE_OPERATOR: 'operator',
+    MULTIPLICATIVE_OPERATOR: 'operator',
+    EXPONENT_OPERATOR: 'operator',
+    SHIFT_OPERATOR: 'operator',
+    BITWISE_AND: 'operator',
+    BITWISE_OR: 'operator',
+    BITWISE_XOR: 'operator',
+    BITWISE_NOT: 'operator',
+    UPDATE_OPERATOR: 'operator',
+};
+
+/**
+ * Identifiers which are keywords in some places only, as `from` in
+ * an import or `static` in a class body.
+ */
+const ContextualKeywords = new Set(['from', 'as', 'static', 'get', 'set']);
+
+/**
+ * Grammar production of the binary operators' nodes.
+ */
+const OperatorProductions = {
+    '||': 'LogicalORExpression',
+    '&&': 'LogicalANDExpression',
+    '|': 'BitwiseORExpression',
+    '^': 'BitwiseXORExpression',
+    '&': 'BitwiseANDExpression',
+    '==': 'EqualityExpression',
+    '!=': 'EqualityExpression',
+    '<': 'RelationalExpression',
+    '>': 'RelationalExpression',
+    '<=': 'RelationalExpression',
+    '>=': 'RelationalExpression',
+    '<<': 'ShiftExpression',
+    '>>': 'ShiftExpression',
+    '>>>': 'ShiftExpression',
+    '+': 'AdditiveExpression',
+    '-': 'AdditiveExpression',
+    '*': 'MultiplicativeExpression',
+    '/': 'MultiplicativeExpression',
+    '%': 'MultiplicativeExpression',
+    '**': 'ExponentiationExpression',
+};
+
+/**
+ * Methods of the protocol, and the server method handling them.
+ */
+const Methods = {
+    'initialize': 'initialize',
+    'initialized': 'initialized',
+    'shutdown': 'shutdown',
+    'exit': 'exit',
+    'textDocument/didOpen': 'didOpen',
+    'textDocument/didChange': 'didChange',
+    'textDocument/didClose': 'didClose',
+    'textDocument/documentSymbol': 'documentSymbol',
+    'textDocument/definition': 'definition',
+    'textDocument/references': 'references',
+    'textDocument/hover': 'hover',
+    'textDocument/semanticTokens/full': 'semanticTokens',
+};
+
+/**
+ * Splits a byte stream into JSON-RPC messages, each framed by a
+ * `Content-Length` header.
+ */
+class MessageReader {
+    constructor(onMessage, onError) {
+        this._buffer = Buffer.alloc(0);
+        this._onMessage = onMessage;
+        this._onError = onError;
+    }
+
+    push(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+        for (;;) {
+            const headerEnd = this._buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+            const header = this._buffer.slice(0, headerEnd).toString('ascii');
+            const length = /Content-Length: *(\d+)/i.exec(header);
+            if (length == null) {
+                // Drop the broken header, and look for the next one.
+                this._buffer = this._buffer.slice(headerEnd + 4);
+                this._onError(new Error(`Missing Content-Length header: ${header}`));
+                continue;
+            }
+            const start = headerEnd + 4;
+            const end = start + Number(length[1]);
+            if (this._buffer.length < end) {
+                return;
+            }
+            const body = this._buffer.slice(start, end).toString('utf8');
+            this._buffer = this._buffer.slice(end);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this._onError(error);
+                continue;
+            }
+            this._onMessage(message);
+        }
+    }
+}
+
+/**
+ * Writes a JSON-RPC message to a stream.
+ */
+function writeMessage(stream, message) {
+    const body = JSON.stringify(message);
+    stream.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+}
+
+class LanguageServer {
+
+    /**
+     * Initializes the server, which sends its messages through `send`.
+     */
+    constructor(send) {
+        this._send = send;
+        this._parser = new Parser();
+        this._documents = new Map(); // uri -> document
+        this._shutdown = false;
+        this.exitCode = null; // set by the `exit` notification
+    }
+
+    /**
+     * Handles a request or a notification from the client.
+     */
+    handleMessage(message) {
+        const isRequest = message.id !== undefined;
+        const method = Methods[message.method];
+
+        if (this._shutdown && isRequest) {
+            return this._respondError(message.id, ErrorCodes.InvalidRequest, 'The server is shut down');
+        }
+        if (method == null) {
+            // Unknown notifications, like `$/cancelRequest`, are ignored.
+            return isRequest
+                ? this._respondError(message.id, ErrorCodes.MethodNotFound, `Unknown method: ${message.method}`)
+                : undefined;
+        }
+
+        let result;
+        try {
+            result = this[method](message.params || {});
+        } catch (error) {
+            // A notification has no response: log the error, and keep serving.
+            if (!isRequest) {
+                return this._notify('window/logMessage', {
+                    type: MessageType.Error,
+                    message: `${message.method} failed: ${error.message}`,
+                });
+            }
+            return this._respondError(message.id, ErrorCodes.InternalError, error.message);
+        }
+        if (isRequest) {
+            this._send({ jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result });
+        }
+    }
+
+    /**
+     * Reports a message which couldn't be read.
+     */
+    handleParseError(error) {
+        this._respondError(null, ErrorCodes.ParseError, error.message);
+    }
+
+    _respondError(id, code, message) {
+        this._send({ jsonrpc: '2.0', id, error: { code, message } });
+    }
+
+    _notify(method, params) {
+        this._send({ jsonrpc: '2.0', method, params });
+    }
+
+    // --------------------------------------
+    // Lifecycle
+
+    initialize() {
+        return {
+            capabilities: {
+                textDocumentSync: 1, // the whole text on each change
+                documentSymbolProvider: true,
+                definitionProvider: true,
+                referencesProvider: true,
+                hoverProvider: true,
+                semanticTokensProvider: {
+                    legend: SemanticTokensLegend,
+                    full: true,
+                },
+            },
+            serverInfo: { name: 'letter-language-server' },
+        };
+    }
+
+    initialized() {
+    }
+
+    shutdown() {
+        this._shutdown = true;
+        return null;
+    }
+
+    exit() {
+        this.exitCode = this._shutdown ? 0 : 1;
+    }
+
+    // --------------------------------------
+    // Documents
+
+    didOpen({ textDocument }) {
+        this._update(textDocument.uri, textDocument.text, textDocument.version);
+    }
+
+    didChange({ textDocument, contentChanges }) {
+        // Full synchronization: the last change holds the whole text.
+        if (contentChanges.length === 0) {
+            return;
+        }
+        const text = contentChanges[contentChanges.length - 1].text;
+        this._update(textDocument.uri, text, textDocument.version);
+    }
+
+    didClose({ textDocument }) {
+        this._documents.delete(textDocument.uri);
+        this._notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    }
+
+    /**
+     * Parses and analyzes a document, and publishes its diagnostics.
+     * The parser recovers from syntax errors, so the other features
+     * keep working on the rest of the document.
+     */
+    _update(uri, text, version) {
+        const { ast, errors } = this._parser.parse(text, { recover: true, locations: true });
+        const analysis = new Analyzer().analyze(ast);
+        const document = {
+            uri,
+            text,
+            version,
+            ast,
+            errors,
+            analysis,
+            lineStarts: lineStarts(text),
+        };
+        this._documents.set(uri, document);
+
+        this._notify('textDocument/publishDiagnostics', {
+            uri,
+            version,
+            diagnostics: this._diagnostics(document),
+        });
+    }
+
+    _document(uri) {
+        const document = this._documents.get(uri);
+        if (document == null) {
+            throw new Error(`Unknown document: ${uri}`);
+        }
+        return document;
+    }
+
+    /**
+     * The syntax errors, then the semantic errors and warnings.
+     */
+    _diagnostics(document) {
+        const syntax = document.errors.map(error => {
+            // The error covers the word, or the character, it points at.
+            const word = /^(\w+|\S)/.exec(document.text.slice(error.pos));
+            const start = { line: error.loc.line - 1, character: error.loc.column };
+            return {
+                range: {
+                    start,
+                    end: { line: start.line, character: start.character + (word != null ? word[0].length : 0) },
+                },
+                severity: DiagnosticSeverity.error,
+                source: 'letter',
+                message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+            };
+        });
+
+        const semantic = document.analysis.diagnostics.map(diagnostic => ({
+            range: toRange(diagnostic.loc),
+            severity: DiagnosticSeverity[diagnostic.severity],
+            code: diagnostic.code,
+            source: 'letter',
+            message: diagnostic.message,
+        }));
+
+        return syntax.concat(semantic);
+    }
+
+    // --------------------------------------
+    // Features
+
+    documentSymbol({ textDocument }) {
+        return documentSymbols(this._document(textDocument.uri).ast);
+    }
+
+    definition({ textDocument, position }) {
+        const document = this._document(textDocument.uri);
+        const declaration = this._declarationAt(document, position);
+        if (declaration == null || declaration.node == null) {
+            return null;
+        }
+        return { uri: document.uri, range: toRange(declaration.node.loc) };
+    }
+
+    references({ textDocument, position, context }) {
+        const document = this._document(textDocument.uri);
+        const declaration = this._declarationAt(document, position);
+        if (declaration == null) {
+            return [];
+        }
+        const identifiers = declaration.references.slice();
+        if (context != null && context.includeDeclaration && declaration.node != null) {
+            identifiers.push(declaration.node);
+        }
+        return identifiers
+            .sort((a, b) => a.range[0] - b.range[0])
+            .map(identifier => ({ uri: document.uri, range: toRange(identifier.loc) }));
+    }
+
+    /**
+     * Shows the grammar production which parsed the node at the position.
+     */
+    hover({ textDocument, position }) {
+        const document = this._document(textDocument.uri);
+        const nodes = nodesAt(document.ast, this._offset(document, position));
+
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            const node = nodes[i];
+            const production = grammarProduction(productionName(node));
+            if (production == null) {
+                continue;
+            }
+            return {
+                contents: {
+                    kind: 'markdown',
+                    value: `**${node.type}**\n\n\`\`\`\n${production}\n\`\`\``,
+                },
+                range: toRange(node.loc),
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Semantic tokens from the Tokenizer's tokens, the identifiers
+     * classified by what they name.
+     */
+    semanticTokens({ textDocument }) {
+        const document = this._document(textDocument.uri);
+        const identifiers = this._identifierTypes(document);
+
+        const tokenizer = new Tokenizer();
+        tokenizer.init(document.text, { comments: true });
+        const tokens = [];
+        for (;;) {
+            let token;
+            try {
+                token = tokenizer.getNextToken();
+            } catch (error) {
+                continue; // the tokenizer steps over the bad character
+            }
+            if (token == null) {
+                break;
+            }
+            tokens.push(token);
+        }
+        tokens.push(...tokenizer.comments);
+        tokens.sort((a, b) => a.start - b.start);
+
+        const data = [];
+        let line = 0;
+        let character = 0;
+        for (const token of tokens) {
+            let type = TokenTypeSemantics[token.type];
+            let modifiers = 0;
+            if (token.type === 'IDENTIFIER') {
+                const identifier = identifiers.get(token.start);
+                if (identifier != null) {
+                    type = identifier.type;
+                    modifiers = identifier.declaration ? 1 : 0;
+                } else {
+                    type = ContextualKeywords.has(token.value) ? 'keyword' : 'variable';
+                }
+            } else if (token.type === token.value && /^[a-z]+$/.test(token.type)) {
+                type = 'keyword';
+            }
+            if (type == null) {
+                continue; // punctuation
+            }
+
+            // Tokens spanning several lines are sent line by line.
+            const lines = token.value.split('\n');
+            for (let i = 0; i < lines.length; i++) {
+                const tokenLine = token.loc.start.line - 1 + i;
+                const tokenCharacter = i === 0 ? token.loc.start.column : 0;
+                const length = lines[i].replace(/\r$/, '').length;
+                if (length === 0) {
+                    continue;
+                }
+                data.push(
+                    tokenLine - line,
+                    tokenLine === line ? tokenCharacter - character : tokenCharacter,
+                    length,
+                    SemanticTokensLegend.tokenTypes.indexOf(type),
+                    modifiers,
+                );
+                line = tokenLine;
+                character = tokenCharacter;
+            }
+        }
+        return { data };
+    }
+
+    /**
+     * Semantic token type of each Identifier, by start offset.
+     */
+    _identifierTypes(document) {
+        const types = new Map();
+        traverse(document.ast, {
+            Identifier: path => {
+                const declaration = document.analysis.resolve(path.node);
+                types.set(path.node.range[0], {
+                    type: identifierType(path, declaration),
+                    declaration: declaration != null && declaration.node === path.node,
+                });
+            },
+        });
+        return types;
+    }
+
+    /**
+     * Declaration of the Identifier at a position.
+     */
+    _declarationAt(document, position) {
+        const nodes = nodesAt(document.ast, this._offset(document, position));
+        let node = nodes[nodes.length - 1];
+        if (node == null || node.type !== 'Identifier') {
+            return null;
+        }
+        // The key of a shorthand property (`{ x }`) also stands for its value.
+        const parent = nodes[nodes.length - 2];
+        if (parent.type === 'Property' && parent.shorthand) {
+            node = parent.value;
+        }
+        // So does the imported name of `import { x }`, or `{ x as y }`.
+        if (parent.type === 'ImportSpecifier') {
+            node = parent.local;
+        }
+        return document.analysis.resolve(node);
+    }
+
+    /**
+     * Offset of an LSP position in a document.
+     */
+    _offset(document, { line, character }) {
+        const lineStart = document.lineStarts[Math.min(line, document.lineStarts.length - 1)];
+        return Math.min(lineStart + character, document.text.length);
+    }
+}
+
+/**
+ * Offsets at which the lines of a text start.
+ */
+function lineStarts(text) {
+    const starts = [0];
+    for (let newline = text.indexOf('\n'); newline !== -1; newline = text.indexOf('\n', newline + 1)) {
+        starts.push(newline + 1);
+    }
+    return starts;
+}
+
+/**
+ * LSP range of a node location: lines are 0-based in the protocol.
+ */
+function toRange(loc) {
+    return {
+        start: { line: loc.start.line - 1, character: loc.start.column },
+        end: { line: loc.end.line - 1, character: loc.end.column },
+    };
+}
+
+function childNodes(node) {
+    const children = [];
+    for (const key of VisitorKeys[node.type] || []) {
+        const child = node[key];
+        if (Array.isArray(child)) {
+            children.push(...child.filter(item => item != null));
+        } else if (child != null) {
+            children.push(child);
+        }
+    }
+    return children;
+}
+
+/**
+ * The nodes containing an offset, from the root to the innermost.
+ */
+function nodesAt(ast, offset) {
+    const nodes = [];
+    let node = ast;
+    while (node != null) {
+        nodes.push(node);
+        node = childNodes(node).find(child => child.range[0] <= offset && offset <= child.range[1]);
+    }
+    return nodes;
+}
+
+/**
+ * Classes and their members, functions and variables, nested as in
+ * the source.
+ */
+function documentSymbols(node) {
+    const symbols = [];
+    for (const child of childNodes(node)) {
+        switch (child.type) {
+            case 'ClassDeclaration':
+                symbols.push(symbol(child, child.id, SymbolKind.Class, documentSymbols(child.body)));
+                break;
+            case 'FunctionDeclaration':
+                symbols.push(symbol(child, child.name, SymbolKind.Function, documentSymbols(child.body)));
+                break;
+            case 'MethodDefinition': {
+                let kind = SymbolKind.Method;
+                if (child.kind === 'constructor') {
+                    kind = SymbolKind.Constructor;
+                } else if (child.kind === 'get' || child.kind === 'set') {
+                    kind = SymbolKind.Property;
+                }
+                symbols.push(symbol(child, child.key, kind, documentSymbols(child.value.body)));
+                break;
+            }
+            case 'ClassField':
+                symbols.push(symbol(child, child.key, SymbolKind.Field, documentSymbols(child)));
+                break;
+            case 'VariableDeclaration': {
+                if (child.id.type !== 'Identifier') {
+                    // A pattern declares a variable for each of its targets.
+                    const variables = patternIdentifiers(child.id).map(id => symbol(child, id, SymbolKind.Variable, []));
+                    symbols.push(...variables, ...documentSymbols(child));
+                    break;
+                }
+                // `let f = (x) => ...` defines a function too.
+                const isFunction = child.init != null &&
+                    (child.init.type === 'FunctionExpression' || child.init.type === 'ArrowFunctionExpression');
+                const kind = isFunction ? SymbolKind.Function : SymbolKind.Variable;
+                symbols.push(symbol(child, child.id, kind, documentSymbols(child)));
+                break;
+            }
+            default:
+                symbols.push(...documentSymbols(child));
+        }
+    }
+    return symbols;
+}
+
+function symbol(node, name, kind, children) {
+    return {
+        name: name.name,
+        kind,
+        range: toRange(node.loc),
+        selectionRange: toRange(name.loc),
+        children,
+    };
+}
+
+/**
+ * Semantic token type of an Identifier.
+ */
+function identifierType(path, declaration) {
+    const parent = path.parent;
+    if (parent.type === 'MemberExpression' && path.key === 'property' && !parent.computed) {
+        return 'property';
+    }
+    if (parent.type === 'Property' && path.key === 'key' && !parent.computed) {
+        return parent.method ? 'method' : 'property';
+    }
+    if (parent.type === 'FunctionDeclaration' && path.key === 'name') {
+        return 'function';
+    }
+    if (parent.type === 'MethodDefinition' && path.key === 'key') {
+        return parent.kind === 'get' || parent.kind === 'set' ? 'property' : 'method';
+    }
+    if (parent.type === 'ClassField' && path.key === 'key') {
+        return 'property';
+    }
+    switch (declaration != null ? declaration.kind : null) {
+        case 'class':
+            return 'class';
+        case 'def':
+            return 'function';
+        case 'param':
+            return 'parameter';
+        default:
+            return 'variable';
+    }
+}
+
+/**
+ * Name of the grammar production which parsed a node.
+ */
+function productionName(node) {
+    if (node.type === 'BinaryExpression' || node.type === 'LogicalExpression') {
+        return OperatorProductions[node.operator];
+    }
+    return node.type;
+}
+
+/**
+ * Serves the protocol over stdin and stdout.
+ */
+function main() {
+    const server = new LanguageServer(message => writeMessage(process.stdout, message));
+    const reader = new MessageReader(
+        message => {
+            server.handleMessage(message);
+            if (server.exitCode != null) {
+                process.exit(server.exitCode);
+            }
+        },
+        error => server.handleParseError(error),
+    );
+    process.stdin.on('data', chunk => reader.push(chunk));
+    process.stdin.on('end', () => process.exit(server.exitCode != null ? server.exitCode : 1));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    LanguageServer,
+    MessageReader,
+    writeMessage,
+    SemanticTokensLegend,
+}
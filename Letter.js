@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * The `letter` command line: tokenizes, parses, checks and runs
+ * Letter files, or the standard input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Tokenizer } = require('./Tokenizer');
+const { Parser } = require('./Parser');
+const { Analyzer } = require('./Analyzer');
+const { Interpreter, Exception } = require('./Interpreter');
+const { Loader } = require('./Loader');
+const { VisitorKeys, traverse } = require('./Traverse');
+
+const Usage = `Usage: letter <command> [options] [file]
+
+Commands:
+  tokens [file]        print the tokens
+    --format F         table (default) or json
+  parse [file]         print the AST
+    --format F         json (default) or sexpr
+    --compact          on a single line
+    --locations        with the loc and range of the nodes
+  check [file...]      report the syntax, import and semantic errors
+                       and warnings of the files and of the files
+                       they import, as file:line:col (1-based), and
+                       fail if there are errors
+  run [file]           run a program, with the files it imports,
+                       unless check finds errors in them
+  repl                 explore the grammar interactively
+
+Without a file, or with "-", the standard input is read.
+Exit codes: 0 success, 1 errors in the program, 2 usage or I/O error.`;
+
+/**
+ * Node keys which aren't part of the tree's shape.
+ */
+const PositionKeys = new Set(['type', 'loc', 'range']);
+
+/**
+ * Reads a file, or the standard input for "-".
+ */
+function read(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+function displayName(file) {
+    return file === '-' ? '<stdin>' : file;
+}
+
+/**
+ * A `file:line:col: message` line, the message without the
+ * ` (line:col)` suffix of the errors.
+ */
+function diagnostic(file, loc, severity, message) {
+    const position = loc != null ? `${loc.line}:${loc.column + 1}` : '1:1';
+    return `${displayName(file)}:${position}: ${severity}: ${message.replace(/ \(\d+:\d+\)$/, '')}`;
+}
+
+/**
+ * Options and files of a command. `flags` maps each accepted option to
+ * whether it takes a value.
+ */
+function parseArguments(args, flags) {
+    const options = {};
+    const files = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-' || !arg.startsWith('--')) {
+            files.push(arg);
+            continue;
+        }
+        const name = arg.slice(2);
+        if (!(name in flags)) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (flags[name]) {
+            if (i + 1 >= args.length) {
+                throw new UsageError(`Missing value for ${arg}`);
+            }
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+    return { options, files };
+}
+
+class UsageError extends Error {}
+
+/**
+ * The only file of a command, stdin by default.
+ */
+function singleFile(files) {
+    if (files.length > 1) {
+        throw new UsageError('Expected a single file');
+    }
+    return files.length > 0 ? files[0] : '-';
+}
+
+function checkFormat(format, formats) {
+    if (!formats.includes(format)) {
+        throw new UsageError(`Unknown format: ${format} (expected ${formats.join(' or ')})`);
+    }
+    return format;
+}
+
+// --------------------------------------
+// Commands
+
+function tokens(args) {
+    const { options, files } = parseArguments(args, { format: true });
+    const format = checkFormat(options.format || 'table', ['table', 'json']);
+    const file = singleFile(files);
+
+    const tokenizer = new Tokenizer();
+    tokenizer.init(read(file));
+    const list = [];
+    try {
+        for (let token = tokenizer.getNextToken(); token != null; token = tokenizer.getNextToken()) {
+            list.push(token);
+        }
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+            throw error;
+        }
+        console.error(diagnostic(file, error.loc, 'error', error.message));
+        return 1;
+    }
+
+    if (format === 'json') {
+        console.log(JSON.stringify(list, null, 2));
+        return 0;
+    }
+    console.log(tokenTable(list));
+    return 0;
+}
+
+/**
+ * Tokens as a table: position, type and value columns.
+ */
+function tokenTable(list) {
+    const positions = list.map(token => `${token.loc.start.line}:${token.loc.start.column + 1}`);
+    const width = Math.max(0, ...positions.map(position => position.length));
+    const typeWidth = Math.max(0, ...list.map(token => token.type.length));
+    return list
+        .map((token, i) => `${positions[i].padEnd(width)}  ${token.type.padEnd(typeWidth)}  ${JSON.stringify(token.value)}`)
+        .join('\n');
+}
+
+function parse(args) {
+    const { options, files } = parseArguments(args, { format: true, compact: false, locations: false });
+    const format = checkFormat(options.format || 'json', ['json', 'sexpr']);
+    const file = singleFile(files);
+
+    let ast;
+    try {
+        ast = new Parser().parse(read(file), { locations: options.locations });
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+            throw error;
+        }
+        console.error(diagnostic(file, error.loc, 'error', error.message));
+        return 1;
+    }
+
+    if (format === 'json') {
+        console.log(options.compact ? JSON.stringify(ast) : JSON.stringify(ast, null, 2));
+    } else {
+        console.log(sexpr(ast, options.compact ? null : ''));
+    }
+    return 0;
+}
+
+/**
+ * S-expression of a node: `(Type attribute... child...)`, the lists
+ * of children in brackets. Each child goes on its own line, unless
+ * `indent` is null.
+ */
+function sexpr(node, indent) {
+    if (node == null) {
+        return 'nil';
+    }
+    const childKeys = VisitorKeys[node.type] || [];
+    const attributes = Object.keys(node)
+        .filter(key => !PositionKeys.has(key) && !childKeys.includes(key))
+        .map(key => JSON.stringify(node[key]));
+
+    const inner = indent != null ? indent + '  ' : null;
+    const children = childKeys.map(key => {
+        const child = node[key];
+        if (!Array.isArray(child)) {
+            return sexpr(child, inner);
+        }
+        const items = child.map(item => sexpr(item, inner != null ? inner + '  ' : null));
+        if (items.length === 0 || inner == null) {
+            return `[${items.join(' ')}]`;
+        }
+        return `[\n${items.map(item => inner + '  ' + item).join('\n')}\n${inner}]`;
+    });
+
+    const head = [node.type, ...attributes].join(' ');
+    if (children.length === 0) {
+        return `(${head})`;
+    }
+    if (inner == null) {
+        return `(${head} ${children.join(' ')})`;
+    }
+    return `(${head}\n${children.map(child => inner + child).join('\n')})`;
+}
+
+/**
+ * Loads the program of a file with the Loader.
+ */
+function loadProgram(file) {
+    return new Loader().load(file === '-' ? '<stdin>' : file, read(file));
+}
+
+/**
+ * The name of a module in the messages: the root file as given,
+ * the imported ones relative to the working directory.
+ */
+function moduleName(graph, module, file) {
+    return module === graph.root ? file : path.relative(process.cwd(), module.path);
+}
+
+/**
+ * The semantic errors and warnings of a module, as `{ pos, severity, text }`.
+ */
+function semanticErrors(graph, module, file) {
+    const name = moduleName(graph, module, file);
+    return new Analyzer().analyze(module.ast).diagnostics.map(found => ({
+        pos: found.node.range[0],
+        severity: found.severity,
+        text: diagnostic(name, found.loc.start, found.severity, `${found.message} [${found.code}]`),
+    }));
+}
+
+/**
+ * The syntax and import errors of a module, as `{ pos, severity, text }`.
+ */
+function loadErrors(graph, module, file) {
+    const name = moduleName(graph, module, file);
+    const lines = module.errors.map(error => ({
+        pos: error.pos,
+        severity: 'error',
+        text: diagnostic(name, error.loc, 'error', error.message),
+    }));
+    for (const found of module.diagnostics) {
+        lines.push({
+            pos: found.node.range[0],
+            severity: found.severity,
+            text: diagnostic(name, found.loc.start, found.severity, `${found.message} [${found.code}]`),
+        });
+    }
+    return lines;
+}
+
+function check(args) {
+    const { files } = parseArguments(args, {});
+    const checked = new Set(); // the paths of the modules already reported
+    let errors = 0;
+
+    for (const file of files.length > 0 ? files : ['-']) {
+        const graph = loadProgram(file);
+        for (const module of graph.modules.values()) {
+            if (checked.has(module.path)) {
+                continue;
+            }
+            checked.add(module.path);
+
+            const lines = [...loadErrors(graph, module, file), ...semanticErrors(graph, module, file)];
+            errors += lines.filter(line => line.severity === 'error').length;
+
+            lines.sort((a, b) => a.pos - b.pos);
+            for (const line of lines) {
+                console.log(line.text);
+            }
+        }
+    }
+    return errors > 0 ? 1 : 0;
+}
+
+function run(args) {
+    const { files } = parseArguments(args, {});
+    const file = singleFile(files);
+    const graph = loadProgram(file);
+
+    // The program doesn't start with syntax, import or semantic errors.
+    let errors = 0;
+    for (const module of graph.modules.values()) {
+        const lines = [
+            ...loadErrors(graph, module, file),
+            ...semanticErrors(graph, module, file).filter(line => line.severity === 'error'),
+        ].sort((a, b) => a.pos - b.pos);
+        for (const line of lines) {
+            console.error(line.text);
+        }
+        errors += lines.length;
+    }
+    if (errors > 0) {
+        return 1;
+    }
+
+    try {
+        new Interpreter().evaluateModules(graph);
+    } catch (error) {
+        const isProgramError = error instanceof SyntaxError || error instanceof TypeError ||
+            error instanceof ReferenceError || error instanceof Exception;
+        if (!isProgramError || error.loc == null) {
+            // Not located, like the RangeError of a too deep recursion.
+            console.error(`${displayName(file)}: error: ${error.name}: ${error.message}`);
+            return 1;
+        }
+        const name = moduleName(graph, moduleOf(graph, error.node), file);
+        console.error(diagnostic(name, error.loc, 'error', `${error.name}: ${error.message}`));
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * The module whose AST holds a node, the root by default.
+ */
+function moduleOf(graph, node) {
+    for (const module of graph.modules.values()) {
+        let found = false;
+        traverse(module.ast, {
+            enter: path => {
+                found = found || path.node === node;
+            },
+        });
+        if (found) {
+            return module;
+        }
+    }
+    return graph.root;
+}
+
+function repl(args) {
+    parseArguments(args, {});
+    require('./Repl').main();
+    return undefined; // the REPL sets the exit code when it closes
+}
+
+const Commands = {
+    tokens,
+    parse,
+    check,
+    run,
+    repl,
+};
+
+/**
+ * Runs the command line, returning the exit code.
+ */
+function main(args) {
+    const [command, ...rest] = args;
+    if (command == null) {
+        console.error(Usage);
+        return 2;
+    }
+    if (command === '--help' || command === 'help') {
+        console.log(Usage);
+        return 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(Commands, command)) {
+        console.error(`Unknown command: ${command}\n\n${Usage}`);
+        return 2;
+    }
+    try {
+        return Commands[command](rest);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${Usage}`);
+            return 2;
+        }
+        if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'EACCES') {
+            console.error(`letter: ${error.message}`);
+            return 2;
+        }
+        throw error;
+    }
+}
+
+// Exported before running: the REPL started by main() requires them.
+module.exports = {
+    main,
+    sexpr,
+    tokenTable,
+}
+
+if (require.main === module) {
+    const exitCode = main(process.argv.slice(2));
+    if (exitCode !== undefined) {
+        process.exitCode = exitCode;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Letter module loader: loads a program spread over several files,
+ * from its root file along the imports, and checks that the imports
+ * resolve to the exports of the other files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Parser } = require('./Parser');
+const { patternIdentifiers } = require('./Analyzer');
+
+/**
+ * Extension of the Letter files, which the import paths may leave out.
+ */
+const DefaultExtension = '.letter';
+
+/**
+ * A file of the program.
+ */
+class Module {
+    constructor(filePath, source) {
+        this.path = filePath; // absolute
+        this.source = source;
+        this.ast = null;
+        this.errors = []; // the syntax errors
+        this.diagnostics = []; // the import errors, as the Analyzer's, with the `path` of the module
+        this.dependencies = new Map(); // ImportDeclaration -> Module
+        this.exports = new Map(); // name -> the declaring Identifier
+    }
+}
+
+class Loader {
+
+    /**
+     * Initializes the loader.
+     *
+     * Options:
+     *  - readFile: reads a file from its absolute path, throwing if it
+     *    doesn't exist (fs.readFileSync by default).
+     *  - extension: added to the import paths without one.
+     */
+    constructor(options = {}) {
+        this._readFile = options.readFile || (file => fs.readFileSync(file, 'utf8'));
+        this._extension = options.extension || DefaultExtension;
+        this._parser = new Parser();
+    }
+
+    /**
+     * Loads the program of a root file, read unless its source is
+     * given. Returns the module graph:
+     * `{ root, modules, order, diagnostics }`, where `modules` maps
+     * the paths to the Modules, `order` lists them dependencies first,
+     * and `diagnostics` gathers the import errors of all of them.
+     */
+    load(file, source = null) {
+        this._modules = new Map();
+        const rootPath = path.resolve(file);
+        const root = this._load(rootPath, source != null ? source : this._readFile(rootPath));
+
+        for (const module of this._modules.values()) {
+            this._checkImports(module);
+        }
+        const order = this._order(root);
+
+        return {
+            root,
+            modules: this._modules,
+            order,
+            diagnostics: [...this._modules.values()].flatMap(module => module.diagnostics),
+        };
+    }
+
+    /**
+     * Parses a file, then loads the files it imports.
+     */
+    _load(filePath, source) {
+        const module = new Module(filePath, source);
+        this._modules.set(filePath, module);
+
+        const { ast, errors } = this._parser.parse(source, { locations: true, recover: true });
+        module.ast = ast;
+        module.errors = errors;
+
+        for (const statement of ast.body) {
+            if (statement.type === 'ExportDeclaration') {
+                for (const id of declaredNames(statement.declaration)) {
+                    module.exports.set(id.name, id);
+                }
+            } else if (statement.type === 'ImportDeclaration') {
+                const dependency = this._resolve(module, statement);
+                if (dependency != null) {
+                    module.dependencies.set(statement, dependency);
+                }
+            }
+        }
+        return module;
+    }
+
+    /**
+     * The Module an import refers to, loading it the first time.
+     * Only paths relative to the importing file are resolved.
+     */
+    _resolve(module, node) {
+        const specifier = node.source.value;
+        if (!/^\.\.?\//.test(specifier)) {
+            this._report(module, 'unresolved-import',
+                `Cannot find module "${specifier}": import paths start with "./" or "../"`, node.source);
+            return null;
+        }
+
+        const base = path.resolve(path.dirname(module.path), specifier);
+        const candidates = path.extname(base) === '' ? [base + this._extension, base] : [base];
+        for (const candidate of candidates) {
+            if (this._modules.has(candidate)) {
+                return this._modules.get(candidate);
+            }
+            let source;
+            try {
+                source = this._readFile(candidate);
+            } catch (error) {
+                continue;
+            }
+            return this._load(candidate, source);
+        }
+
+        this._report(module, 'unresolved-import', `Cannot find module "${specifier}"`, node.source);
+        return null;
+    }
+
+    /**
+     * Reports the imported names which the imported file doesn't export.
+     */
+    _checkImports(module) {
+        for (const [node, dependency] of module.dependencies) {
+            for (const specifier of node.specifiers) {
+                if (specifier.type === 'ImportSpecifier' && !dependency.exports.has(specifier.imported.name)) {
+                    this._report(module, 'missing-export',
+                        `Module "${node.source.value}" has no export "${specifier.imported.name}"`, specifier.imported);
+                }
+            }
+        }
+    }
+
+    /**
+     * The modules from a root, each after the ones it imports. An
+     * import closing a cycle is reported.
+     */
+    _order(root) {
+        const order = [];
+        const visited = new Set();
+        const stack = []; // the import chain being visited
+
+        const visit = module => {
+            visited.add(module);
+            stack.push(module);
+            for (const [node, dependency] of module.dependencies) {
+                const index = stack.indexOf(dependency);
+                if (index !== -1) {
+                    const cycle = [...stack.slice(index), dependency]
+                        .map(member => path.relative(path.dirname(module.path), member.path));
+                    this._report(module, 'import-cycle', `Import cycle: ${cycle.join(' -> ')}`, node.source);
+                } else if (!visited.has(dependency)) {
+                    visit(dependency);
+                }
+            }
+            stack.pop();
+            order.push(module);
+        };
+        visit(root);
+        return order;
+    }
+
+    _report(module, code, message, node) {
+        module.diagnostics.push({
+            severity: 'error',
+            code,
+            message,
+            node,
+            loc: node.loc,
+            path: module.path,
+        });
+    }
+}
+
+/**
+ * The Identifiers which an exported declaration declares.
+ */
+function declaredNames(declaration) {
+    switch (declaration.type) {
+        case 'ClassDeclaration':
+            return [declaration.id];
+        case 'FunctionDeclaration':
+            return [declaration.name];
+        case 'VariableStatement':
+            return declaration.declarations.flatMap(declarator => patternIdentifiers(declarator.id));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Loads the program of a root file.
+ */
+function load(file, options = {}) {
+    return new Loader(options).load(file);
+}
+
+module.exports = {
+    Loader,
+    Module,
+    load,
+}
@@ -2,7 +2,64 @@
  * Letter parser: recursive descent implementation.
  */
 
-const { Tokenizer } = require('./Tokenizer');
+const { Tokenizer, Keywords } = require('./Tokenizer');
+const { VisitorKeys } = require('./Traverse');
+
+/**
+ * Tokens where the recovering parser resumes after a syntax error.
+ */
+const SyncTokens = new Set([
+    'let',
+    'if',
+    'def',
+    'class',
+    'while',
+    'do',
+    'for',
+    'return',
+    'break',
+    'continue',
+    'switch',
+    'case',
+    'default',
+    'throw',
+    'try',
+    'import',
+    'export',
+]);
+
+/**
+ * Tokens which can follow the `(` of arrow function parameters.
+ */
+const ParameterStarts = new Set([')', 'IDENTIFIER', '[', '{', '...']);
+
+/**
+ * The source and the options of each parsed Program, for reparse().
+ */
+const ParsedSources = new WeakMap();
+
+/**
+ * Single character escape sequences of strings and templates.
+ */
+const Escapes = {
+    'n': '\n',
+    't': '\t',
+    'r': '\r',
+    'b': '\b',
+    'f': '\f',
+    'v': '\v',
+    '\\': '\\',
+    "'": "'",
+    '"': '"',
+    '`': '`',
+    '$': '$',
+};
+
+/**
+ * An escape sequence, at a backslash: `\u{1F600}`, `\u00e9`, `\xe9`,
+ * or a single (possibly invalid) character.
+ */
+const EscapeSequence = /\\(?:u\{([\da-fA-F]+)\}|u([\da-fA-F]{4})|x([\da-fA-F]{2})|(\r\n|[\s\S]))/y;
 
 class Parser {
 
@@ -16,34 +73,266 @@ class Parser {
 
     /**
      * Parses a string into an AST
+     *
+     * Options:
+     *  - locations: attach `loc` ({start, end} line/column) and
+     *    `range` ([start, end] offsets) to every node.
+     *  - recover: don't stop at the first syntax error; failed statements
+     *    become `ErrorNode`s and the result is `{ ast, errors }`.
+     *  - comments: collect the comments in `Program.comments`, and attach
+     *    them to the nodes as `leadingComments`, `trailingComments`, or
+     *    `innerComments` (in an empty block). A JSDoc-style comment (opened
+     *    with `/**`) on a `def`, `class` or method is also its `docComment`.
+     *    Implies `locations`.
+     *  - cst: return the lossless concrete syntax tree instead (see CST.js);
+     *    with `recover`, the result is `{ cst, errors }`.
      */
-    parse(string) {
+    parse(string, options = {}) {
+        if (options.cst && !(this instanceof CSTParser)) {
+            return new CSTParser().parse(string, options);
+        }
         this._string = string;
-        this._tokenizer.init(this._string);
+        this._options = options.comments ? { ...options, locations: true } : options;
+        this._errors = [];
+        this._tokenizer.init(this._string, {
+            comments: this._options.comments,
+            trivia: this._options.cst,
+        });
+        // Stack of the productions being parsed, in CST mode.
+        this._cst = this._options.cst ? [{ children: [] }] : null;
+        this._lastToken = null; // last consumed token, ends the current node
+        this._peeked = []; // tokens read past the lookahead, see _peek
+        this._peekedIndex = 0; // the next of them to consume
+        this._breakTargets = []; // enclosing loops, switches and labels, see _breakable
+        this._classMembers = []; // members of the class body being parsed, see _declareClassMember
+        this._shorthandInits = []; // `{ x = 1 }` initializers awaiting a pattern, see AssignmentExpression
+        this._nodeStarts = new WeakMap(); // start tokens of the parts of literals, see _toAssignmentTarget
+        this._parenthesized = new WeakSet(); // the nodes of ParenthesizedExpressions, see _toAssignmentTarget
 
         // Prime the tokenizer to obtain the first
         // token which is our lookahead. The lookahead is
         // used for predective parsing.
 
-        this._lookahead = this._tokenizer.getNextToken();
+        this._lookahead = this._nextToken();
 
         // Parse recursively starting from the main
         // entry point, the Program:
-        return this.Program();
+        const ast = this.Program();
+
+        if (this._options.comments) {
+            this._attachComments(ast, this._tokenizer.comments.map(token => this._Comment(token)));
+        }
+
+        if (this._cst != null) {
+            const cst = this._cst[0].children[0];
+            cst.children.push(this._cstToken(this._lookahead)); // EOF, with the final trivia
+            this._cst = null;
+            return this._options.recover ? { cst, errors: this._errors } : cst;
+        }
+
+        ParsedSources.set(ast, { string, options });
+
+        if (this._options.recover) {
+            return {
+                ast,
+                errors: this._errors,
+            };
+        }
+        return ast;
+    }
+
+    /**
+     * Parses a source again after an edit, reusing the unaffected parts
+     * of its previous tree. The edit is `{ offset, deleteLength, insertText }`,
+     * relative to the previous source. The result equals the `parse()`
+     * of the new source.
+     *
+     * Only the statements around the edit are parsed again: top-level
+     * statements, or the members of a top-level class when the edit is
+     * inside its body. The statements before and after the edit are
+     * reused, those after it with their positions shifted in place: the
+     * previous tree is handed over, and can't be reparsed or used after
+     * a successful reparse.
+     *
+     * The reparse is incremental for trees parsed with the `locations`
+     * option alone. With other options, the new source is parsed anew.
+     */
+    reparse(previousTree, edit) {
+        const previous = ParsedSources.get(previousTree);
+        if (previous == null) {
+            throw new Error('reparse() expects a Program returned by parse() or reparse()');
+        }
+        const { offset, deleteLength = 0, insertText = '' } = edit;
+        const source = previous.string;
+        if (offset < 0 || offset + deleteLength > source.length) {
+            throw new RangeError(`Edit out of the source: ${offset}, ${deleteLength}`);
+        }
+        const string = source.slice(0, offset) + insertText + source.slice(offset + deleteLength);
+        const options = previous.options;
+        if (!options.locations || options.recover || options.comments || options.cst) {
+            return this.parse(string, options);
+        }
+
+        this._string = string;
+        this._options = options;
+        this._errors = [];
+        this._cst = null;
+        this._tokenizer.init(string);
+
+        const shift = editShift(source, string, offset, deleteLength, insertText.length);
+        let ast;
+        try {
+            ast = this._reparseClassBody(previousTree, shift) || this._reparseProgram(previousTree, shift);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+            // Fail the way a full parse does.
+            return this.parse(string, options);
+        }
+        // Only now that the reparse succeeded, the reused statements move.
+        this._shifted.forEach(statement => shiftNode(statement, shift));
+        ParsedSources.delete(previousTree);
+        ParsedSources.set(ast, { string, options });
+        return ast;
+    }
+
+    /**
+     * Reparses the members of the top-level class whose body contains
+     * the edit. Returns null if the edit is elsewhere, or the class body
+     * now ends somewhere else. The members kept are checked again
+     * against the new ones.
+     */
+    _reparseClassBody(program, shift) {
+        const index = program.body.findIndex(node => node.type === 'ClassDeclaration' &&
+            node.body.range[0] < shift.offset && shift.deleteEnd < node.body.range[1]);
+        if (index === -1) {
+            return null;
+        }
+        const node = program.body[index];
+        const block = node.body;
+
+        // Members start after the `{`, and end at the `}`.
+        const from = {
+            offset: block.range[0] + 1,
+            loc: { line: block.loc.start.line, column: block.loc.start.column + 1 },
+        };
+        const until = { type: '}', start: block.range[1] - 1 + shift.delta };
+        this._classMembers = [];
+        const members = this._reparseList(block.body, from, until, shift, 'ClassMember');
+        if (members == null) {
+            return null;
+        }
+        members.forEach((member, i) => {
+            const token = { start: member.key.range[0], loc: member.key.loc };
+            this._checkClassMember(member, members.slice(0, i), token);
+        });
+
+        const body = { ...block, body: members, loc: shiftEnd(block.loc, shift), range: shiftEndRange(block.range, shift) };
+        const classDeclaration = { ...node, body, loc: shiftEnd(node.loc, shift), range: shiftEndRange(node.range, shift) };
+        return {
+            ...program,
+            body: [
+                ...program.body.slice(0, index),
+                classDeclaration,
+                ...this._reuse(program.body.slice(index + 1)),
+            ],
+            loc: shiftEnd(program.loc, shift),
+            range: shiftEndRange(program.range, shift),
+        };
+    }
+
+    /**
+     * Reparses the top-level statements around the edit.
+     */
+    _reparseProgram(program, shift) {
+        const from = { offset: 0, loc: { line: 1, column: 0 } };
+        const until = { type: 'EOF', start: this._string.length };
+        return {
+            ...program,
+            body: this._reparseList(program.body, from, until, shift, 'ModuleItem'),
+            loc: shiftEnd(program.loc, shift),
+            range: shiftEndRange(program.range, shift),
+        };
+    }
+
+    /**
+     * Parses again the statements of a list (`from` its start `until`
+     * its end token) which the edit may have changed, with the
+     * production of its items. Returns the new list, or null if it
+     * doesn't end at the same token anymore.
+     */
+    _reparseList(list, from, until, shift, production = 'Statement') {
+        // The statement right before the edit is parsed again too: the
+        // edit may extend it, as an `else` does an `if`.
+        let reused = 0;
+        while (reused < list.length && list[reused].range[1] <= shift.offset) {
+            reused++;
+        }
+        reused = Math.max(reused - 1, 0);
+        this._shifted = []; // the statements after the edit, reused
+        if (reused > 0) {
+            from = { offset: list[reused - 1].range[1], loc: list[reused - 1].loc.end };
+        }
+
+        this._tokenizer.seek(from.offset, from.loc);
+        this._lastToken = null;
+        this._peeked = [];
+        this._peekedIndex = 0;
+        this._breakTargets = [];
+        this._shorthandInits = [];
+        this._lookahead = this._nextToken();
+
+        const body = list.slice(0, reused);
+        let next = reused;
+        for (;;) {
+            // The source after the edit is unchanged: so is the rest of
+            // the list, once a statement starts where an old one did.
+            const position = this._lookahead.start;
+            if (position >= shift.insertEnd) {
+                while (next < list.length && list[next].range[0] + shift.delta < position) {
+                    next++;
+                }
+                if (next < list.length && list[next].range[0] + shift.delta === position) {
+                    return body.concat(this._reuse(list.slice(next)));
+                }
+            }
+            if (this._lookahead.type === until.type) {
+                return position === until.start ? body : null;
+            }
+            body.push(this[production]());
+        }
+    }
+
+    /**
+     * Reuses the statements after the edit, to be shifted once the
+     * reparse succeeds.
+     */
+    _reuse(statements) {
+        this._shifted.push(...statements);
+        return statements;
     }
 
     /**
      * Main entry point.
      * 
      * Program
-     *  : StatementList
+     *  : OptModuleItemList
+     *  ;
+     *
+     * ModuleItemList
+     *  : (ModuleItem)*
      *  ;
      */
     Program() {
-        return {
+        const program = {
             type: 'Program',
-            body: this.StatementList(),
+            body: this._lookahead.type !== 'EOF' ? this.StatementList(null, 'ModuleItem') : [],
         };
+
+        // The program spans the whole source, up to the EOF token.
+        const sourceStart = { start: 0, loc: { start: { line: 1, column: 0 } } };
+        return this._finishNode(program, sourceStart, this._lookahead);
     }
 
     /**
@@ -51,14 +340,230 @@ class Parser {
      *  : (Statement)*
      *  ;
      */
-    StatementList(stopLookAhead = null) {
-        const statementList = [this.Statement()];
-        while (this._lookahead != null && this._lookahead.type !== stopLookAhead) {
-            statementList.push(this.Statement());
+    StatementList(stopLookAhead = null, production = 'Statement') {
+        const statementList = [this._recoverableStatement(production)];
+        while (this._lookahead.type !== 'EOF' && this._lookahead.type !== stopLookAhead) {
+            statementList.push(this._recoverableStatement(production));
         }
         return statementList;
     }
 
+    /**
+     * Parses a statement of a list (or another production of its
+     * items). In recover mode a syntax error is recorded, the tokens
+     * are skipped up to the next statement boundary, and an ErrorNode
+     * takes the place of the statement.
+     */
+    _recoverableStatement(production = 'Statement') {
+        if (!this._options.recover) {
+            return this[production]();
+        }
+
+        const start = this._lookahead;
+        try {
+            return this[production]();
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+            this._reportError(error);
+            this._synchronize(start);
+
+            // Nothing consumed: the node is empty at the failed token.
+            const end = this._lookahead === start ? start : this._lastToken;
+            return this._finishNode({
+                type: 'ErrorNode',
+                message: error.message,
+            }, start, end);
+        }
+    }
+
+    /**
+     * Skips tokens up to a statement boundary: past a ';' or a balanced
+     * '{ ... }' block, or before an unmatched '}' or a statement keyword.
+     * Always advances at least one token from `start`, so a statement
+     * can't fail twice at the same place.
+     */
+    _synchronize(start) {
+        if (this._lookahead === start && this._lookahead.type !== 'EOF') {
+            this._advance();
+        }
+        let depth = 0;
+        while (this._lookahead.type !== 'EOF') {
+            switch (this._lookahead.type) {
+                case '{':
+                    depth++;
+                    break;
+                case '}':
+                    if (depth === 0) {
+                        return;
+                    }
+                    if (--depth === 0) {
+                        this._advance();
+                        return;
+                    }
+                    break;
+                case ';':
+                    if (depth === 0) {
+                        this._advance();
+                        return;
+                    }
+                    break;
+                default:
+                    if (depth === 0 && SyncTokens.has(this._lookahead.type)) {
+                        return;
+                    }
+            }
+            this._advance();
+        }
+    }
+
+    /**
+     * Records a syntax error in recover mode. An error at the same
+     * position as the previous one is a consequence of it, and dropped.
+     */
+    _reportError(error) {
+        const last = this._errors[this._errors.length - 1];
+        if (last == null || last.pos !== error.pos) {
+            this._errors.push(error);
+        }
+    }
+
+    /**
+     * ModuleItem
+     *  : ImportDeclaration
+     *  | ExportDeclaration
+     *  | Statement
+     *  ;
+     */
+    ModuleItem() {
+        switch (this._lookahead.type) {
+            case 'import':
+                return this.ImportDeclaration();
+            case 'export':
+                return this.ExportDeclaration();
+            default:
+                return this.Statement();
+        }
+    }
+
+    /**
+     * ImportDeclaration
+     *  : 'import' ImportClause 'from' StringLiteral ';'
+     *  ;
+     *
+     * ImportClause
+     *  : '{' OptImportSpecifierList '}'
+     *  | '*' 'as' Identifier
+     *  ;
+     *
+     * ImportSpecifierList
+     *  : ImportSpecifier
+     *  | ImportSpecifierList ',' ImportSpecifier
+     *  ;
+     */
+    ImportDeclaration() {
+        const start = this._lookahead;
+        this._eat('import');
+
+        const specifiers = [];
+        if (this._lookahead.type === 'MULTIPLICATIVE_OPERATOR' && this._lookahead.value === '*') {
+            specifiers.push(this.ImportNamespaceSpecifier());
+        } else {
+            this._eat('{');
+            while (this._lookahead.type !== '}') {
+                specifiers.push(this.ImportSpecifier());
+                if (this._lookahead.type !== '}') {
+                    this._eat(',');
+                }
+            }
+            this._eat('}');
+        }
+
+        this._eatContextual('from');
+        const source = this.StringLiteral();
+        this._eat(';');
+
+        return this._finishNode({
+            type: 'ImportDeclaration',
+            specifiers,
+            source,
+        }, start);
+    }
+
+    /**
+     * ImportSpecifier
+     *  : Identifier
+     *  | Identifier 'as' Identifier
+     *  ;
+     *
+     * The local name of `{ x }` is a copy of the imported one.
+     */
+    ImportSpecifier() {
+        const start = this._lookahead;
+        const imported = this.Identifier();
+        let local = { ...imported };
+        if (this._lookahead.type === 'IDENTIFIER' && this._lookahead.value === 'as') {
+            this._eatContextual('as');
+            local = this.Identifier();
+        }
+
+        return this._finishNode({
+            type: 'ImportSpecifier',
+            imported,
+            local,
+        }, start);
+    }
+
+    /**
+     * ImportNamespaceSpecifier
+     *  : '*' 'as' Identifier
+     *  ;
+     */
+    ImportNamespaceSpecifier() {
+        const start = this._lookahead;
+        this._eat('MULTIPLICATIVE_OPERATOR');
+        this._eatContextual('as');
+        const local = this.Identifier();
+
+        return this._finishNode({
+            type: 'ImportNamespaceSpecifier',
+            local,
+        }, start);
+    }
+
+    /**
+     * ExportDeclaration
+     *  : 'export' ClassDeclaration
+     *  | 'export' FunctionDeclaration
+     *  | 'export' VariableStatement
+     *  ;
+     */
+    ExportDeclaration() {
+        const start = this._lookahead;
+        this._eat('export');
+
+        let declaration;
+        switch (this._lookahead.type) {
+            case 'class':
+                declaration = this.ClassDeclaration();
+                break;
+            case 'def':
+                declaration = this.FunctionDeclaration();
+                break;
+            case 'let':
+                declaration = this.VariableStatement();
+                break;
+            default:
+                throw this._syntaxError('"export" must be followed by a class, def or let declaration');
+        }
+
+        return this._finishNode({
+            type: 'ExportDeclaration',
+            declaration,
+        }, start);
+    }
+
     /**
      * Statement
      *  : ExpressionStatement
@@ -70,6 +575,12 @@ class Parser {
      *  | FunctionStatement
      *  | ReturnStatement
      *  | ClassDeclaration
+     *  | BreakStatement
+     *  | ContinueStatement
+     *  | SwitchStatement
+     *  | LabeledStatement
+     *  | ThrowStatement
+     *  | TryStatement
      *  ;
      */
     Statement() {
@@ -83,7 +594,8 @@ class Parser {
             case 'if':
                 return this.IfStatement();
             case 'def':
-                return this.FunctionDeclaration();
+                // `def (` starts a FunctionExpression, e.g. called at once.
+                return this._peek(1).type === '(' ? this.ExpressionStatement() : this.FunctionDeclaration();
             case 'return':
                 return this.ReturnStatement();
             case 'class':
@@ -92,7 +604,23 @@ class Parser {
             case 'do':
             case 'for':
                 return this.IterationStatement(this._lookahead.type);
+            case 'break':
+                return this.BreakStatement();
+            case 'continue':
+                return this.ContinueStatement();
+            case 'switch':
+                return this.SwitchStatement();
+            case 'throw':
+                return this.ThrowStatement();
+            case 'try':
+                return this.TryStatement();
+            case 'import':
+            case 'export':
+                throw this._syntaxError(`"${this._lookahead.type}" is only allowed at the top level of a file`);
             default:
+                if (this._lookahead.type === 'IDENTIFIER' && this._peek(1).type === ':') {
+                    return this.LabeledStatement();
+                }
                 return this.ExpressionStatement();
         }
     }
@@ -103,19 +631,20 @@ class Parser {
      *  ;
      */
     IfStatement() {
+        const start = this._lookahead;
         this._eat('if');
         this._eat('(');
         const test = this.Expression();
         this._eat(')');
         const consequent = this.Statement();
-        const alternate = (this._lookahead != null && this._lookahead.type === 'else') ? this._eat('else') && this.Statement() : null;
+        const alternate = (this._lookahead.type === 'else') ? this._eat('else') && this.Statement() : null;
 
-        return {
+        return this._finishNode({
             type: 'IfStatement',
             test,
             consequent,
             alternate,
-        };
+        }, start);
     }
 
     /**
@@ -124,82 +653,592 @@ class Parser {
      *  ;
      */
     FunctionDeclaration() {
+        const start = this._lookahead;
         this._eat('def');
         const name = this.Identifier();
+        const params = this._parameters();
+        const body = this._functionBody();
 
-        this._eat('(');
-        const params = this._lookahead.type !== ')' ? this.FormalParameterList() : [];
-        this._eat(')');
-
-        const body = this.BlockStatement();
-
-        return {
+        return this._finishNode({
             type: 'FunctionDeclaration',
             name,
             params,
             body,
+        }, start);
+    }
+
+    /**
+     * FunctionExpression
+     *  : 'def' '(' OptFormalParameterList ')' BlockStatement
+     *  ;
+     */
+    FunctionExpression() {
+        const start = this._lookahead;
+        this._eat('def');
+        const params = this._parameters();
+        const body = this._functionBody();
+
+        return this._finishNode({
+            type: 'FunctionExpression',
+            params,
+            body,
+        }, start);
+    }
+
+    /**
+     * The parenthesized parameters of a function.
+     */
+    _parameters() {
+        this._eat('(');
+        const params = this._lookahead.type !== ')' ? this.FormalParameterList() : [];
+        this._eat(')');
+        return params;
+    }
+
+    /**
+     * The block of a function: the loops, switches and labels around
+     * the function are out of reach of its `break` and `continue`.
+     */
+    _functionBody() {
+        const breakTargets = this._breakTargets;
+        this._breakTargets = [];
+        try {
+            return this.BlockStatement();
+        } finally {
+            this._breakTargets = breakTargets;
         }
     }
 
     /**
      * FormalParameterList
-     *  : Identifier
-     *  | FormalParameterList ',' Identifier
+     *  : BindingElement
+     *  | RestElement
+     *  | FormalParameterList ',' BindingElement
+     *  | FormalParameterList ',' RestElement
      *  ;
+     *
+     * Only the last parameter may be a RestElement.
      */
     FormalParameterList() {
         const params = [];
         do {
-            params.push(this.Identifier());
+            const last = params[params.length - 1];
+            if (last != null && last.type === 'RestElement') {
+                throw this._syntaxError(this._lookahead.type === '...'
+                    ? 'A function can only have one rest parameter'
+                    : 'A rest parameter must be the last parameter');
+            }
+            params.push(this._lookahead.type === '...' ? this.RestElement() : this.BindingElement());
         } while (this._lookahead.type === ',' && this._eat(','));
 
         return params;
     }
 
+    /**
+     * BindingElement
+     *  : BindingPattern OptVariableInitializer
+     *  ;
+     *
+     * An element with a default value is an AssignmentPattern.
+     */
+    BindingElement() {
+        const start = this._lookahead;
+        const left = this.BindingPattern();
+        if (this._lookahead.type !== 'SIMPLE_ASSIGN') {
+            return left;
+        }
+        return this._finishNode({
+            type: 'AssignmentPattern',
+            left,
+            right: this.VariableInitializer(),
+        }, start);
+    }
+
+    /**
+     * RestElement
+     *  : '...' BindingPattern
+     *  ;
+     */
+    RestElement() {
+        const start = this._lookahead;
+        this._eat('...');
+        return this._finishNode({
+            type: 'RestElement',
+            argument: this.BindingPattern(),
+        }, start);
+    }
+
+    /**
+     * BindingPattern
+     *  : Identifier
+     *  | ArrayPattern
+     *  | ObjectPattern
+     *  ;
+     */
+    BindingPattern() {
+        switch (this._lookahead.type) {
+            case '[':
+                return this.ArrayPattern();
+            case '{':
+                return this.ObjectPattern();
+            default:
+                return this.Identifier();
+        }
+    }
+
+    /**
+     * ArrayPattern
+     *  : '[' OptBindingElementList ']'
+     *  ;
+     *
+     * BindingElementList
+     *  : Elision? BindingElement
+     *  | Elision? RestElement
+     *  | BindingElementList ',' Elision? BindingElement
+     *  | BindingElementList ',' Elision? RestElement
+     *  ;
+     *
+     * As in an ArrayLiteral, an elision is a `null` hole. Only the
+     * last element may be a RestElement.
+     */
+    ArrayPattern() {
+        const start = this._lookahead;
+        this._eat('[');
+        const elements = [];
+        while (this._lookahead.type !== ']') {
+            if (this._lookahead.type === ',') {
+                this._eat(',');
+                elements.push(null);
+                continue;
+            }
+            if (this._lookahead.type === '...') {
+                elements.push(this._lastRestElement());
+                break;
+            }
+            elements.push(this.BindingElement());
+            if (this._lookahead.type !== ']') {
+                this._eat(',');
+            }
+        }
+        this._eat(']');
+
+        return this._finishNode({
+            type: 'ArrayPattern',
+            elements,
+        }, start);
+    }
+
+    /**
+     * ObjectPattern
+     *  : '{' OptBindingPropertyList '}'
+     *  ;
+     *
+     * BindingPropertyList
+     *  : BindingProperty
+     *  | RestElement
+     *  | BindingPropertyList ',' BindingProperty
+     *  | BindingPropertyList ',' RestElement
+     *  ;
+     *
+     * Only the last property may be a RestElement, which collects the
+     * other fields into an Identifier. A trailing comma is allowed
+     * after the others.
+     */
+    ObjectPattern() {
+        const start = this._lookahead;
+        this._eat('{');
+        const properties = [];
+        while (this._lookahead.type !== '}') {
+            if (this._lookahead.type === '...') {
+                const argument = this._peek(1);
+                const rest = this._lastRestElement();
+                if (rest.argument.type !== 'Identifier') {
+                    throw this._syntaxError('The rest element of an object pattern must be an identifier', argument);
+                }
+                properties.push(rest);
+                break;
+            }
+            properties.push(this.BindingProperty());
+            if (this._lookahead.type !== '}') {
+                this._eat(',');
+            }
+        }
+        this._eat('}');
+
+        return this._finishNode({
+            type: 'ObjectPattern',
+            properties,
+        }, start);
+    }
+
+    /**
+     * BindingProperty
+     *  : PropertyName ':' BindingElement
+     *  | Identifier OptVariableInitializer
+     *  ;
+     *
+     * A Property, as in an ObjectLiteral: the value of a shorthand
+     * property (`{ x }`) is a copy of its key, or an AssignmentPattern
+     * of that copy if it has a default value (`{ x = 1 }`).
+     */
+    BindingProperty() {
+        const start = this._lookahead;
+        const computed = this._lookahead.type === '[';
+        const key = this._propertyName();
+        const shorthand = this._lookahead.type !== ':' && start.type === 'IDENTIFIER';
+        let value;
+        if (shorthand) {
+            value = this._shorthandValue(key, start);
+        } else {
+            this._eat(':');
+            value = this.BindingElement();
+        }
+
+        return this._finishNode({
+            type: 'Property',
+            key,
+            value,
+            computed,
+            shorthand,
+            method: false,
+        }, start);
+    }
+
+    /**
+     * The RestElement of a pattern, which nothing may follow.
+     */
+    _lastRestElement() {
+        const rest = this.RestElement();
+        if (this._lookahead.type === ',') {
+            throw this._syntaxError('A rest element must be last in a destructuring pattern');
+        }
+        return rest;
+    }
+
     /**
      * ReturnStatement
      *  : 'return' OptExpression ';'
      *  ;
      */
     ReturnStatement() {
+        const start = this._lookahead;
         this._eat('return');
         let argument = (this._lookahead.type !== ';') ? this.Expression() : null;
         this._eat(';');
-        return {
+        return this._finishNode({
             type: 'ReturnStatement',
             argument,
+        }, start);
+    }
+
+    /**
+     * ThrowStatement
+     *  : 'throw' Expression ';'
+     *  ;
+     */
+    ThrowStatement() {
+        const start = this._lookahead;
+        this._eat('throw');
+        const argument = this.Expression();
+        this._eat(';');
+        return this._finishNode({
+            type: 'ThrowStatement',
+            argument,
+        }, start);
+    }
+
+    /**
+     * TryStatement
+     *  : 'try' BlockStatement CatchClause OptFinally
+     *  | 'try' BlockStatement Finally
+     *  ;
+     *
+     * Finally
+     *  : 'finally' BlockStatement
+     *  ;
+     */
+    TryStatement() {
+        const start = this._lookahead;
+        this._eat('try');
+        const block = this.BlockStatement();
+        const handler = this._lookahead.type === 'catch' ? this.CatchClause() : null;
+
+        let finalizer = null;
+        if (this._lookahead.type === 'finally') {
+            this._eat('finally');
+            finalizer = this.BlockStatement();
+        } else if (handler == null) {
+            throw this._syntaxError('Missing "catch" or "finally" after "try" block');
+        }
+
+        return this._finishNode({
+            type: 'TryStatement',
+            block,
+            handler,
+            finalizer,
+        }, start);
+    }
+
+    /**
+     * CatchClause
+     *  : 'catch' OptCatchParameter BlockStatement
+     *  ;
+     *
+     * CatchParameter
+     *  : '(' Identifier ')'
+     *  ;
+     */
+    CatchClause() {
+        const start = this._lookahead;
+        this._eat('catch');
+        let param = null;
+        if (this._lookahead.type === '(') {
+            this._eat('(');
+            param = this.Identifier();
+            this._eat(')');
+        }
+        const body = this.BlockStatement();
+
+        return this._finishNode({
+            type: 'CatchClause',
+            param,
+            body,
+        }, start);
+    }
+
+    /**
+     * ClassDeclaration
+     *  : 'class' Identifier OptClassExtends ClassBody
+     *  ;
+     */
+    ClassDeclaration() {
+        const start = this._lookahead;
+        this._eat('class');
+        const id = this.Identifier();
+        const superClass = (this._lookahead.type === 'extends') ? this.ClassExtends() : null;
+
+        const body = this.ClassBody();
+
+        return this._finishNode({
+            type: 'ClassDeclaration',
+            id,
+            superClass,
+            body,
+        }, start);
+
+    }
+
+    /**
+     * ClassExtends
+     *  : 'extends' Identifier
+     *  ;
+     */
+    ClassExtends() {
+        this._eat('extends');
+        return this.Identifier();
+    }
+
+    /**
+     * ClassBody
+     *  : '{' OptClassMemberList '}'
+     *  ;
+     *
+     * ClassMemberList
+     *  : (ClassMember)*
+     *  ;
+     */
+    ClassBody() {
+        const start = this._lookahead;
+        this._eat('{');
+        const classMembers = this._classMembers;
+        this._classMembers = [];
+        const body = [];
+        try {
+            while (this._lookahead.type !== '}' && this._lookahead.type !== 'EOF') {
+                body.push(this._recoverableStatement('ClassMember'));
+            }
+        } finally {
+            this._classMembers = classMembers;
+        }
+        this._eat('}');
+
+        return this._finishNode({
+            type: 'ClassBody',
+            body,
+        }, start);
+    }
+
+    /**
+     * ClassMember
+     *  : MethodDefinition
+     *  | ClassField
+     *  ;
+     *
+     * `static`, `get` and `set` are keywords only before a member name,
+     * so they remain valid names otherwise.
+     */
+    ClassMember() {
+        const n = this._isModifier(0, 'static') ? 1 : 0;
+        const token = n === 0 ? this._lookahead : this._peek(n);
+        if (token.type === 'def' || this._isModifier(n, 'get') || this._isModifier(n, 'set')) {
+            return this.MethodDefinition();
+        }
+        if (token.type === 'IDENTIFIER' || this._isKeywordField(token, n)) {
+            return this.ClassField();
+        }
+        if (token.type === 'EOF') {
+            throw this._syntaxError(`Unexpected end of input`, token);
+        }
+        throw this._syntaxError(`Unexpected "${token.value}" in class body, expected a method or a field`, token);
+    }
+
+    /**
+     * MethodDefinition
+     *  : OptStatic 'def' IdentifierName '(' OptFormalParameterList ')' BlockStatement
+     *  | OptStatic 'get' IdentifierName '(' ')' BlockStatement
+     *  | OptStatic 'set' IdentifierName '(' Identifier ')' BlockStatement
+     *  ;
+     *
+     * Static
+     *  : 'static'
+     *  ;
+     *
+     * The value is a FunctionExpression, and the kind `constructor`,
+     * `method`, `get` or `set`.
+     */
+    MethodDefinition() {
+        const start = this._lookahead;
+        const isStatic = this._static();
+        let kind = 'method';
+        if (this._lookahead.type === 'def') {
+            this._eat('def');
+        } else {
+            kind = this._eat('IDENTIFIER').value;
+        }
+        const keyToken = this._lookahead;
+        const key = this.IdentifierName();
+        if (kind === 'method' && !isStatic && key.name === 'constructor') {
+            kind = 'constructor';
+        }
+        this._declareClassMember({ type: 'MethodDefinition', kind, static: isStatic, key }, keyToken);
+
+        const paramsStart = this._lookahead;
+        const params = this._parameters();
+        if (kind === 'get' && params.length !== 0) {
+            throw this._syntaxError('A getter takes no parameters', paramsStart);
+        }
+        if (kind === 'set' && (params.length !== 1 || params[0].type === 'RestElement')) {
+            throw this._syntaxError('A setter takes exactly one parameter', paramsStart);
         }
+        const value = this._finishNode({
+            type: 'FunctionExpression',
+            params,
+            body: this._functionBody(),
+        }, paramsStart);
+
+        return this._finishNode({
+            type: 'MethodDefinition',
+            kind,
+            static: isStatic,
+            key,
+            value,
+        }, start);
     }
 
     /**
-     * ClassDeclaration
-     *  : 'class' Identifier OptClassExtends BlockStatement
+     * ClassField
+     *  : OptStatic IdentifierName OptVariableInitializer ';'
      *  ;
+     *
+     * A field without an initializer starts as null.
      */
-    ClassDeclaration() {
-        this._eat('class');
-        const id = this.Identifier();
-        const superClass = (this._lookahead.type === 'extends') ? this.ClassExtends() : null;
+    ClassField() {
+        const start = this._lookahead;
+        const isStatic = this._static();
+        const keyToken = this._lookahead;
+        const key = this.IdentifierName();
+        this._declareClassMember({ type: 'ClassField', static: isStatic, key }, keyToken);
+
+        const value = this._lookahead.type !== ';' ? this.VariableInitializer() : null;
+        this._eat(';');
 
-        const body = this.BlockStatement();
+        return this._finishNode({
+            type: 'ClassField',
+            static: isStatic,
+            key,
+            value,
+        }, start);
+    }
 
-        return {
-            type: 'ClassDeclaration',
-            id,
-            superClass,
-            body,
+    /**
+     * Whether a keyword, `n` places ahead, names a field (`default = 1;`)
+     * rather than starting a misplaced statement (`if (x) {}`).
+     */
+    _isKeywordField(token, n) {
+        return Keywords.has(token.type) && ['SIMPLE_ASSIGN', ';', '}'].includes(this._peek(n + 1).type);
+    }
+
+    /**
+     * Whether the token `n` places ahead is the modifier `static`, `get`
+     * or `set` rather than a member name: it is followed by another
+     * name, or a keyword (`static def`, `get default`).
+     */
+    _isModifier(n, name) {
+        const token = n === 0 ? this._lookahead : this._peek(n);
+        const next = this._peek(n + 1).type;
+        return token.type === 'IDENTIFIER' && token.value === name &&
+            (next === 'IDENTIFIER' || Keywords.has(next));
+    }
+
+    /**
+     * Eats the `static` of a class member, if any. Returns whether the
+     * member is static.
+     */
+    _static() {
+        if (!this._isModifier(0, 'static')) {
+            return false;
         }
+        this._eat('IDENTIFIER');
+        return true;
+    }
 
+    /**
+     * Checks a member against the ones before it in the class body,
+     * then records it.
+     */
+    _declareClassMember(member, token) {
+        this._checkClassMember(member, this._classMembers, token);
+        this._classMembers.push(member);
     }
 
     /**
-     * ClassExtends
-     *  : 'extends' Identifier
-     *  ;
+     * Checks a class member against the previous ones: a single
+     * constructor, which is a plain method, and no other name used twice
+     * (on the same side, static or not) but by a getter and its setter.
      */
-    ClassExtends() {
-        this._eat('extends');
-        return this.Identifier();
+    _checkClassMember(member, previous, token) {
+        const name = member.key.name;
+        if (name === 'constructor' && !member.static) {
+            if (member.type === 'ClassField') {
+                throw this._syntaxError('A class field can\'t be named "constructor"', token);
+            }
+            if (member.kind !== 'constructor') {
+                throw this._syntaxError('A class constructor can\'t be a getter or a setter', token);
+            }
+        }
+
+        for (const other of previous) {
+            if (other.type === 'ErrorNode' || other.key.name !== name || other.static !== member.static) {
+                continue;
+            }
+            if (member.kind === 'constructor') {
+                throw this._syntaxError('A class may only have one constructor', token);
+            }
+            const isAccessor = kind => kind === 'get' || kind === 'set';
+            if (!isAccessor(member.kind) || !isAccessor(other.kind) || member.kind === other.kind) {
+                throw this._syntaxError(`Duplicate class member "${name}"`, token);
+            }
+        }
     }
 
     /**
@@ -228,17 +1267,18 @@ class Parser {
      *  ;
      */
     WhileStatement() {
+        const start = this._lookahead;
         this._eat('while');
         this._eat('(');
         const test = this.Expression();
         this._eat(')');
-        const body = this.Statement();
+        const body = this._breakable({ label: null, isLoop: true }, () => this.Statement());
 
-        return {
+        return this._finishNode({
             type: 'WhileStatement',
             test,
             body,
-        };
+        }, start);
 
     }
 
@@ -248,8 +1288,9 @@ class Parser {
      *  ;
      */
     DoStatement() {
+        const start = this._lookahead;
         this._eat('do');
-        const body = this.Statement();
+        const body = this._breakable({ label: null, isLoop: true }, () => this.Statement());
         this._eat('while');
 
         this._eat('(');
@@ -258,11 +1299,11 @@ class Parser {
         this._eat(';');
 
 
-        return {
+        return this._finishNode({
             type: 'DoStatement',
             body,
             test,
-        };
+        }, start);
     }
 
     /**
@@ -271,6 +1312,7 @@ class Parser {
      *  ;
      */
     ForStatement() {
+        const start = this._lookahead;
         this._eat('for');
         this._eat('(');
 
@@ -286,15 +1328,15 @@ class Parser {
         const update = this._lookahead.type !== ')' ? this.Expression() : null;
         this._eat(')');
 
-        const body = this.Statement();
+        const body = this._breakable({ label: null, isLoop: true }, () => this.Statement());
 
-        return {
+        return this._finishNode({
             type: 'ForStatement',
             init,
             test,
             update,
             body,
-        };
+        }, start);
     }
 
 
@@ -311,19 +1353,195 @@ class Parser {
         return this.Expression();
     }
 
+    /**
+     * Parses a statement which `break`, and `continue` for a loop, can
+     * target: `{ label, isLoop }`, where the label is null but for a
+     * LabeledStatement.
+     */
+    _breakable(target, production) {
+        this._breakTargets.push(target);
+        try {
+            return production();
+        } finally {
+            this._breakTargets.pop();
+        }
+    }
+
+    /**
+     * BreakStatement
+     *  : 'break' OptIdentifier ';'
+     *  ;
+     */
+    BreakStatement() {
+        const start = this._lookahead;
+        this._eat('break');
+        const label = this._jumpLabel(start);
+        this._eat(';');
+        return this._finishNode({
+            type: 'BreakStatement',
+            label,
+        }, start);
+    }
+
+    /**
+     * ContinueStatement
+     *  : 'continue' OptIdentifier ';'
+     *  ;
+     */
+    ContinueStatement() {
+        const start = this._lookahead;
+        this._eat('continue');
+        const label = this._jumpLabel(start);
+        this._eat(';');
+        return this._finishNode({
+            type: 'ContinueStatement',
+            label,
+        }, start);
+    }
+
+    /**
+     * The optional label of a `break` or `continue`, checking that the
+     * statement has a target: an enclosing loop (or switch, for a
+     * `break`), or the statement of the label.
+     */
+    _jumpLabel(keyword) {
+        const isContinue = keyword.type === 'continue';
+        if (this._lookahead.type !== 'IDENTIFIER') {
+            if (!this._breakTargets.some(target => target.label === null && (target.isLoop || !isContinue))) {
+                throw this._syntaxError(isContinue ? '"continue" outside of a loop' : '"break" outside of a loop or switch', keyword);
+            }
+            return null;
+        }
+
+        const token = this._lookahead;
+        const target = this._breakTargets.find(target => target.label === token.value);
+        if (target == null) {
+            throw this._syntaxError(`Undefined label "${token.value}"`, token);
+        }
+        if (isContinue && !target.isLoop) {
+            throw this._syntaxError(`"continue" to label "${token.value}", which isn't a loop`, token);
+        }
+        return this.Identifier();
+    }
+
+    /**
+     * LabeledStatement
+     *  : Identifier ':' Statement
+     *  ;
+     */
+    LabeledStatement() {
+        const start = this._lookahead;
+        if (this._breakTargets.some(target => target.label === start.value)) {
+            throw this._syntaxError(`Label "${start.value}" is already declared`, start);
+        }
+        const label = this.Identifier();
+        this._eat(':');
+        const body = this._breakable({ label: label.name, isLoop: this._isLoopAhead() }, () => this.Statement());
+
+        return this._finishNode({
+            type: 'LabeledStatement',
+            label,
+            body,
+        }, start);
+    }
+
+    /**
+     * Whether the statement at the lookahead is a loop, maybe labeled
+     * too (`a: b: while ...`): `continue` may target its labels.
+     */
+    _isLoopAhead() {
+        let n = 0;
+        const tokenAt = n => n === 0 ? this._lookahead : this._peek(n);
+        while (tokenAt(n).type === 'IDENTIFIER' && this._peek(n + 1).type === ':') {
+            n += 2;
+        }
+        const type = tokenAt(n).type;
+        return type === 'while' || type === 'do' || type === 'for';
+    }
+
+    /**
+     * SwitchStatement
+     *  : 'switch' '(' Expression ')' '{' OptSwitchCaseList '}'
+     *  ;
+     *
+     * SwitchCaseList
+     *  : SwitchCase
+     *  | SwitchCaseList SwitchCase
+     *  ;
+     */
+    SwitchStatement() {
+        const start = this._lookahead;
+        this._eat('switch');
+        this._eat('(');
+        const discriminant = this.Expression();
+        this._eat(')');
+
+        this._eat('{');
+        const cases = this._breakable({ label: null, isLoop: false }, () => {
+            const cases = [];
+            while (this._lookahead.type === 'case' || this._lookahead.type === 'default') {
+                if (this._lookahead.type === 'default' && cases.some(switchCase => switchCase.test === null)) {
+                    throw this._syntaxError('More than one "default" clause in a switch');
+                }
+                cases.push(this.SwitchCase());
+            }
+            return cases;
+        });
+        this._eat('}');
+
+        return this._finishNode({
+            type: 'SwitchStatement',
+            discriminant,
+            cases,
+        }, start);
+    }
+
+    /**
+     * SwitchCase
+     *  : 'case' Expression ':' OptStatementList
+     *  | 'default' ':' OptStatementList
+     *  ;
+     *
+     * The test of the `default` clause is null.
+     */
+    SwitchCase() {
+        const start = this._lookahead;
+        let test = null;
+        if (this._lookahead.type === 'default') {
+            this._eat('default');
+        } else {
+            this._eat('case');
+            test = this.Expression();
+        }
+        this._eat(':');
+
+        // The statements run up to the next clause, or the end of the switch.
+        const consequent = [];
+        while (!['case', 'default', '}', 'EOF'].includes(this._lookahead.type)) {
+            consequent.push(this._recoverableStatement());
+        }
+
+        return this._finishNode({
+            type: 'SwitchCase',
+            test,
+            consequent,
+        }, start);
+    }
+
     /**
      * VariableStatementInit
      *  : 'let' VariableDeclarationList
      *  ;
      */
     VariableStatementInit() {
+        const start = this._lookahead;
         this._eat('let');
         const declarations = this.VariableDeclarationList();
 
-        return {
+        return this._finishNode({
             type: 'VariableStatement',
             declarations,
-        }
+        }, start);
     }
     /**
      * VariableStatement
@@ -331,10 +1549,11 @@ class Parser {
      *  ;
      */
     VariableStatement() {
+        const start = this._lookahead;
         const variableStatement = this.VariableStatementInit();
         this._eat(';');
 
-        return variableStatement;
+        return this._finishNode(variableStatement, start);
     }
 
     /**
@@ -355,18 +1574,24 @@ class Parser {
 
     /**
      * VariableDeclaration
-     *  : Identifier OptVariableInitializer
+     *  : BindingPattern OptVariableInitializer
+     *
+     * Only an Identifier may go without an initializer.
      */
     VariableDeclaration() {
-        const id = this.Identifier();
+        const start = this._lookahead;
+        const id = this.BindingPattern();
         // OptVariableInitializer
         const init = (this._lookahead.type !== ';' && this._lookahead.type !== ',') ? this.VariableInitializer() : null;
+        if (init == null && id.type !== 'Identifier') {
+            throw this._syntaxError('Missing initializer in destructuring declaration');
+        }
 
-        return {
+        return this._finishNode({
             type: 'VariableDeclaration',
             id,
             init,
-        };
+        }, start);
     }
 
     /**
@@ -383,14 +1608,18 @@ class Parser {
      * ExpressionStatement
      *  : Expression ';'
      *  ;
+     *
+     * A statement starting with `{` is a BlockStatement (see Statement),
+     * so an ObjectLiteral is parenthesized there: `({ a: 1 }).a;`.
      */
     ExpressionStatement() {
+        const start = this._lookahead;
         const expression = this.Expression();
         this._eat(';');
-        return {
+        return this._finishNode({
             type: 'ExpressionStatement',
             expression,
-        };
+        }, start);
     }
 
     /**
@@ -399,13 +1628,14 @@ class Parser {
      *  ;
      */
     BlockStatement() {
+        const start = this._lookahead;
         this._eat('{');
         const body = this._lookahead.type !== '}' ? this.StatementList('}') : [];
         this._eat('}');
-        return {
+        return this._finishNode({
             type: 'BlockStatement',
             body,
-        };
+        }, start);
     }
 
     /**
@@ -414,10 +1644,11 @@ class Parser {
      *   ;
      */
     EmptyStatement() {
+        const start = this._lookahead;
         this._eat(';');
-        return {
+        return this._finishNode({
             type: 'EmptyStatement',
-        };
+        }, start);
     }
 
 
@@ -432,108 +1663,231 @@ class Parser {
 
     /**
      * AssignmentExpression
-     *  : LogicalORExpression
+     *  : ArrowFunctionExpression
+     *  | ConditionalExpression
      *  | LeftHandSideExpression AssigmentOperator AssignmentExpression
+     *  | ArrayLiteral SIMPLE_ASSIGN AssignmentExpression
+     *  | ObjectLiteral SIMPLE_ASSIGN AssignmentExpression
+     *
+     * An ArrayLiteral or ObjectLiteral on the left of `=` is read again
+     * as an ArrayPattern or ObjectPattern, see _toAssignmentTarget.
+     * An element of a literal (`isElement`) may be part of one, so the
+     * `{ x = 1 }` properties, which are only valid in a pattern, are
+     * checked by the outermost AssignmentExpression.
      * */
-    AssignmentExpression() {
-        const left = this.LogicalORExpression();
-        // Si el token actual es distinto de (=, +=, -=, *=, /=)
+    AssignmentExpression(isElement = false) {
+        if (this._isArrowFunction()) {
+            return this.ArrowFunctionExpression();
+        }
+        const start = this._lookahead;
+        const shorthandInits = this._shorthandInits.length;
+        const left = this.ConditionalExpression();
+        // Si el token actual es distinto de (=, +=, -=, *=, /=, ...)
         // entonces no es un nodo Assignment as que retornamos.
         if (!this._isAssignmentOperator(this._lookahead.type)) {
+            if (!isElement && this._shorthandInits.length > shorthandInits) {
+                throw this._syntaxError('A shorthand property initializer is only allowed in a destructuring pattern',
+                    this._shorthandInits[shorthandInits]);
+            }
             return left;
         }
         // Es un nodo assignment
-        return {
+        const operator = this.AssignmentOperator().value;
+        const target = operator === '='
+            ? this._toAssignmentTarget(left, start)
+            : this._checkValidAssignmentTarget(left, start);
+        this._shorthandInits.length = shorthandInits;
+
+        return this._finishNode({
             type: 'AssignmentExpression',
-            operator: this.AssignmentOperator().value,
-            left: this._checkValidAssignmentTarget(left),
+            operator,
+            left: target,
             right: this.AssignmentExpression(),
-        };
+        }, start);
+    }
+
+    /**
+     * ArrowFunctionExpression
+     *  : ArrowParameters '=>' ArrowFunctionBody
+     *  ;
+     *
+     * ArrowParameters
+     *  : Identifier
+     *  | '(' OptFormalParameterList ')'
+     *  ;
+     *
+     * ArrowFunctionBody
+     *  : BlockStatement
+     *  | AssignmentExpression
+     *  ;
+     *
+     * As for a statement, a body starting with `{` is a block: an
+     * ObjectLiteral result is parenthesized, `() => ({ a: 1 })`.
+     */
+    ArrowFunctionExpression() {
+        const start = this._lookahead;
+        const params = this._lookahead.type === 'IDENTIFIER' ? [this.Identifier()] : this._parameters();
+        this._eat('=>');
+        const body = this._lookahead.type === '{' ? this._functionBody() : this.AssignmentExpression();
+
+        return this._finishNode({
+            type: 'ArrowFunctionExpression',
+            params,
+            body,
+        }, start);
+    }
+
+    /**
+     * Whether an ArrowFunctionExpression starts at the lookahead. Its
+     * parameters only differ from a ParenthesizedExpression by the
+     * `=>` after them, so this looks past the closing parenthesis,
+     * unless the token after `(` can't start the parameters.
+     */
+    _isArrowFunction() {
+        if (this._lookahead.type === 'IDENTIFIER') {
+            return this._peek(1).type === '=>';
+        }
+        if (this._lookahead.type !== '(' || !ParameterStarts.has(this._peek(1).type)) {
+            return false;
+        }
+        for (let n = 1, depth = 1; ; n++) {
+            switch (this._peek(n).type) {
+                case '(':
+                    depth++;
+                    break;
+                case ')':
+                    if (--depth === 0) {
+                        return this._peek(n + 1).type === '=>';
+                    }
+                    break;
+                case 'EOF':
+                    return false;
+            }
+        }
+    }
+
+    /**
+     * ConditionalExpression
+     *  : LogicalORExpression
+     *  | LogicalORExpression '?' AssignmentExpression ':' AssignmentExpression
+     *  ;
+     */
+    ConditionalExpression() {
+        const start = this._lookahead;
+        const test = this.LogicalORExpression();
+        if (this._lookahead.type !== '?') {
+            return test;
+        }
+        this._eat('?');
+        const consequent = this.AssignmentExpression();
+        this._eat(':');
+        const alternate = this.AssignmentExpression();
+
+        return this._finishNode({
+            type: 'ConditionalExpression',
+            test,
+            consequent,
+            alternate,
+        }, start);
     }
 
     /**
      * LogicalORExpression
      *  : LogicalANDExpression
-     *  | LogicalANDExpression LOGICAL_OR LogicalANDExpression
+     *  | LogicalORExpression LOGICAL_OR LogicalANDExpression
      *  ;
      */
     LogicalORExpression() {
-        let left = this.LogicalANDExpression();
-
-        while (this._lookahead.type === 'LOGICAL_OR') {
-            const operator = this._eat('LOGICAL_OR').value;
-            const right = this.LogicalANDExpression();
-            left = {
-                type: 'LogicalExpression',
-                operator,
-                left,
-                right,
-            };
-        }
-        return left;
+        return this._BinaryExpression('LogicalANDExpression', 'LOGICAL_OR', 'LogicalExpression');
     }
 
     /**
      * LogicalANDExpression
-     *  : EqualityExpression
-     *  | EqualityExpression LOGICAL_AND EqualityExpression
+     *  : BitwiseORExpression
+     *  | LogicalANDExpression LOGICAL_AND BitwiseORExpression
      *  ;
      */
     LogicalANDExpression() {
-        let left = this.EqualityExpression();
+        return this._BinaryExpression('BitwiseORExpression', 'LOGICAL_AND', 'LogicalExpression');
+    }
 
-        while (this._lookahead.type === 'LOGICAL_AND') {
-            const operator = this._eat('LOGICAL_AND').value;
-            const right = this.EqualityExpression();
-            left = {
-                type: 'LogicalExpression',
-                operator,
-                left,
-                right,
-            };
-        }
-        return left;
+    /**
+     * BitwiseORExpression
+     *  : BitwiseXORExpression
+     *  | BitwiseORExpression BITWISE_OR BitwiseXORExpression
+     *  ;
+     */
+    BitwiseORExpression() {
+        return this._BinaryExpression('BitwiseXORExpression', 'BITWISE_OR');
+    }
+
+    /**
+     * BitwiseXORExpression
+     *  : BitwiseANDExpression
+     *  | BitwiseXORExpression BITWISE_XOR BitwiseANDExpression
+     *  ;
+     */
+    BitwiseXORExpression() {
+        return this._BinaryExpression('BitwiseANDExpression', 'BITWISE_XOR');
+    }
+
+    /**
+     * BitwiseANDExpression
+     *  : EqualityExpression
+     *  | BitwiseANDExpression BITWISE_AND EqualityExpression
+     *  ;
+     */
+    BitwiseANDExpression() {
+        return this._BinaryExpression('EqualityExpression', 'BITWISE_AND');
     }
 
     /**
      * EqualityExpression
      *  : RelationalExpression
-     *  | RelationalExpression EQUALITY_OPERATOR RelationalExpression
+     *  | EqualityExpression EQUALITY_OPERATOR RelationalExpression
      *  ;
      */
     EqualityExpression() {
-        let left = this.RelationalExpression();
-
-        while (this._lookahead.type === 'EQUALITY_OPERATOR') {
-            const operator = this._eat('EQUALITY_OPERATOR').value;
-            const right = this.RelationalExpression();
-            left = {
-                type: 'BinaryExpression',
-                operator,
-                right,
-            }
-        }
-
-        return left;
+        return this._BinaryExpression('RelationalExpression', 'EQUALITY_OPERATOR');
     }
 
     /**
      * RelationalExpression
-     *  : AdditiveExpression
-     *  | AdditiveExpression RELATIONAL_OPERATOR AdditiveExpression
+     *  : ShiftExpression
+     *  | RelationalExpression RELATIONAL_OPERATOR ShiftExpression
+     *  ;
      */
     RelationalExpression() {
-        let left = this.AdditiveExpression();
+        return this._BinaryExpression('ShiftExpression', 'RELATIONAL_OPERATOR');
+    }
+
+    /**
+     * ShiftExpression
+     *  : AdditiveExpression
+     *  | ShiftExpression SHIFT_OPERATOR AdditiveExpression
+     *  ;
+     */
+    ShiftExpression() {
+        return this._BinaryExpression('AdditiveExpression', 'SHIFT_OPERATOR');
+    }
 
-        while (this._lookahead.type === 'RELATIONAL_OPERATOR') {
-            const operator = this._eat('RELATIONAL_OPERATOR').value;
-            const right = this.AdditiveExpression();
-            left = {
-                type: 'BinaryExpression',
+    /**
+     * Left-associative binary operators of one precedence level: the
+     * operands are parsed by the `builderName` production.
+     */
+    _BinaryExpression(builderName, operatorToken, type = 'BinaryExpression') {
+        const start = this._lookahead;
+        let left = this[builderName]();
+
+        while (this._lookahead.type === operatorToken) {
+            const operator = this._eat(operatorToken).value;
+            const right = this[builderName]();
+            left = this._finishNode({
+                type,
                 operator,
                 left,
                 right,
-            }
+            }, start);
         }
 
         return left;
@@ -545,23 +1899,145 @@ class Parser {
      *  ;
      */
     Identifier() {
+        const start = this._lookahead;
         const name = this._eat('IDENTIFIER').value;
-        return {
+        return this._finishNode({
             type: 'Identifier',
             name,
-        };
+        }, start);
+    }
+
+    /**
+     * IdentifierName
+     *  : IDENTIFIER
+     *  | Keyword
+     *  ;
+     *
+     * The name of a property, where keywords are names too
+     * (`promise.catch`, `{ default: 1 }`): an Identifier.
+     */
+    IdentifierName() {
+        if (!Keywords.has(this._lookahead.type)) {
+            return this.Identifier();
+        }
+        const start = this._lookahead;
+        this._advance();
+        return this._finishNode({
+            type: 'Identifier',
+            name: start.value,
+        }, start);
     }
 
     /**
      * Extra check whether it's a valid assignment target.
      * foo = bar // target ok
      * 52 = 42   // wrong target
+     * 52++      // wrong target
      */
-    _checkValidAssignmentTarget(node) {
+    _checkValidAssignmentTarget(node, start, operation = 'assignment expression') {
         if (node.type === 'Identifier' || node.type == 'MemberExpression') {
             return node;
         }
-        throw new SyntaxError('Invalid left-hand side in assignment expression');
+        throw this._syntaxError(`Invalid left-hand side in ${operation}`, start);
+    }
+
+    /**
+     * The target of `=`: an Identifier or a MemberExpression, or an
+     * ArrayLiteral or ObjectLiteral turned into the ArrayPattern or
+     * ObjectPattern of the same shape, whose elements are targets in
+     * turn. An invalid target is reported where it starts.
+     * [a, b] = [b, a]   // ArrayPattern
+     * [a + 1] = list    // wrong target: a + 1
+     * ([a]) = list      // wrong target: a parenthesized literal
+     */
+    _toAssignmentTarget(node, start, nested = false) {
+        const parenthesized = this._parenthesized.has(node);
+        switch (node.type) {
+            case 'Identifier':
+            case 'MemberExpression':
+                return node;
+            case 'ArrayLiteral':
+                if (parenthesized) {
+                    break;
+                }
+                return {
+                    ...node,
+                    type: 'ArrayPattern',
+                    elements: node.elements.map((element, index) => element != null
+                        ? this._toPatternElement(element, index === node.elements.length - 1)
+                        : null),
+                };
+            case 'ObjectLiteral':
+                if (parenthesized) {
+                    break;
+                }
+                return {
+                    ...node,
+                    type: 'ObjectPattern',
+                    properties: node.properties.map((property, index) =>
+                        this._toPatternProperty(property, index === node.properties.length - 1)),
+                };
+        }
+        if (nested) {
+            throw this._syntaxError('Invalid destructuring assignment target', start);
+        }
+        return this._checkValidAssignmentTarget(node, start);
+    }
+
+    /**
+     * An element of an ArrayLiteral (or the value of a Property) as
+     * part of a pattern: a spread is the RestElement, and an `=`
+     * assignment the AssignmentPattern of a default value.
+     */
+    _toPatternElement(element, isLast) {
+        const start = this._nodeStarts.get(element);
+        switch (element.type) {
+            case 'SpreadElement':
+                if (!isLast) {
+                    throw this._syntaxError('A rest element must be last in a destructuring pattern', start);
+                }
+                return {
+                    ...element,
+                    type: 'RestElement',
+                    argument: this._toAssignmentTarget(element.argument, this._nodeStarts.get(element.argument), true),
+                };
+            case 'AssignmentExpression': {
+                if (element.operator !== '=') {
+                    throw this._syntaxError('Invalid destructuring assignment target', start);
+                }
+                // The left side is a target already.
+                const { operator, ...pattern } = element;
+                return { ...pattern, type: 'AssignmentPattern' };
+            }
+            default:
+                return this._toAssignmentTarget(element, start, true);
+        }
+    }
+
+    /**
+     * A property of an ObjectLiteral as part of a pattern: methods
+     * aren't targets, and a spread is the RestElement.
+     */
+    _toPatternProperty(property, isLast) {
+        const start = this._nodeStarts.get(property);
+        if (property.type === 'SpreadElement') {
+            const argument = property.argument;
+            if (!isLast) {
+                throw this._syntaxError('A rest element must be last in a destructuring pattern', start);
+            }
+            if (argument.type !== 'Identifier' && argument.type !== 'MemberExpression') {
+                throw this._syntaxError('Invalid destructuring assignment target', this._nodeStarts.get(argument));
+            }
+            return { ...property, type: 'RestElement' };
+        }
+        if (property.method) {
+            throw this._syntaxError('Invalid destructuring assignment target', start);
+        }
+        // A shorthand value is an Identifier, or an AssignmentPattern.
+        return {
+            ...property,
+            value: property.shorthand ? property.value : this._toPatternElement(property.value, false),
+        };
     }
 
     /**
@@ -588,54 +2064,61 @@ class Parser {
      * AdditiveExpression
      *  : MultiplicativeExpression (ADDITIVE_OPERATOR MultiplicativeExpression)*
      *  ;
-     */
-    AdditiveExpression() {
-        let left = this.MultiplicativeExpression();
-
-        while (this._lookahead.type === 'ADDITIVE_OPERATOR') {
-            // Operator: +, -
-            const operator = this._eat('ADDITIVE_OPERATOR').value;
-            const right = this.MultiplicativeExpression();
-            left = {
-                type: 'BinaryExpression',
-                operator,
-                left,
-                right,
-            }
-        }
-
-        return left;
+     */
+    AdditiveExpression() {
+        // Operator: +, -
+        return this._BinaryExpression('MultiplicativeExpression', 'ADDITIVE_OPERATOR');
     }
 
     /** 
      *  MultiplicativeExpression
-     *   : UnaryExpression (MULTIPLICATIVE_OPERATOR UnaryExpression)*
+     *   : ExponentiationExpression (MULTIPLICATIVE_OPERATOR ExponentiationExpression)*
      *   ;
      */
     MultiplicativeExpression() {
-        let left = this.UnaryExpression();
-        while (this._lookahead.type === 'MULTIPLICATIVE_OPERATOR') {
-            // Operator: *, /
-            const operator = this._eat('MULTIPLICATIVE_OPERATOR').value;
-            const right = this.UnaryExpression();
-            left = {
-                type: 'BinaryExpression',
-                operator,
-                left,
-                right,
-            }
+        // Operator: *, /, %
+        return this._BinaryExpression('ExponentiationExpression', 'MULTIPLICATIVE_OPERATOR');
+    }
+
+    /**
+     * ExponentiationExpression
+     *  : UnaryExpression
+     *  | UpdateExpression EXPONENT_OPERATOR ExponentiationExpression
+     *  ;
+     *
+     * Right-associative: `2 ** 3 ** 2` is `2 ** (3 ** 2)`. The base
+     * can't be a unary expression, whose meaning would be ambiguous:
+     * `-2 ** 2` is written `(-2) ** 2` or `-(2 ** 2)`.
+     */
+    ExponentiationExpression() {
+        const start = this._lookahead;
+        const left = this.UnaryExpression();
+        if (this._lookahead.type !== 'EXPONENT_OPERATOR') {
+            return left;
         }
-        return left;
+        if (left.type === 'UnaryExpression' && start.type !== '(') {
+            throw this._syntaxError('Unary operator used immediately before "**": parenthesize the base or the power', start);
+        }
+        const operator = this._eat('EXPONENT_OPERATOR').value;
+
+        return this._finishNode({
+            type: 'BinaryExpression',
+            operator,
+            left,
+            right: this.ExponentiationExpression(),
+        }, start);
     }
 
     /**
      * UnaryExpression
-     *  : LeftHandSideExpression
+     *  : UpdateExpression
      *  | ADDITIVE_OPERATOR UnaryExpression
      *  | LOGICAL_NOT UnaryExpression
+     *  | BITWISE_NOT UnaryExpression
      *  ;
      */
     UnaryExpression() {
+        const start = this._lookahead;
         let operator;
         switch (this._lookahead.type) {
             case 'ADDITIVE_OPERATOR':
@@ -644,15 +2127,52 @@ class Parser {
             case 'LOGICAL_NOT':
                 operator = this._eat('LOGICAL_NOT').value;
                 break;
+            case 'BITWISE_NOT':
+                operator = this._eat('BITWISE_NOT').value;
+                break;
         }
         if (operator != null) {
-            return {
+            return this._finishNode({
                 type: 'UnaryExpression',
                 operator,
-                argument: this.UnaryExpression(), // right recursive e.g: --x, ++5, etc
-            };
+                argument: this.UnaryExpression(), // right recursive e.g: -x, !!x, etc
+            }, start);
+        }
+        return this.UpdateExpression();
+    }
+
+    /**
+     * UpdateExpression
+     *  : LeftHandSideExpression
+     *  | LeftHandSideExpression UPDATE_OPERATOR
+     *  | UPDATE_OPERATOR UnaryExpression
+     *  ;
+     */
+    UpdateExpression() {
+        const start = this._lookahead;
+        if (this._lookahead.type === 'UPDATE_OPERATOR') {
+            const operator = this._eat('UPDATE_OPERATOR').value;
+            const argumentStart = this._lookahead;
+            return this._finishNode({
+                type: 'UpdateExpression',
+                operator,
+                argument: this._checkValidAssignmentTarget(this.UnaryExpression(), argumentStart, 'prefix operation'),
+                prefix: true,
+            }, start);
+        }
+
+        const argument = this.LeftHandSideExpression();
+        if (this._lookahead.type !== 'UPDATE_OPERATOR') {
+            return argument;
         }
-        return this.LeftHandSideExpression();
+        this._checkValidAssignmentTarget(argument, start, 'postfix operation');
+
+        return this._finishNode({
+            type: 'UpdateExpression',
+            operator: this._eat('UPDATE_OPERATOR').value,
+            argument,
+            prefix: false,
+        }, start);
     }
 
     /**
@@ -671,9 +2191,11 @@ class Parser {
      *  ;
      */
     CallMemberExpression() {
+        const start = this._lookahead;
+
         // Super call:
-        if (this._lookahead.type === 'super') {
-            return this._CallExpression(this.Super());
+        if (this._lookahead.type === 'super' && this._peek(1).type === '(') {
+            return this._CallExpression(this.Super(), start);
         }
 
         // Member part, might be part of a call:
@@ -681,7 +2203,7 @@ class Parser {
 
         // See if we have a call expression:
         if (this._lookahead.type === '(') {
-            return this._CallExpression(member);
+            return this._CallExpression(member, start);
         }
 
         // Simple member expression:
@@ -700,14 +2222,14 @@ class Parser {
      *  | CallExpression
      *  ;
      */
-    _CallExpression(callee) {
-        let callExpression = {
+    _CallExpression(callee, start) {
+        let callExpression = this._finishNode({
             type: 'CallExpression',
             callee,
             arguments: this.Arguments(),
-        }
+        }, start);
         if (this._lookahead.type === '(') {
-            callExpression = this._CallExpression(callExpression);
+            callExpression = this._CallExpression(callExpression, start);
         }
         return callExpression;
     }
@@ -727,49 +2249,83 @@ class Parser {
 
     /**
      * ArgumentList
+     *  : Argument
+     *  | ArgumentList ',' Argument e.g: foo(bar = z, ...baz)
+     *  ;
+     *
+     * Argument
      *  : AssignmentExpression
-     *  | ArgumentList ',' AssignmentExpression e.g: foo(bar = z, baz = 2)
+     *  | SpreadElement
      *  ;
      */
     ArgumentList() {
         const argumentList = [];
         do {
-            argumentList.push(this.AssignmentExpression());
+            argumentList.push(this._lookahead.type === '...' ? this.SpreadElement() : this.AssignmentExpression());
         } while (this._lookahead.type === ',' && this._eat(','));
 
         return argumentList;
     }
 
+    /**
+     * SpreadElement
+     *  : '...' AssignmentExpression
+     *  ;
+     */
+    SpreadElement() {
+        const start = this._lookahead;
+        this._eat('...');
+        const argumentStart = this._lookahead;
+        const argument = this.AssignmentExpression(true);
+        this._nodeStarts.set(argument, argumentStart);
+
+        return this._finishNode({
+            type: 'SpreadElement',
+            argument,
+        }, start);
+    }
+
     /**
      * MemberExpression
      *  : PrimaryExpression
-     *  | MemberExpression '.' Identifier
+     *  | Super '.' IdentifierName
+     *  | Super '[' Expression ']'
+     *  | MemberExpression '.' IdentifierName
      *  | MemberExpression '[' Expression ']'
      *  ;
      */
 
     MemberExpression() {
-        let object = this.PrimaryExpression();
+        const start = this._lookahead;
+        let object;
+        if (this._lookahead.type === 'super') {
+            object = this.Super();
+            if (this._lookahead.type !== '.' && this._lookahead.type !== '[') {
+                throw this._syntaxError(`Unexpected token: "${this._lookahead.value}", expected: "(", "." or "["`);
+            }
+        } else {
+            object = this.PrimaryExpression();
+        }
         while (this._lookahead.type === '.' || this._lookahead.type === '[') {
             if (this._lookahead.type === '.') {
                 this._eat('.');
-                const property = this.Identifier();
-                object = {
+                const property = this.IdentifierName();
+                object = this._finishNode({
                     type: 'MemberExpression',
                     computed: false,
                     object,
                     property,
-                }
+                }, start);
             } else {
                 this._eat('[');
                 const property = this.Expression();
                 this._eat(']');
-                object = {
+                object = this._finishNode({
                     type: 'MemberExpression',
                     computed: true,
                     object,
                     property,
-                }
+                }, start);
             }
         }
 
@@ -783,6 +2339,9 @@ class Parser {
      *    | Identifier
      *    | ThisExpression
      *    | NewExpression
+     *    | FunctionExpression
+     *    | ArrayLiteral
+     *    | ObjectLiteral
      *    ;
      */
     PrimaryExpression() {
@@ -797,8 +2356,19 @@ class Parser {
                 return this.ThisExpression();
             case 'new':
                 return this.NewExpression();
+            case 'def':
+                return this.FunctionExpression();
+            case '[':
+                return this.ArrayLiteral();
+            case '{':
+                return this.ObjectLiteral();
+            case 'TEMPLATE':
+            case 'TEMPLATE_HEAD':
+                return this.TemplateLiteral();
+            case 'EOF':
+                throw this._syntaxError(`Unexpected end of input`);
             default:
-                throw new SyntaxError(`Unexpected primary expression.`);
+                throw this._syntaxError(`Unexpected primary expression: "${this._lookahead.value}"`);
         }
     }
 
@@ -808,10 +2378,11 @@ class Parser {
      *  ;
      */
     ThisExpression() {
+        const start = this._lookahead;
         this._eat('this');
-        return {
+        return this._finishNode({
             type: 'ThisExpression',
-        };
+        }, start);
     }
 
     /**
@@ -820,10 +2391,11 @@ class Parser {
      *  ;
      */
     Super() {
+        const start = this._lookahead;
         this._eat('super');
-        return {
+        return this._finishNode({
             type: 'Super',
-        };
+        }, start);
     }
 
     /**
@@ -832,12 +2404,13 @@ class Parser {
      *  ;
      */
     NewExpression() {
+        const start = this._lookahead;
         this._eat('new');
-        return {
+        return this._finishNode({
             type: 'NewExpression',
             callee: this.MemberExpression(),
             arguments: this.Arguments(),
-        }
+        }, start);
     }
 
     /**
@@ -857,9 +2430,173 @@ class Parser {
         this._eat('(');
         const expression = this.Expression();
         this._eat(')');
+        this._parenthesized.add(expression);
         return expression;
     }
 
+    /**
+     * ArrayLiteral
+     *  : '[' OptElementList ']'
+     *  ;
+     *
+     * ElementList
+     *  : Elision? Element
+     *  | ElementList ',' Elision? Element
+     *  ;
+     *
+     * Element
+     *  : AssignmentExpression
+     *  | SpreadElement
+     *  ;
+     *
+     * An elision (a comma with no element before it) is a `null` hole
+     * in `elements`, e.g. `[1, , 2]`; a trailing comma is allowed.
+     */
+    ArrayLiteral() {
+        const start = this._lookahead;
+        this._eat('[');
+        const elements = [];
+        while (this._lookahead.type !== ']') {
+            if (this._lookahead.type === ',') {
+                this._eat(',');
+                elements.push(null);
+                continue;
+            }
+            const elementStart = this._lookahead;
+            const element = this._lookahead.type === '...' ? this.SpreadElement() : this.AssignmentExpression(true);
+            this._nodeStarts.set(element, elementStart);
+            elements.push(element);
+            if (this._lookahead.type !== ']') {
+                this._eat(',');
+            }
+        }
+        this._eat(']');
+
+        return this._finishNode({
+            type: 'ArrayLiteral',
+            elements,
+        }, start);
+    }
+
+    /**
+     * ObjectLiteral
+     *  : '{' OptPropertyList '}'
+     *  ;
+     *
+     * PropertyList
+     *  : Property
+     *  | SpreadElement
+     *  | PropertyList ',' Property
+     *  | PropertyList ',' SpreadElement
+     *  ;
+     *
+     * A trailing comma is allowed.
+     */
+    ObjectLiteral() {
+        const start = this._lookahead;
+        this._eat('{');
+        const properties = [];
+        while (this._lookahead.type !== '}') {
+            const propertyStart = this._lookahead;
+            const property = this._lookahead.type === '...' ? this.SpreadElement() : this.Property();
+            this._nodeStarts.set(property, propertyStart);
+            properties.push(property);
+            if (this._lookahead.type !== '}') {
+                this._eat(',');
+            }
+        }
+        this._eat('}');
+
+        return this._finishNode({
+            type: 'ObjectLiteral',
+            properties,
+        }, start);
+    }
+
+    /**
+     * Property
+     *  : PropertyName ':' AssignmentExpression
+     *  | PropertyName '(' OptFormalParameterList ')' BlockStatement
+     *  | Identifier OptVariableInitializer
+     *  ;
+     *
+     * PropertyName
+     *  : IdentifierName
+     *  | StringLiteral
+     *  | '[' AssignmentExpression ']'
+     *  ;
+     *
+     * The value of a method is a FunctionExpression, and the value of
+     * a shorthand property (`{ x }`) a copy of its key. A shorthand
+     * property with an initializer (`{ x = 1 }`) is only valid in a
+     * literal which becomes a pattern, see AssignmentExpression.
+     */
+    Property() {
+        const start = this._lookahead;
+        const computed = this._lookahead.type === '[';
+        const key = this._propertyName();
+
+        let value;
+        const method = this._lookahead.type === '(';
+        const shorthand = !method && this._lookahead.type !== ':' && start.type === 'IDENTIFIER';
+        if (method) {
+            const paramsStart = this._lookahead;
+            const params = this._parameters();
+            value = this._finishNode({
+                type: 'FunctionExpression',
+                params,
+                body: this._functionBody(),
+            }, paramsStart);
+        } else if (shorthand) {
+            if (this._lookahead.type === 'SIMPLE_ASSIGN') {
+                this._shorthandInits.push(this._lookahead);
+            }
+            value = this._shorthandValue(key, start);
+        } else {
+            this._eat(':');
+            const valueStart = this._lookahead;
+            value = this.AssignmentExpression(true);
+            this._nodeStarts.set(value, valueStart);
+        }
+
+        return this._finishNode({
+            type: 'Property',
+            key,
+            value,
+            computed,
+            shorthand,
+            method,
+        }, start);
+    }
+
+    /**
+     * PropertyName, see Property.
+     */
+    _propertyName() {
+        if (this._lookahead.type === '[') {
+            this._eat('[');
+            const key = this.AssignmentExpression();
+            this._eat(']');
+            return key;
+        }
+        return this._lookahead.type === 'STRING' ? this.StringLiteral() : this.IdentifierName();
+    }
+
+    /**
+     * The value of a shorthand property: a copy of its key, or with an
+     * initializer, the AssignmentPattern of that copy.
+     */
+    _shorthandValue(key, start) {
+        if (this._lookahead.type !== 'SIMPLE_ASSIGN') {
+            return { ...key };
+        }
+        return this._finishNode({
+            type: 'AssignmentPattern',
+            left: { ...key },
+            right: this.VariableInitializer(),
+        }, start);
+    }
+
     /*
      * Literal
      *  : NumericLiteral
@@ -881,7 +2618,7 @@ class Parser {
             case 'null':
                 return this.NullLiteral();
         }
-        throw new SyntaxError(`Literal: unexpected literal production.`);
+        throw this._syntaxError(`Literal: unexpected literal production.`);
     }
 
     /*
@@ -890,11 +2627,13 @@ class Parser {
      *  ;
      */
     NumericLiteral() {
+        const start = this._lookahead;
         const token = this._eat('NUMBER');
-        return {
+        return this._finishNode({
             type: 'NumericLiteral',
-            value: Number(token.value),
-        };
+            value: Number(token.value.replace(/_/g, '')),
+            raw: token.value,
+        }, start);
     }
 
     /**
@@ -903,10 +2642,126 @@ class Parser {
      *   ;
      */
     StringLiteral() {
+        const start = this._lookahead;
         const token = this._eat('STRING');
-        return {
+        return this._finishNode({
             type: 'StringLiteral',
-            value: token.value.slice(1, -1), // extrae pepe de "pepe"
+            value: this._unescape(token, 1, token.value.length - 1),
+            raw: token.value,
+        }, start);
+    }
+
+    /**
+     * TemplateLiteral
+     *  : TEMPLATE
+     *  | TEMPLATE_HEAD Expression (TEMPLATE_MIDDLE Expression)* TEMPLATE_TAIL
+     *  ;
+     */
+    TemplateLiteral() {
+        const start = this._lookahead;
+        const quasis = [];
+        const expressions = [];
+
+        if (this._lookahead.type === 'TEMPLATE') {
+            quasis.push(this._TemplateElement(this._eat('TEMPLATE')));
+        } else {
+            quasis.push(this._TemplateElement(this._eat('TEMPLATE_HEAD')));
+            for (;;) {
+                expressions.push(this.Expression());
+                if (this._lookahead.type === 'TEMPLATE_TAIL') {
+                    quasis.push(this._TemplateElement(this._eat('TEMPLATE_TAIL')));
+                    break;
+                }
+                if (this._lookahead.type === 'EOF') {
+                    throw this._syntaxError('Unterminated template string');
+                }
+                if (this._lookahead.type !== 'TEMPLATE_MIDDLE') {
+                    throw this._syntaxError(`Unexpected token: "${this._lookahead.value}", expected: "}"`);
+                }
+                quasis.push(this._TemplateElement(this._eat('TEMPLATE_MIDDLE')));
+            }
+        }
+
+        return this._finishNode({
+            type: 'TemplateLiteral',
+            quasis,
+            expressions,
+        }, start);
+    }
+
+    /**
+     * The text of a template token, between its delimiters: after the
+     * opening "`" or "}", up to the "${" or closing "`".
+     */
+    _TemplateElement(token) {
+        const tail = token.type === 'TEMPLATE' || token.type === 'TEMPLATE_TAIL';
+        const from = 1;
+        const to = token.value.length - (tail ? 1 : 2);
+        return this._finishNode({
+            type: 'TemplateElement',
+            value: {
+                raw: token.value.slice(from, to).replace(/\r\n?/g, '\n'),
+                cooked: this._unescape(token, from, to),
+            },
+            tail,
+        }, this._tokenPosition(token, from), this._tokenPosition(token, to));
+    }
+
+    /**
+     * The value of a string or template text, `token.value` from `from`
+     * to `to`, with its escape sequences processed and its line breaks
+     * normalized to "\n".
+     */
+    _unescape(token, from, to) {
+        const text = token.value;
+        let value = '';
+        let i = from;
+        for (let backslash = text.indexOf('\\', i); backslash !== -1 && backslash < to; backslash = text.indexOf('\\', i)) {
+            value += text.slice(i, backslash).replace(/\r\n?/g, '\n');
+            EscapeSequence.lastIndex = backslash;
+            const [escape, codePoint, unicode, hex, character] = EscapeSequence.exec(text);
+            const error = message => this._syntaxError(message, this._tokenPosition(token, backslash));
+
+            if (codePoint != null) {
+                if (parseInt(codePoint, 16) > 0x10FFFF) {
+                    throw error(`Invalid Unicode escape sequence: "${escape}" is out of range`);
+                }
+                value += String.fromCodePoint(parseInt(codePoint, 16));
+            } else if (unicode != null || hex != null) {
+                value += String.fromCharCode(parseInt(unicode || hex, 16));
+            } else if (Object.prototype.hasOwnProperty.call(Escapes, character)) {
+                value += Escapes[character];
+            } else if (/^(?:\r\n|[\r\n\u2028\u2029])$/.test(character)) {
+                // A line continuation: the line break is left out.
+            } else if (character === '0' && !/\d/.test(text[backslash + 2])) {
+                value += '\0';
+            } else if (character === '0') {
+                throw error('Octal escape sequences are not allowed: use "\\x" or "\\u"');
+            } else if (character === 'u') {
+                throw error('Invalid Unicode escape sequence: expected "\\uXXXX" or "\\u{X...}"');
+            } else if (character === 'x') {
+                throw error('Invalid hexadecimal escape sequence: expected "\\xXX"');
+            } else {
+                throw error(`Invalid escape sequence: "${escape}"`);
+            }
+            i = backslash + escape.length;
+        }
+        return value + text.slice(i, to).replace(/\r\n?/g, '\n');
+    }
+
+    /**
+     * A position inside a token, usable as a node's start or end.
+     */
+    _tokenPosition(token, index) {
+        const before = token.value.slice(0, index);
+        const newline = before.lastIndexOf('\n');
+        const position = newline === -1
+            ? { line: token.loc.start.line, column: token.loc.start.column + index }
+            : { line: token.loc.start.line + before.split('\n').length - 1, column: index - newline - 1 };
+        return {
+            start: token.start + index,
+            end: token.start + index,
+            loc: { start: position, end: position },
         };
     }
 
@@ -917,11 +2772,12 @@ class Parser {
      *  ;
      */
     BooleanLiteral(value) {
+        const start = this._lookahead;
         this._eat(value ? 'true' : 'false');
-        return {
+        return this._finishNode({
             type: 'BooleanLiteral',
             value,
-        };
+        }, start);
     }
 
     /**
@@ -930,11 +2786,12 @@ class Parser {
      *  ;
      */
     NullLiteral() {
+        const start = this._lookahead;
         this._eat('null');
-        return {
+        return this._finishNode({
             type: 'NullLiteral',
             value: null,
-        };
+        }, start);
     }
 
     /*
@@ -943,19 +2800,369 @@ class Parser {
     _eat(tokenType) {
         const token = this._lookahead;
 
-        if (token == null) { // un token nulo es como un token EOF.
-            throw new SyntaxError(`Unexpected end of input, expected: "${tokenType}"`);
+        if (token.type === 'EOF') {
+            throw this._syntaxError(`Unexpected end of input, expected: "${tokenType}"`, token);
         }
 
         if (token.type !== tokenType) {
-            throw new SyntaxError(`Unexpected token: "${token.value}", expected: "${tokenType}"`);
+            throw this._syntaxError(`Unexpected token: "${token.value}", expected: "${tokenType}"`, token);
         }
 
         // Advance to next token.
-        this._lookahead = this._tokenizer.getNextToken();
+        this._advance();
 
         return token;
     }
+
+    /**
+     * Expects an identifier which is a keyword in this place only,
+     * e.g. `from`: elsewhere it is a name like any other.
+     */
+    _eatContextual(name) {
+        if (this._lookahead.type === 'IDENTIFIER' && this._lookahead.value === name) {
+            return this._eat('IDENTIFIER');
+        }
+        return this._eat(name); // fails, as expected
+    }
+
+    /**
+     * Consumes the lookahead token, whatever its type.
+     */
+    _advance() {
+        this._lastToken = this._lookahead;
+        this._lookahead = this._peekedIndex < this._peeked.length ? this._peeked[this._peekedIndex++] : this._nextToken();
+        if (this._peekedIndex === this._peeked.length && this._peekedIndex > 0) {
+            this._peeked = [];
+            this._peekedIndex = 0;
+        }
+
+        if (this._cst != null) {
+            this._moveTrailingTrivia(this._lastToken, this._lookahead);
+            this._cst[this._cst.length - 1].children.push(this._cstToken(this._lastToken));
+        }
+    }
+
+    /**
+     * The token `n` places after the lookahead, for the few choices
+     * which the lookahead alone can't make. The tokens read ahead are
+     * kept until consumed.
+     */
+    _peek(n) {
+        while (this._peeked.length - this._peekedIndex < n) {
+            this._peeked.push(this._nextToken());
+        }
+        return this._peeked[this._peekedIndex + n - 1];
+    }
+
+    /**
+     * Token node of the CST.
+     */
+    _cstToken(token) {
+        return {
+            kind: 'Token',
+            ...token,
+        };
+    }
+
+    /**
+     * The trivia following a token on its line, up to and including
+     * the line break, is its trailing trivia rather than the leading
+     * trivia of the next token.
+     */
+    _moveTrailingTrivia(token, next) {
+        const leading = next.leadingTrivia;
+        const trailing = [];
+        let i = 0;
+        for (; i < leading.length; i++) {
+            const trivia = leading[i];
+            const newline = trivia.text.indexOf('\n');
+            if (newline === -1) {
+                trailing.push(trivia);
+                continue;
+            }
+            // A comment spanning lines stays with the next token.
+            if (trivia.kind === 'whitespace') {
+                trailing.push({ kind: 'whitespace', text: trivia.text.slice(0, newline + 1) });
+                const rest = trivia.text.slice(newline + 1);
+                if (rest.length > 0) {
+                    leading[i] = { kind: 'whitespace', text: rest };
+                } else {
+                    i++;
+                }
+            }
+            break;
+        }
+        token.trailingTrivia = trailing;
+        next.leadingTrivia = leading.slice(i);
+    }
+
+    /**
+     * Pulls the next token from the tokenizer. The end of input
+     * is represented by an EOF token, so the lookahead is never null
+     * and still carries a location for error messages.
+     */
+    _nextToken() {
+        let token;
+        for (;;) {
+            try {
+                token = this._tokenizer.getNextToken();
+                break;
+            } catch (error) {
+                // In recover mode report the bad character, and keep scanning.
+                if (!this._options.recover || !(error instanceof SyntaxError)) {
+                    throw error;
+                }
+                this._reportError(error);
+            }
+        }
+        if (token != null) {
+            return token;
+        }
+        const end = this._tokenizer.getCursorLocation();
+        const eof = {
+            type: 'EOF',
+            value: '',
+            start: this._string.length,
+            end: this._string.length,
+            loc: {
+                start: end,
+                end,
+            },
+        };
+        if (this._cst != null) {
+            eof.leadingTrivia = this._tokenizer.takeTrivia();
+            eof.trailingTrivia = [];
+        }
+        return eof;
+    }
+
+    /**
+     * Attaches the source location to a node when the `locations`
+     * option is enabled. The node spans from the `start` token to
+     * the `end` token, which defaults to the last consumed one.
+     */
+    _finishNode(node, start, end = this._lastToken) {
+        if (!this._options.locations) {
+            return node;
+        }
+        node.loc = {
+            start: start.loc.start,
+            end: end.loc.end,
+        };
+        node.range = [start.start, end.end];
+        return node;
+    }
+
+    /**
+     * Comment node from a comment token.
+     */
+    _Comment(token) {
+        const isLine = token.value.startsWith('//');
+        return {
+            type: 'Comment',
+            kind: isLine ? 'line' : 'block',
+            value: isLine ? token.value.slice(2) : token.value.slice(2, -2),
+            loc: token.loc,
+            range: [token.start, token.end],
+        };
+    }
+
+    /**
+     * Attaches each comment to the nearest node, and collects them
+     * all in `Program.comments`.
+     */
+    _attachComments(program, comments) {
+        for (const comment of comments) {
+            this._attachComment(program, comment);
+        }
+        program.comments = comments;
+    }
+
+    /**
+     * Descends to the innermost node containing the comment. There,
+     * the comment trails the preceding child on its line, or else
+     * leads the following child; in a node without children around
+     * it (an empty block) it is an inner comment.
+     */
+    _attachComment(node, comment) {
+        let preceding = null;
+        let following = null;
+
+        for (const child of this._childNodes(node)) {
+            if (child.range[1] <= comment.range[0]) {
+                preceding = child;
+            } else if (child.range[0] >= comment.range[1]) {
+                following = child;
+                break;
+            } else {
+                return this._attachComment(child, comment);
+            }
+        }
+
+        if (preceding != null && (following == null || preceding.loc.end.line === comment.loc.start.line)) {
+            (preceding.trailingComments || (preceding.trailingComments = [])).push(comment);
+        } else if (following != null) {
+            (following.leadingComments || (following.leadingComments = [])).push(comment);
+            // The comment before `export` documents the declaration.
+            const documented = following.type === 'ExportDeclaration' ? following.declaration : following;
+            if (this._isDocComment(comment) &&
+                (documented.type === 'FunctionDeclaration' || documented.type === 'ClassDeclaration' ||
+                    documented.type === 'MethodDefinition')) {
+                documented.docComment = comment;
+            }
+        } else {
+            (node.innerComments || (node.innerComments = [])).push(comment);
+        }
+    }
+
+    /**
+     * Whether a comment is JSDoc-style, opened with `/**`.
+     */
+    _isDocComment(comment) {
+        return comment.kind === 'block' && comment.value.startsWith('*') &&
+            !comment.value.startsWith('**') && comment.value !== '*';
+    }
+
+    /**
+     * The child nodes of a node, in source order (the lists of some
+     * nodes interleave, like the quasis and expressions of a template).
+     */
+    _childNodes(node) {
+        const children = [];
+        for (const key of VisitorKeys[node.type]) {
+            for (const child of [].concat(node[key])) {
+                if (child != null) {
+                    children.push(child);
+                }
+            }
+        }
+        return children.sort((a, b) => a.range[0] - b.range[0]);
+    }
+
+    /**
+     * Builds a SyntaxError located at the given token.
+     */
+    _syntaxError(message, token = this._lookahead) {
+        const { line, column } = token.loc.start;
+        const error = new SyntaxError(`${message} (${line}:${column})`);
+        error.pos = token.start;
+        error.loc = { line, column };
+        return error;
+    }
+}
+
+/**
+ * The parser of the CST mode, which `parse()` hands the `cst` option
+ * to: its productions are wrapped to build the CST, so the plain
+ * parser doesn't pay for them.
+ */
+class CSTParser extends Parser {}
+
+/**
+ * Wraps a grammar production for the CST mode: the tokens consumed
+ * while it runs are collected in a CST node named after it, holding
+ * the AST node it returns. A production which just returns the node
+ * of its only child (e.g. Expression for a Literal) adds no CST node.
+ */
+function cstProduction(kind, production) {
+    return function (...args) {
+        const cstNode = { kind, children: [], node: null };
+        this._cst.push(cstNode);
+        try {
+            cstNode.node = production.apply(this, args);
+        } finally {
+            // Also on a syntax error: recover mode keeps the tokens.
+            this._cst.pop();
+            const [child] = cstNode.children;
+            const passThrough = cstNode.children.length === 1 && child.kind !== 'Token' &&
+                cstNode.node != null && child.node === cstNode.node;
+            this._cst[this._cst.length - 1].children.push(passThrough ? child : cstNode);
+        }
+        return cstNode.node;
+    };
+}
+
+// Every production is a method named after it, in PascalCase
+// (helpers such as _CallExpression are part of their caller's).
+for (const name of Object.getOwnPropertyNames(Parser.prototype)) {
+    if (/^[A-Z]/.test(name)) {
+        CSTParser.prototype[name] = cstProduction(name, Parser.prototype[name]);
+    }
+}
+
+/**
+ * Describes how an edit moves the source after it.
+ */
+function editShift(source, string, offset, deleteLength, insertLength) {
+    const deleteEndLoc = locationAt(source, offset + deleteLength);
+    const insertEndLoc = locationAt(string, offset + insertLength);
+    return {
+        offset,
+        deleteEnd: offset + deleteLength, // in the previous source
+        insertEnd: offset + insertLength, // in the new source
+        delta: insertLength - deleteLength,
+        deleteEndLoc,
+        insertEndLoc,
+    };
+}
+
+/**
+ * Line and column of an offset.
+ */
+function locationAt(string, offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let newline = string.indexOf('\n'); newline !== -1 && newline < offset; newline = string.indexOf('\n', newline + 1)) {
+        line++;
+        lineStart = newline + 1;
+    }
+    return { line, column: offset - lineStart };
+}
+
+/**
+ * Moves a position found after the edit.
+ */
+function shiftPosition(position, shift) {
+    const onEditLine = position.line === shift.deleteEndLoc.line;
+    return {
+        line: position.line - shift.deleteEndLoc.line + shift.insertEndLoc.line,
+        column: onEditLine ? position.column - shift.deleteEndLoc.column + shift.insertEndLoc.column : position.column,
+    };
+}
+
+/**
+ * Moves the positions of a node found after the edit, in place. The
+ * `loc` and `range` are replaced rather than changed: nodes share them
+ * with their tokens and children.
+ */
+function shiftNode(node, shift) {
+    if (Array.isArray(node)) {
+        node.forEach(child => shiftNode(child, shift));
+        return;
+    }
+    if (node == null || typeof node !== 'object') {
+        return;
+    }
+    for (const key of Object.keys(node)) {
+        if (key === 'loc') {
+            node.loc = { start: shiftPosition(node.loc.start, shift), end: shiftPosition(node.loc.end, shift) };
+        } else if (key === 'range') {
+            node.range = [node.range[0] + shift.delta, node.range[1] + shift.delta];
+        } else {
+            shiftNode(node[key], shift);
+        }
+    }
+}
+
+/**
+ * The location of a node enclosing the edit, with its end moved.
+ */
+function shiftEnd(loc, shift) {
+    return { start: loc.start, end: shiftPosition(loc.end, shift) };
+}
+
+function shiftEndRange(range, shift) {
+    return [range[0], range[1] + shift.delta];
 }
 
 module.exports = {
@@ -0,0 +1,289 @@
+/**
+ * Letter REPL: reads entries, possibly over several lines, and shows
+ * the AST or the tokens the parser makes of them.
+ *
+ * Run: node Repl.js (or `letter repl`)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Tokenizer } = require('./Tokenizer');
+const { Parser } = require('./Parser');
+const { sexpr, tokenTable } = require('./Letter');
+
+const Help = `Type Letter code to see how it parses; an entry continues over
+several lines until it is complete (an empty line ends it anyway).
+
+  .ast          show the AST as an s-expression (default)
+  .json         show the AST as JSON
+  .tokens       show the tokens
+  .load <file>  enter the contents of a file
+  .save <file>  save the entries of this session to a file
+  .break        discard the current multi-line entry
+  .help         show this help
+  .exit         quit (or Ctrl+D)`;
+
+/**
+ * Default history file, overridden by LETTER_REPL_HISTORY.
+ */
+const HistoryFile = path.join(os.homedir(), '.letter_repl_history');
+
+const HistorySize = 1000;
+
+class Repl {
+
+    /**
+     * Initializes the REPL.
+     *
+     * Options:
+     *  - input, output: the streams (stdin and stdout by default).
+     *  - historyFile: where the history persists, null for none.
+     */
+    constructor(options = {}) {
+        this._input = options.input || process.stdin;
+        this._output = options.output || process.stdout;
+        this._historyFile = options.historyFile !== undefined ? options.historyFile : HistoryFile;
+        this._parser = new Parser();
+        this._mode = 'ast';
+        this._pending = []; // lines of the entry being read
+        this._entries = []; // entries which parsed, for `.save`
+    }
+
+    /**
+     * Starts reading, resolving when the input closes.
+     */
+    start() {
+        this._readline = readline.createInterface({
+            input: this._input,
+            output: this._output,
+            terminal: this._input.isTTY === true,
+            history: this._loadHistory(),
+            historySize: HistorySize,
+        });
+        this._print('Letter REPL. Type .help for help.');
+        this._prompt();
+
+        return new Promise(resolve => {
+            this._readline.on('line', line => {
+                this.handleLine(line);
+                if (!this._closed) {
+                    this._prompt();
+                }
+            });
+            this._readline.on('close', () => {
+                this._closed = true;
+                this._saveHistory();
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Handles an input line: a command, or a line of an entry.
+     */
+    handleLine(line) {
+        if (this._pending.length === 0 && line.trim().startsWith('.')) {
+            this._command(line.trim());
+            return;
+        }
+        if (line.trim() === '.break') {
+            this._pending = [];
+            return;
+        }
+
+        this._pending.push(line);
+        const source = this._pending.join('\n');
+        if (source.trim() === '') {
+            this._pending = [];
+            return;
+        }
+        // An empty line ends the entry, complete or not.
+        if (line.trim() !== '' && !isComplete(source)) {
+            return;
+        }
+        this._pending = [];
+        this._enter(source);
+    }
+
+    _command(line) {
+        const [command, ...args] = line.split(/\s+/);
+        const argument = args.join(' ');
+        switch (command) {
+            case '.ast':
+            case '.json':
+            case '.tokens':
+                this._mode = command.slice(1);
+                this._print(`Showing ${this._mode === 'tokens' ? 'the tokens' : `the AST as ${this._mode === 'ast' ? 'an s-expression' : 'JSON'}`}.`);
+                break;
+            case '.load':
+                this._load(argument);
+                break;
+            case '.save':
+                this._save(argument);
+                break;
+            case '.break':
+                break;
+            case '.help':
+                this._print(Help);
+                break;
+            case '.exit':
+                this._readline.close();
+                break;
+            default:
+                this._print(`Unknown command: ${command} (type .help for help)`);
+        }
+    }
+
+    _load(file) {
+        if (file === '') {
+            this._print('Usage: .load <file>');
+            return;
+        }
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            this._print(`Can't load ${file}: ${error.message}`);
+            return;
+        }
+        this._enter(source);
+    }
+
+    _save(file) {
+        if (file === '') {
+            this._print('Usage: .save <file>');
+            return;
+        }
+        try {
+            fs.writeFileSync(file, this._entries.map(entry => entry + '\n').join(''));
+        } catch (error) {
+            this._print(`Can't save ${file}: ${error.message}`);
+            return;
+        }
+        this._print(`Saved ${this._entries.length} entries to ${file}.`);
+    }
+
+    /**
+     * Shows what a complete entry parses to.
+     */
+    _enter(source) {
+        try {
+            if (this._mode === 'tokens') {
+                this._print(tokenTable(tokenize(source)));
+            }
+            const ast = this._parser.parse(source);
+            if (this._mode === 'ast') {
+                this._print(sexpr(ast, ''));
+            } else if (this._mode === 'json') {
+                this._print(JSON.stringify(ast, null, 2));
+            }
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+            this._print(`SyntaxError: ${error.message}`);
+            return;
+        }
+        this._entries.push(source);
+    }
+
+    _prompt() {
+        this._readline.setPrompt(this._pending.length > 0 ? '... ' : '>>> ');
+        this._readline.prompt();
+    }
+
+    _print(text) {
+        this._output.write(text + '\n');
+    }
+
+    _loadHistory() {
+        if (this._historyFile == null) {
+            return [];
+        }
+        try {
+            // readline keeps the most recent line first.
+            return fs.readFileSync(this._historyFile, 'utf8').split('\n').filter(line => line !== '').reverse();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    _saveHistory() {
+        if (this._historyFile == null || this._readline.history == null) {
+            return;
+        }
+        try {
+            const lines = this._readline.history.slice(0, HistorySize).reverse();
+            fs.writeFileSync(this._historyFile, lines.map(line => line + '\n').join(''));
+        } catch (error) {
+            // The history is a convenience: never fail because of it.
+        }
+    }
+}
+
+/**
+ * All the tokens of a source.
+ */
+function tokenize(source) {
+    const tokenizer = new Tokenizer();
+    tokenizer.init(source);
+    const tokens = [];
+    for (let token = tokenizer.getNextToken(); token != null; token = tokenizer.getNextToken()) {
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+/**
+ * Whether an entry is complete: its braces and brackets balance,
+ * and neither the parser nor a template stops at its end. An entry
+ * which fails earlier is complete too, to show the error.
+ */
+function isComplete(source) {
+    let depth = 0;
+    try {
+        for (const token of tokenize(source)) {
+            if (token.type === '{' || token.type === '(' || token.type === '[') {
+                depth++;
+            } else if (token.type === '}' || token.type === ')' || token.type === ']') {
+                depth--;
+            }
+        }
+    } catch (error) {
+        // Templates may span lines: wait for the rest of one.
+        return !(error instanceof SyntaxError && /^Unterminated template/.test(error.message));
+    }
+    if (depth > 0) {
+        return false;
+    }
+
+    try {
+        new Parser().parse(source);
+    } catch (error) {
+        return !(error instanceof SyntaxError && error.pos === source.length);
+    }
+    return true;
+}
+
+/**
+ * Runs the REPL on the terminal.
+ */
+function main() {
+    const historyFile = process.env.LETTER_REPL_HISTORY;
+    const repl = new Repl({ historyFile: historyFile !== undefined ? historyFile || null : HistoryFile });
+    repl.start().then(() => {
+        process.exitCode = 0;
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    Repl,
+    isComplete,
+    main,
+}
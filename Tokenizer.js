@@ -1,98 +1,193 @@
 /* 
- * Tokenizer spec.
+ * Tokenizer spec. The rules are tried in order at the cursor: they are
+ * sticky (`y`), so they match in place, without copying the rest of
+ * the input.
  */
 const Spec = [
     // --------------------------------------
     // Whitespace:
-    [/^\s+/, null],
+    [/\s+/y, null],
 
     // --------------------------------------
-    // Comments:
+    // Comments (skipped as well, but can be collected):
 
-    // Skip single-line comments:
-    [/^\/\/.*/, null],
+    // Single-line comments:
+    [/\/\/.*/y, 'COMMENT'],
 
-    // Skip multi-line comments:
-    [/^\/\*[\s\S]*?\*\//, null],
+    // Multi-line comments:
+    [/\/\*[\s\S]*?\*\//y, 'COMMENT'],
+
+    // --------------------------------------
+    // Numbers (before the Dot, for `.5`):
+    // 42, 3.14, .5, 1e-3, 0xFF, 0b1010, 0o17, with `_` between digits.
+    [/0[xX][\da-fA-F](?:_?[\da-fA-F])*|0[bB][01](?:_?[01])*|0[oO][0-7](?:_?[0-7])*|(?:\d(?:_?\d)*(?:\.\d(?:_?\d)*)?|\.\d(?:_?\d)*)(?:[eE][+-]?\d(?:_?\d)*)?/y, 'NUMBER'],
 
     // --------------------------------------
     // Symbols and delimiters:
-    [/^;/, ';'],  // Semicolon
-    [/^{/, '{'],  // LeftBrace
-    [/^}/, '}'],  // RightBrace
-    [/^\(/, '('], // LeftParen
-    [/^\)/, ')'], // RightParen
-    [/^\[/, '['], // LeftBracket
-    [/^\]/, ']'], // RightBracket
-    [/^,/, ','],  // Comma
-    [/^\./, '.'], // Dot
+    [/;/y, ';'],  // Semicolon
+    [/{/y, '{'],  // LeftBrace
+    [/}/y, '}'],  // RightBrace
+    [/\(/y, '('], // LeftParen
+    [/\)/y, ')'], // RightParen
+    [/\[/y, '['], // LeftBracket
+    [/\]/y, ']'], // RightBracket
+    [/,/y, ','],  // Comma
+    [/:/y, ':'],  // Colon
+    [/\.\.\./y, '...'], // Ellipsis, of rest parameters and spread arguments
+    [/\./y, '.'], // Dot
+    [/\?/y, '?'], // Question mark
+
+    // --------------------------------------
+    // Compound assignment operators (before the operators they start with):
+    // *=, /=, %=, +=, -=, **=, <<=, >>=, >>>=, &=, |=, ^=
+    [/(?:\*\*|<<|>>>?|[*\/%+\-&|^])=/y, 'COMPLEX_ASSIGN'],
 
+    // Shift Operators
+    // <<, >>, >>>
+    [/<<|>>>?/y, 'SHIFT_OPERATOR'],
 
     // Relational Operators
     // <, >, <=, >=
-    [/^[<>]=?/, 'RELATIONAL_OPERATOR'],
-    [/^[=!]=/, 'EQUALITY_OPERATOR'],
+    [/[<>]=?/y, 'RELATIONAL_OPERATOR'],
+    [/[=!]=/y, 'EQUALITY_OPERATOR'],
+
+    // Arrow of a function: (a, b) => a + b
+    [/=>/y, '=>'],
 
     // Logical Operators
     // ||, &&, !
-    [/^&&/, 'LOGICAL_AND'],
-    [/^\|\|/, 'LOGICAL_OR'],
-    [/^!/, 'LOGICAL_NOT'],
+    [/&&/y, 'LOGICAL_AND'],
+    [/\|\|/y, 'LOGICAL_OR'],
+    [/!/y, 'LOGICAL_NOT'],
 
+    // Bitwise Operators
+    // &, |, ^, ~
+    [/&/y, 'BITWISE_AND'],
+    [/\|/y, 'BITWISE_OR'],
+    [/\^/y, 'BITWISE_XOR'],
+    [/~/y, 'BITWISE_NOT'],
 
     // --------------------------------------
-    // Keywords
-    [/^\blet\b/, 'let'],
-    [/^\bif\b/, 'if'],
-    [/^\belse\b/, 'else'],
-    [/^\btrue\b/, 'true'],
-    [/^\bfalse\b/, 'false'],
-    [/^\bnull\b/, 'null'],
+    // Simple assignment operator: =
+    [/=/y, 'SIMPLE_ASSIGN'],
 
     // --------------------------------------
-    // OOP keywords
-    [/^\bclass\b/, 'class'],
-    [/^\bthis\b/, 'this'],
-    [/^\bextends\b/, 'extends'],
-    [/^\bsuper\b/, 'super'],
-    [/^\bnew\b/, 'new'],
+    // Update operators: ++, --
+    [/\+\+|--/y, 'UPDATE_OPERATOR'],
 
     // --------------------------------------
-    // Iterators
-    [/^\bwhile\b/, 'while'],
-    [/^\bdo\b/, 'do'],
-    [/^\bfor\b/, 'for'],
+    // Math operators: +, -, *, /, %, **
+    [/\*\*/y, 'EXPONENT_OPERATOR'],
+    [/[+\-]/y, 'ADDITIVE_OPERATOR'],
+    [/[*\/%]/y, 'MULTIPLICATIVE_OPERATOR'],
 
-    [/^\bdef\b/, 'def'],
-    [/^\breturn\b/, 'return'],
 
     // --------------------------------------
-    // Assignment operators: =, *=, /=, +=, -=
-    [/^=/, 'SIMPLE_ASSIGN'],
-    [/^[\*\\/\+\-]=/, 'COMPLEX_ASSIGN'],
+    // Double quoted String (the parser processes the escapes):
+    [/"(?:[^"\\\r\n]|\\[\s\S])*"/y, 'STRING'],
 
     // --------------------------------------
-    // Math operators: +, -, *, /
-    [/^[+\-]/, 'ADDITIVE_OPERATOR'],
-    [/^[*\/]/, 'MULTIPLICATIVE_OPERATOR'],
-
+    // Single quoted String:
+    [/'(?:[^'\\\r\n]|\\[\s\S])*'/y, 'STRING'],
 
     // --------------------------------------
-    // Numbers:
-    [/^\d+/, 'NUMBER'],
+    // Template string, up to its end or its first `${`
+    // (a TEMPLATE_HEAD then, see TemplateContinuation):
+    [/`(?:[^`\\$]|\\[\s\S]|\$(?!\{))*(?:`|\$\{)/y, 'TEMPLATE'],
 
     // --------------------------------------
-    // Double quoted String:
-    [/^"[^"]*"/, 'STRING'],
+    // Identifier, or keyword (see Keywords)
+    [/\w+/y, 'IDENTIFIER'],
+];
 
-    // --------------------------------------
-    // Single quoted String:
-    [/^'[^']*'/, 'STRING'],
+/*
+ * The rest of a template string after a `${...}` substitution: a
+ * TEMPLATE_MIDDLE up to the next `${`, or the TEMPLATE_TAIL.
+ */
+const TemplateContinuation = /\}(?:[^`\\$]|\\[\s\S]|\$(?!\{))*(?:`|\$\{)/y;
 
-    // --------------------------------------
-    // Identifier
-    [/^\w+/, 'IDENTIFIER'],
-];
+/*
+ * Keywords: identifiers which are tokens of their own type.
+ */
+const Keywords = new Set([
+    'let',
+    'if',
+    'else',
+    'true',
+    'false',
+    'null',
+
+    // OOP keywords
+    'class',
+    'this',
+    'extends',
+    'super',
+    'new',
+
+    // Iterators
+    'while',
+    'do',
+    'for',
+    'break',
+    'continue',
+
+    // Branches
+    'switch',
+    'case',
+    'default',
+
+    'def',
+    'return',
+
+    // Exceptions
+    'throw',
+    'try',
+    'catch',
+    'finally',
+
+    // Modules (`from` and `as` are identifiers, see the Parser)
+    'import',
+    'export',
+]);
+
+/*
+ * Digits of the prefixed numbers.
+ */
+const NumberPrefixes = {
+    x: { kind: 'hexadecimal', digit: /[\da-fA-F]/ },
+    b: { kind: 'binary', digit: /[01]/ },
+    o: { kind: 'octal', digit: /[0-7]/ },
+};
+
+/*
+ * The text of a malformed number, up to the next delimiter.
+ */
+const MalformedNumber = /[\w.]*(?:(?<=[eE])[+-][\w.]*)?/y;
+
+/*
+ * Why a number, followed by letters, digits or `_`, is malformed.
+ */
+function numberErrorReason(literal) {
+    const prefix = /^0[xXbBoO]/.test(literal) ? NumberPrefixes[literal[1].toLowerCase()] : null;
+    if (prefix != null) {
+        const digits = literal.slice(2);
+        if (digits === '') {
+            return `expected ${prefix.kind} digits after "${literal.slice(0, 2)}"`;
+        }
+        if (/__|^_|_$/.test(digits)) {
+            return 'numeric separators are only allowed between digits';
+        }
+        const invalid = [...digits].find(character => character !== '_' && !prefix.digit.test(character));
+        return `invalid ${prefix.kind} digit "${invalid}"`;
+    }
+    if (/__|_$|_\D|\D_/.test(literal)) {
+        return 'numeric separators are only allowed between digits';
+    }
+    if (/[eE][+-]?(?!\d)/.test(literal)) {
+        return 'expected digits in the exponent';
+    }
+    return 'an identifier can\'t start right after a number';
+}
 
 /*
  * Tokenizer class
@@ -101,10 +196,53 @@ const Spec = [
 class Tokenizer {
     /*
      * Initializes the string.
+     *
+     * Options:
+     *  - comments: collect the skipped comment tokens in `comments`.
+     *  - trivia: keep the skipped text (whitespace and comments) before
+     *    each token in its `leadingTrivia`, as `{kind, text}` pieces.
      */
-    init(string) {
+    init(string, options = {}) {
         this._string = string;
         this._cursor = 0; // track the position of each character
+        this._line = 1;
+        this._lineStart = 0; // offset where the current line begins
+        this.comments = options.comments ? [] : null;
+        this._trivia = options.trivia ? [] : null;
+        // Open braces in each template substitution being scanned.
+        this._templates = [];
+    }
+    /*
+     * Returns the trivia skipped since the last token, e.g. the
+     * trailing whitespace at the end of the input.
+     */
+    takeTrivia() {
+        const trivia = this._trivia;
+        if (trivia != null) {
+            this._trivia = [];
+        }
+        return trivia;
+    }
+    /*
+     * Moves the cursor to an offset, whose location is known.
+     */
+    seek(offset, loc) {
+        this._cursor = offset;
+        this._line = loc.line;
+        this._lineStart = offset - loc.column;
+        this._templates = [];
+        if (this._trivia != null) {
+            this._trivia = [];
+        }
+    }
+    /*
+     * Line (1-based) and column (0-based) of the cursor.
+     */
+    getCursorLocation() {
+        return {
+            line: this._line,
+            column: this._cursor - this._lineStart,
+        };
     }
     /*
      * Whether the tokenizer reached EOF.
@@ -122,48 +260,193 @@ class Tokenizer {
      * Obtains next token.
      */
     getNextToken() {
-        if (!this.hasMoreTokens()) {
-            return null;
+        // Whitespace and comments are skipped until a token starts.
+        for (;;) {
+            if (!this.hasMoreTokens()) {
+                return null;
+            }
+            const token = this._matchToken();
+
+            // Should skip this null token because could be a whitespace or something else
+            if (token.type == null) {
+                this._addTrivia('whitespace', token.value);
+                continue;
+            }
+
+            // Comments are skipped like whitespace, once collected.
+            if (token.type === 'COMMENT') {
+                if (this.comments != null) {
+                    this.comments.push(token);
+                }
+                this._addTrivia('comment', token.value);
+                continue;
+            }
+
+            if (this._trivia != null) {
+                token.leadingTrivia = this.takeTrivia();
+            }
+
+            // We return the token
+            return token;
+        }
+    }
+
+    /*
+     * Matches the first Spec rule at the cursor, and moves past it.
+     */
+    _matchToken() {
+        const start = this._cursor;
+        const startLoc = this.getCursorLocation();
+        const templates = this._templates;
+
+        // The `}` which closes a substitution continues its template.
+        if (templates.length > 0 && templates[templates.length - 1] === 0 && this._string[start] === '}') {
+            const tokenValue = this._match(TemplateContinuation);
+            if (tokenValue == null) {
+                templates.pop();
+                throw this._unterminatedError('Unterminated template string', this._string.length);
+            }
+            const isTail = tokenValue.endsWith('`');
+            if (isTail) {
+                templates.pop();
+            }
+            return this._token(isTail ? 'TEMPLATE_TAIL' : 'TEMPLATE_MIDDLE', tokenValue, start, startLoc);
         }
-        const string = this._string.slice(this._cursor); // crea un string desde la posicin this._cursor
 
         for (const [regexp, tokenType] of Spec) {
-            const tokenValue = this._match(regexp, string);
+            const tokenValue = this._match(regexp);
             // Couldn't match this rule, continue.
             if (tokenValue == null) {
                 continue;
             }
 
-            // Should skip this null token because could be a whitespace or something else
-            if (tokenType == null) {
-                // no llamamos a continue para que no salte a la siguiente expresin regular
-                // sino que llamamos a getNextToken() para que comience de cero con las RegExp.
-                return this.getNextToken();
+            let type = tokenType;
+            if (type === 'IDENTIFIER' && Keywords.has(tokenValue)) {
+                type = tokenValue;
             }
+            if (type === 'NUMBER' && /\w/.test(this._string[this._cursor] || '')) {
+                this._cursor = start; // numbers span a single line
+                throw this._numberError();
+            }
+            if (type === 'TEMPLATE' && tokenValue.endsWith('${')) {
+                type = 'TEMPLATE_HEAD';
+                templates.push(0);
+            } else if (type === '{' && templates.length > 0) {
+                templates[templates.length - 1]++;
+            } else if (type === '}' && templates.length > 0) {
+                templates[templates.length - 1]--;
+            }
+            return this._token(type, tokenValue, start, startLoc);
+        }
 
-            // We return the token
-            return {
-                type: tokenType,
-                value: tokenValue,
-            };
+        const character = this._string[this._cursor];
+        if (character === '"' || character === "'") {
+            const lineEnd = /[\r\n]|$/g;
+            lineEnd.lastIndex = this._cursor;
+            throw this._unterminatedError('Unterminated string', lineEnd.exec(this._string).index);
+        }
+        if (character === '`') {
+            throw this._unterminatedError('Unterminated template string', this._string.length);
+        }
+
+        const error = this._syntaxError(`Unexpected token: "${character}"`);
+
+        // Step over the bad character, so scanning may resume after it.
+        this._advance(character);
+        this._addTrivia('skipped', character);
+        throw error;
+    }
+
+    /*
+     * Builds a token which ends at the cursor.
+     */
+    _token(type, value, start, startLoc) {
+        return {
+            type,
+            value,
+            start,
+            end: this._cursor,
+            loc: {
+                start: startLoc,
+                end: this.getCursorLocation(),
+            },
+        };
+    }
+
+    /*
+     * Error for a string or template without its closing quote, which
+     * is stepped over up to `end`.
+     */
+    _unterminatedError(message, end) {
+        const text = this._string.slice(this._cursor, end);
+        const error = this._syntaxError(message);
+        this._advance(text);
+        this._addTrivia('skipped', text);
+        return error;
+    }
+
+    /*
+     * Error for the malformed number at the cursor, which is stepped
+     * over: a number runs into letters, digits or `_` it can't take.
+     */
+    _numberError() {
+        MalformedNumber.lastIndex = this._cursor;
+        const literal = MalformedNumber.exec(this._string)[0];
+
+        const error = this._syntaxError(`Invalid number "${literal}": ${numberErrorReason(literal)}`);
+        this._advance(literal);
+        this._addTrivia('skipped', literal);
+        return error;
+    }
+
+    /*
+     * Records skipped text, in trivia mode.
+     */
+    _addTrivia(kind, text) {
+        if (this._trivia != null) {
+            this._trivia.push({ kind, text });
         }
+    }
 
-        throw new SyntaxError(`Unexpected token: "${string[0]}"`);
+    /*
+     * Builds a SyntaxError located at the cursor.
+     */
+    _syntaxError(message) {
+        const loc = this.getCursorLocation();
+        const error = new SyntaxError(`${message} (${loc.line}:${loc.column})`);
+        error.pos = this._cursor;
+        error.loc = loc;
+        return error;
     }
 
     /*
-     * Matches a token for a regular expression.
+     * Matches a sticky regular expression at the cursor.
      */
-    _match(regexp, string) {
-        const matched = regexp.exec(string);
+    _match(regexp) {
+        regexp.lastIndex = this._cursor;
+        const matched = regexp.exec(this._string);
         if (matched == null) {
             return null;
         }
-        this._cursor += matched[0].length;
+        this._advance(matched[0]);
         return matched[0];
     }
+
+    /*
+     * Moves the cursor over a matched text, tracking lines.
+     */
+    _advance(text) {
+        let newline = text.indexOf('\n');
+        while (newline !== -1) {
+            this._line++;
+            this._lineStart = this._cursor + newline + 1;
+            newline = text.indexOf('\n', newline + 1);
+        }
+        this._cursor += text.length;
+    }
 }
 
 module.exports = {
     Tokenizer,
+    Keywords,
 }
\ No newline at end of file
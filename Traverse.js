@@ -0,0 +1,289 @@
+/**
+ * AST traversal: visits the nodes produced by the Parser, with
+ * enter/exit hooks, and lets the hooks transform the tree.
+ */
+
+/**
+ * The child keys of each node type, in source order, but for the
+ * lists which interleave: the quasis and expressions of a
+ * TemplateLiteral. This is the one place which knows the shape of
+ * the AST: update it with the grammar.
+ */
+const VisitorKeys = {
+    Program: ['body'],
+    ErrorNode: [],
+
+    // Modules
+    ImportDeclaration: ['specifiers', 'source'],
+    ImportSpecifier: ['imported', 'local'],
+    ImportNamespaceSpecifier: ['local'],
+    ExportDeclaration: ['declaration'],
+
+    // Statements
+    BlockStatement: ['body'],
+    EmptyStatement: [],
+    ExpressionStatement: ['expression'],
+    VariableStatement: ['declarations'],
+    VariableDeclaration: ['id', 'init'],
+    IfStatement: ['test', 'consequent', 'alternate'],
+    FunctionDeclaration: ['name', 'params', 'body'],
+    ReturnStatement: ['argument'],
+    ClassDeclaration: ['id', 'superClass', 'body'],
+    ClassBody: ['body'],
+    MethodDefinition: ['key', 'value'],
+    ClassField: ['key', 'value'],
+    WhileStatement: ['test', 'body'],
+    DoStatement: ['body', 'test'],
+    ForStatement: ['init', 'test', 'update', 'body'],
+    BreakStatement: ['label'],
+    ContinueStatement: ['label'],
+    LabeledStatement: ['label', 'body'],
+    SwitchStatement: ['discriminant', 'cases'],
+    SwitchCase: ['test', 'consequent'],
+    ThrowStatement: ['argument'],
+    TryStatement: ['block', 'handler', 'finalizer'],
+    CatchClause: ['param', 'body'],
+
+    // Expressions
+    AssignmentExpression: ['left', 'right'],
+    LogicalExpression: ['left', 'right'],
+    BinaryExpression: ['left', 'right'],
+    UnaryExpression: ['argument'],
+    UpdateExpression: ['argument'],
+    ConditionalExpression: ['test', 'consequent', 'alternate'],
+    MemberExpression: ['object', 'property'],
+    CallExpression: ['callee', 'arguments'],
+    NewExpression: ['callee', 'arguments'],
+    SpreadElement: ['argument'],
+    FunctionExpression: ['params', 'body'],
+    ArrayLiteral: ['elements'],
+    ObjectLiteral: ['properties'],
+    Property: ['key', 'value'],
+    ArrowFunctionExpression: ['params', 'body'],
+    Identifier: [],
+    ThisExpression: [],
+    Super: [],
+
+    // Patterns
+    ArrayPattern: ['elements'],
+    ObjectPattern: ['properties'],
+    AssignmentPattern: ['left', 'right'],
+    RestElement: ['argument'],
+
+    // Literals
+    NumericLiteral: [],
+    StringLiteral: [],
+    TemplateLiteral: ['quasis', 'expressions'],
+    TemplateElement: [],
+    BooleanLiteral: [],
+    NullLiteral: [],
+};
+
+/**
+ * The position of a node in the tree, handed to the visitor hooks.
+ */
+class NodePath {
+    constructor(node, parentPath, container, key, index = null) {
+        this.node = node;
+        this.parentPath = parentPath;
+        this.parent = parentPath != null ? parentPath.node : null;
+        this.container = container; // the parent node, or its list
+        this.key = key; // the parent's key holding the node
+        this.index = index; // the position in the list, if any
+        this.removed = false;
+        this._skipped = false;
+        this._inserted = 0; // nodes inserted after this one
+    }
+
+    /**
+     * Skips the children of the node (from an `enter` hook).
+     */
+    skip() {
+        this._skipped = true;
+    }
+
+    /**
+     * Replaces the node. The new node is traversed in its place.
+     */
+    replaceWith(node) {
+        this._set(node);
+        this.node = node;
+    }
+
+    /**
+     * Removes the node from its list, or empties an optional slot
+     * such as `IfStatement.alternate`.
+     */
+    remove() {
+        if (this.index != null) {
+            this.container.splice(this.index, 1);
+        } else {
+            this._set(null);
+        }
+        this.removed = true;
+        this.node = null;
+    }
+
+    /**
+     * Inserts nodes before this one, in its list. They aren't traversed.
+     */
+    insertBefore(...nodes) {
+        this._checkList();
+        this.container.splice(this.index, 0, ...nodes);
+        this.index += nodes.length;
+    }
+
+    /**
+     * Inserts nodes after this one, in its list. They aren't traversed.
+     */
+    insertAfter(...nodes) {
+        this._checkList();
+        this.container.splice(this.removed ? this.index : this.index + 1, 0, ...nodes);
+        this._inserted += nodes.length;
+    }
+
+    /**
+     * Closest ancestor path satisfying the predicate.
+     */
+    findParent(predicate) {
+        for (let path = this.parentPath; path != null; path = path.parentPath) {
+            if (predicate(path)) {
+                return path;
+            }
+        }
+        return null;
+    }
+
+    _set(node) {
+        if (this.index != null) {
+            this.container[this.index] = node;
+        } else if (this.container != null) {
+            this.container[this.key] = node;
+        }
+    }
+
+    _checkList() {
+        if (this.index == null) {
+            throw new Error(`Can't insert next to "${this.key}": it is not a list`);
+        }
+    }
+}
+
+class Traverser {
+
+    /**
+     * Visitors map node types to hooks: either a function called
+     * when entering the node, or `{ enter, exit }`. The `enter` and
+     * `exit` keys themselves are called for every node.
+     */
+    constructor(visitors) {
+        this._visitors = visitors;
+    }
+
+    /**
+     * Traverses a tree, returning its (possibly replaced) root.
+     */
+    traverse(ast) {
+        const path = new NodePath(ast, null, null, null);
+        this._visit(path);
+        return path.node;
+    }
+
+    /**
+     * Visits the node of a path: enter hooks, children, exit hooks.
+     */
+    _visit(path) {
+        let node;
+        do {
+            node = path.node;
+            this._call('enter', path);
+            if (path.removed) {
+                return;
+            }
+        } while (path.node !== node); // a replacement is entered again
+
+        if (!path._skipped) {
+            for (const key of this._childKeys(node)) {
+                this._visitKey(path, node, key);
+            }
+        }
+
+        this._call('exit', path);
+    }
+
+    /**
+     * Visits the child, or list of children, at a key of a node.
+     */
+    _visitKey(parentPath, node, key) {
+        const child = node[key];
+        if (child == null) {
+            return;
+        }
+        if (!Array.isArray(child)) {
+            this._visit(new NodePath(child, parentPath, node, key));
+            return;
+        }
+        for (let i = 0; i < child.length; i++) {
+            if (child[i] == null) {
+                continue;
+            }
+            const path = new NodePath(child[i], parentPath, child, key, i);
+            this._visit(path);
+            // Continue after the node, and the nodes inserted around it.
+            i = path.index + path._inserted - (path.removed ? 1 : 0);
+        }
+    }
+
+    /**
+     * Calls the generic and the node type hooks for a phase.
+     */
+    _call(phase, path) {
+        const generic = this._visitors[phase];
+        if (typeof generic === 'function') {
+            generic(path);
+            if (path.removed) {
+                return;
+            }
+        }
+
+        const visitor = this._visitors[path.node.type];
+        const hook = typeof visitor === 'function'
+            ? (phase === 'enter' ? visitor : null)
+            : visitor != null ? visitor[phase] : null;
+        if (hook != null) {
+            hook(path);
+        }
+    }
+
+    /**
+     * The child keys of a node, from the VisitorKeys table.
+     */
+    _childKeys(node) {
+        const keys = VisitorKeys[node.type];
+        if (keys == null) {
+            throw new Error(`Unknown node type: "${node.type}"`);
+        }
+        return keys;
+    }
+}
+
+/**
+ * Traverses a tree with the given visitors.
+ *
+ * traverse(ast, {
+ *     Identifier(path) { ... },
+ *     FunctionDeclaration: {
+ *         enter(path) { ... },
+ *         exit(path) { ... },
+ *     },
+ * });
+ */
+function traverse(ast, visitors) {
+    return new Traverser(visitors).traverse(ast);
+}
+
+module.exports = {
+    traverse,
+    NodePath,
+    VisitorKeys,
+}
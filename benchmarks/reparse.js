@@ -0,0 +1,92 @@
+/**
+ * Compares reparse() after a one-character edit with a full parse,
+ * on a generated program of a few thousand lines.
+ *
+ * Run: node benchmarks/reparse.js [classes]
+ */
+
+const assert = require('assert');
+const { Parser } = require('../Parser');
+
+/**
+ * A program made of classes, functions and statements.
+ */
+function generate(classes) {
+    let source = '';
+    for (let i = 0; i < classes; i++) {
+        source += `class Point${i} extends Base {
+    def constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    def add(other) {
+        return new Point${i}(this.x + other.x, this.y + other.y);
+    }
+}
+
+def distance${i}(a, b) {
+    let dx = a.x - b.x, dy = a.y - b.y;
+    if (dx < 0) {
+        dx = -dx;
+    } else {
+        dx = dx * 1;
+    }
+    return dx + dy;
+}
+
+let p${i} = new Point${i}(${i}, 2);
+for (let i = 0; i < 10; i += 1) {
+    p${i} = p${i}.add(p${i});
+}
+
+`;
+    }
+    return source;
+}
+
+/**
+ * Average milliseconds per call of `fn`, on what `setup` returns,
+ * which isn't timed.
+ */
+function time(iterations, fn, setup = () => null) {
+    let total = 0n;
+    for (let i = 0; i < iterations; i++) {
+        const input = setup();
+        const start = process.hrtime.bigint();
+        fn(input);
+        total += process.hrtime.bigint() - start;
+    }
+    return Number(total) / 1e6 / iterations;
+}
+
+function main() {
+    const classes = Number(process.argv[2]) || 200;
+    const source = generate(classes);
+    const parser = new Parser();
+    const parse = () => parser.parse(source, { locations: true });
+    console.log(`${source.split('\n').length} lines, ${source.length} characters\n`);
+
+    const edits = {
+        'top-level, start': { offset: source.indexOf('1;'), deleteLength: 1, insertText: '7' },
+        'top-level, middle': { offset: source.indexOf('(25, 2)') + 1, deleteLength: 2, insertText: '52' },
+        'class member, middle': { offset: source.indexOf('this.x = x;', source.length / 2), deleteLength: 1, insertText: 'self' },
+        'top-level, end': { offset: source.length, deleteLength: 0, insertText: 'print(1);\n' },
+    };
+
+    const full = time(5, () => new Parser().parse(source, { locations: true }));
+    console.log(`full parse:                     ${full.toFixed(2)} ms`);
+
+    for (const [name, edit] of Object.entries(edits)) {
+        const edited = source.slice(0, edit.offset) + edit.insertText + source.slice(edit.offset + edit.deleteLength);
+        assert.deepStrictEqual(parser.reparse(parse(), edit), new Parser().parse(edited, { locations: true }));
+
+        // A reparse hands over the tree it's given: each gets a new one.
+        const reparse = time(5, tree => parser.reparse(tree, edit), parse);
+        console.log(`reparse, ${(name + ':').padEnd(22)} ${reparse.toFixed(2)} ms (${(full / reparse).toFixed(1)}x)`);
+        // Even an edit at the top, the worst case, is cheaper than a full parse.
+        assert(reparse < full / 2, `reparse, ${name}, isn't cheaper than a full parse`);
+    }
+}
+
+main();
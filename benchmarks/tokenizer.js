@@ -0,0 +1,68 @@
+/**
+ * Tokenizes generated inputs of growing size: the time per megabyte
+ * stays about the same, as the tokenizer runs in linear time.
+ *
+ * Run: node benchmarks/tokenizer.js [megabytes]
+ */
+
+const { Tokenizer } = require('../Tokenizer');
+
+const Chunk = `// Comment-heavy code: trivia is skipped in a loop.
+// A long run of comments and whitespace used to recurse once per run.
+class Point extends Base {
+    def constructor(x, y) {
+        this.x = x; /* inline */ this.y = y;
+    }
+    def add(other) {
+        return new Point(this.x + other.x, this.y + other.y);
+    }
+}
+let total = 0, name = "letter", other = 'quotes';
+for (let i = 0; i < 100; i += 1) {
+    if (i >= 50 && total != 10 || !done) { total = total * 2 - i / 3; }
+}
+
+`;
+
+/**
+ * An input of about `bytes` characters.
+ */
+function generate(bytes) {
+    return Chunk.repeat(Math.ceil(bytes / Chunk.length));
+}
+
+/**
+ * Milliseconds to tokenize the input, and the number of tokens.
+ */
+function tokenize(input) {
+    const tokenizer = new Tokenizer();
+    const start = process.hrtime.bigint();
+    tokenizer.init(input);
+    let count = 0;
+    while (tokenizer.getNextToken() != null) {
+        count++;
+    }
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6, count };
+}
+
+function main() {
+    const maxMegabytes = Number(process.argv[2]) || 8;
+    tokenize(generate(1 << 20)); // warm up
+
+    let base = null;
+    for (let megabytes = 1; megabytes <= maxMegabytes; megabytes *= 2) {
+        const input = generate(megabytes << 20);
+        const { ms, count } = tokenize(input);
+        const perMegabyte = ms / megabytes;
+        base = base || perMegabyte;
+        console.log(`${String(megabytes).padStart(3)} MB  ${String(count).padStart(9)} tokens  ` +
+            `${ms.toFixed(0).padStart(6)} ms  ${perMegabyte.toFixed(1).padStart(6)} ms/MB  (x${(perMegabyte / base).toFixed(2)})`);
+    }
+
+    // One trivia run of a million comment lines.
+    const comments = '// comment\n'.repeat(1e6) + 'end';
+    const { ms, count } = tokenize(comments);
+    console.log(`${(comments.length / (1 << 20)).toFixed(1)} MB of comments: ${count} token in ${ms.toFixed(0)} ms`);
+}
+
+main();
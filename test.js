@@ -4,6 +4,7 @@
 
 const { Parser } = require('./Parser')
 const { Tokenizer } = require('./Tokenizer');
+const { Interpreter } = require('./Interpreter');
 
 const tokenizer = new Tokenizer();
 const parser = new Parser();
@@ -55,15 +56,11 @@ console.log("==================================");
 
 const ast = parser.parse(program);
 console.log(JSON.stringify(ast, null, 2));
+console.log("==================================");
 
-//const prompt = require('prompt-sync')({ sigint: true });
-//const { Parser } = require('./Parser');
+// ----------------------------
+// run the program, printing the value of the last statement
+const interpreter = new Interpreter();
+console.log(interpreter.evaluate(ast));
 
-//// Testing with the REPL
-//while (true) {
-//    const line = prompt('>>> ');
-//    if (line.length === 0) break;
-//    const parser = new Parser();
-//    const ast = parser.parse("//comentario");
-//    console.log(JSON.stringify(ast, null, 2));
-//}
\ No newline at end of file
+// For an interactive REPL, run: node Repl.js
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Parser } = require('../Parser');
+const { Analyzer } = require('../Analyzer');
+const { Programs } = require('./programs');
+
+/**
+ * The errors of a program, as `code line:column`.
+ */
+function errors(source) {
+    return new Analyzer().analyze(new Parser().parse(source, { locations: true })).diagnostics
+        .filter(diagnostic => diagnostic.severity === 'error')
+        .map(diagnostic => `${diagnostic.code} ${diagnostic.loc.start.line}:${diagnostic.loc.start.column}`);
+}
+
+for (const [name, source] of Object.entries(Programs)) {
+    test(`${name}: no errors`, () => {
+        assert.deepStrictEqual(errors(source), []);
+    });
+}
+
+test('the errors which the grammar can\'t catch are reported', () => {
+    assert.deepStrictEqual(errors('return 1;'), ['return-outside-function 1:0']);
+    assert.deepStrictEqual(errors('def f() { return this; }'), ['this-outside-method 1:17']);
+    assert.deepStrictEqual(errors('class A { def f() { return super(); } }'), ['super-without-extends 1:27']);
+    assert.deepStrictEqual(errors('let a; def a() {}'), ['duplicate-declaration 1:11']);
+    assert.deepStrictEqual(errors('def f(p, p) {}'), ['duplicate-parameter 1:9']);
+    assert.deepStrictEqual(errors('def f(p, q = p, ...p) {}'), ['duplicate-parameter 1:19']);
+});
+
+test('the imported names are declared', () => {
+    assert.deepStrictEqual(errors('import { a, b as c } from "./m"; import * as n from "./n"; print(a, c, n);'), []);
+    assert.deepStrictEqual(errors('import { a } from "./m"; let a = 1;'), ['duplicate-declaration 1:29']);
+});
+
+test('an undeclared name is a warning', () => {
+    const { diagnostics } = new Analyzer().analyze(new Parser().parse('print(z);'));
+    assert.deepStrictEqual(diagnostics.map(({ severity, code, message }) => [severity, code, message]),
+        [['warning', 'undeclared', '"z" is not declared']]);
+});
+
+test('each identifier resolves to its declaration', () => {
+    const ast = new Parser().parse('let a = 1; def f(a) { return a; } f(a);');
+    const analysis = new Analyzer().analyze(ast);
+    const [variable] = ast.body[0].declarations;
+    const fn = ast.body[1];
+    assert.strictEqual(analysis.resolve(fn.body.body[0].argument).node, fn.params[0]);
+    assert.strictEqual(analysis.resolve(ast.body[2].expression.arguments[0]).node, variable.id);
+    assert.strictEqual(analysis.resolve(variable.id).references.length, 1);
+    assert.strictEqual(analysis.scope.declarations.size, 2);
+});
+
+test('a name used before its declaration is an error, as it is at run time', () => {
+    assert.deepStrictEqual(errors('f(); def f() {}'), ['use-before-declaration 1:0']);
+    assert.deepStrictEqual(errors('print(y); let y = 1;'), ['use-before-declaration 1:6']);
+    assert.deepStrictEqual(errors('let a = a;'), ['use-before-declaration 1:8']);
+    assert.deepStrictEqual(errors('let [b = c, c] = [];'), ['use-before-declaration 1:9']);
+});
+
+test('a name declared later is visible inside a function, and outer names until shadowed', () => {
+    assert.deepStrictEqual(errors('def f() { return g(); } def g() { return f(); } f();'), []);
+    assert.deepStrictEqual(errors('class A { def m() { return A; } }'), []);
+    assert.deepStrictEqual(errors('class A { x = y; static z = A; } let y = 1;'), []);
+    assert.deepStrictEqual(errors('let x = 1; { print(x); let x = 2; }'), []);
+    assert.deepStrictEqual(errors('let [a, b = a] = [1]; let {c, d = c} = {c: 2}; def e(p, q = p) {}'), []);
+    assert.deepStrictEqual(errors('let f = () => f(), g = def () { return g; };'), []);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { Parser } = require('../Parser');
+const { format } = require('../Formatter');
+const { Programs } = require('./programs');
+
+/**
+ * The AST of a source, without the locations.
+ */
+function ast(source) {
+    return new Parser().parse(source);
+}
+
+/**
+ * Runs Formatter.js with the arguments, and a source on stdin.
+ */
+function formatter(args, input = '') {
+    return spawnSync(process.execPath, [path.join(__dirname, '..', 'Formatter.js'), ...args], { input, encoding: 'utf8' });
+}
+
+for (const [name, source] of Object.entries(Programs)) {
+    for (const lineWidth of [80, 40]) {
+        test(`formatting the ${name} program at width ${lineWidth} keeps its AST and is stable`, () => {
+            const formatted = format(source, { lineWidth });
+            assert.deepStrictEqual(ast(formatted), ast(source));
+            assert.strictEqual(format(formatted, { lineWidth }), formatted);
+        });
+    }
+}
+
+test('code is reprinted in the canonical style', () => {
+    assert.strictEqual(format('let a=1+2*3;if(a>1){a=a-1;}else a=0;def f(x,y){return x;}'), [
+        'let a = 1 + 2 * 3;',
+        'if (a > 1) {',
+        '    a = a - 1;',
+        '} else a = 0;',
+        'def f(x, y) {',
+        '    return x;',
+        '}',
+        '',
+    ].join('\n'));
+});
+
+test('an argument list which doesn\'t fit is wrapped one argument per line', () => {
+    assert.strictEqual(format('call(first, second, third);', { lineWidth: 20 }), 'call(\n    first,\n    second,\n    third\n);\n');
+});
+
+test('array and object literals wrap one item per line, keeping holes', () => {
+    assert.strictEqual(format('let a=[1,,2,];let o={a:1,"b":2,[k]:3,a};'), 'let a = [1, , 2];\nlet o = { a: 1, "b": 2, [k]: 3, a };\n');
+    assert.strictEqual(format('let o = {m(){return a;}};'), 'let o = {\n    m() {\n        return a;\n    }\n};\n');
+    assert.strictEqual(format('let a = [first, second, ,];', { lineWidth: 20 }), 'let a = [\n    first,\n    second,\n    ,\n];\n');
+    assert.strictEqual(format('let f = () => ({ a: 1 });\n({ a } .a);'), 'let f = () => ({ a: 1 });\n({ a }.a);\n');
+});
+
+test('operators keep the parentheses their precedence needs, and no more', () => {
+    assert.strictEqual(format('let x = (a ? b : c) + (-2) ** 2 ** (1 + 1) + ((a % b) * c);'),
+        'let x = (a ? b : c) + (-2) ** 2 ** (1 + 1) + a % b * c;\n');
+    assert.strictEqual(format('x = - -a + - --b + (i++) + (a | b) & c;'), 'x = - -a + - --b + i++ + (a | b) & c;\n');
+});
+
+test('switch clauses are indented under the switch, and their statements under them', () => {
+    assert.strictEqual(format('outer:while(a){switch(a){case 1:case 2:f();break outer;default:continue;}}'), [
+        'outer: while (a) {',
+        '    switch (a) {',
+        '        case 1:',
+        '        case 2:',
+        '            f();',
+        '            break outer;',
+        '        default:',
+        '            continue;',
+        '    }',
+        '}',
+        '',
+    ].join('\n'));
+    assert.strictEqual(format('switch (a) {}'), 'switch (a) {}\n');
+});
+
+test('imports and exports are printed with their specifiers', () => {
+    assert.strictEqual(format('import {a,b as c} from "./m";import * as n from "./n";import {} from "./o";export def f(){}'),
+        'import { a, b as c } from "./m";\nimport * as n from "./n";\nimport {} from "./o";\nexport def f() {}\n');
+});
+
+test('class members are printed with their modifiers, one per line', () => {
+    assert.strictEqual(format('class A extends B{static n=1;x;get g(){return 1;}static def f(a){}}'), [
+        'class A extends B {',
+        '    static n = 1;',
+        '    x;',
+        '    get g() {',
+        '        return 1;',
+        '    }',
+        '    static def f(a) {}',
+        '}',
+        '',
+    ].join('\n'));
+});
+
+test('default and rest parameters and spread arguments are printed in place', () => {
+    assert.strictEqual(format('def f(a,b=1,...c){return g(...c,...[a]);}'),
+        'def f(a, b = 1, ...c) {\n    return g(...c, ...[a]);\n}\n');
+});
+
+test('patterns are printed as the literals they look like, with their defaults', () => {
+    assert.strictEqual(format('let [a,,b=1,...c]=x;({d,e:f=2,...g}=y);let h=()=>({i}=z);'),
+        'let [a, , b = 1, ...c] = x;\n({ d, e: f = 2, ...g } = y);\nlet h = () => ({ i } = z);\n');
+});
+
+test('a comment after an if branch stays before the else', () => {
+    const source = 'if (a) {\n    x;\n} // after if\nelse {\n    y;\n}\n';
+    assert.strictEqual(format(source), source);
+});
+
+test('a block comment inside an expression stays in place', () => {
+    assert.strictEqual(format('let z = 1 + /* two */ 2;\n'), 'let z = 1 + /* two */ 2;\n');
+    assert.strictEqual(format('f(a /* first */, /* second */ b);\n'), 'f(a /* first */, /* second */ b);\n');
+});
+
+test('trailing comments stay on the line of what they follow', () => {
+    const source = [
+        'if (a) { // yes',
+        '    t;',
+        '} /* t */ else {',
+        '    u;',
+        '}',
+        'try { // tried',
+        '    t;',
+        '} /* t */ catch (e) {',
+        '    u;',
+        '} // caught',
+        'finally {',
+        '    v;',
+        '}',
+        'f(',
+        '    1, // one',
+        '    2 // two',
+        ');',
+        'let list = [',
+        '    1, // one',
+        '    2 // two',
+        '];',
+        'do {',
+        '    i = i - 1;',
+        '} // again',
+        'while (i > 0);',
+        '',
+    ].join('\n');
+    assert.strictEqual(format(source), source);
+});
+
+test('a loop or if body after a line comment stays indented', () => {
+    const source = 'while (x) // loop\n    x = x - 1;\nif (a) // yes\n    b();\n';
+    assert.strictEqual(format(source), source);
+    assert.strictEqual(format('for (;;) // ever\nf();\n'), 'for (;;) // ever\n    f();\n');
+});
+
+test('an empty block with a comment after its brace gets no blank line', () => {
+    const source = 'class A { // nothing\n}\ndef f() { // empty\n}\n';
+    assert.strictEqual(format(source), source);
+});
+
+test('a comment in an empty argument or parameter list stays inside it', () => {
+    const source = 'f(/* none */);\nnew A(/* x */);\ndef g(/* p */) {}\nlet h = (/* q */) => 1;\n';
+    assert.strictEqual(format(source), source);
+    assert.strictEqual(format('f(// none\n);\n'), 'f(\n    // none\n);\n');
+});
+
+test('--check lists the files which aren\'t formatted, with exit code 1', () => {
+    assert.strictEqual(formatter(['--check'], 'let a = 1;\n').status, 0);
+    const { status, stdout } = formatter(['--check'], 'let a=1;\n');
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '<stdin>\n');
+});
+
+test('a file which can\'t be read is reported, with exit code 2', () => {
+    const { status, stdout, stderr } = formatter(['missing.lt']);
+    assert.strictEqual(status, 2);
+    assert.strictEqual(stdout, '');
+    assert.match(stderr, /^missing\.lt: ENOENT: no such file or directory/);
+});
+
+test('numbers are printed as they are written', () => {
+    assert.strictEqual(format('let n = 0x1F + 1_000 + 2.5e3;'), 'let n = 0x1F + 1_000 + 2.5e3;\n');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const { Grammar } = require('../Grammar');
+
+/**
+ * The productions documented in the comments of the Parser:
+ *
+ *     IfStatement
+ *      : 'if' '(' Expression ')' Statement ('else' Statement)?
+ *      ;
+ */
+function documentedProductions() {
+    const productions = {};
+    const source = fs.readFileSync(require.resolve('../Parser'), 'latin1');
+    for (const [comment] of source.matchAll(/\/\*[\s\S]*?\*\//g)) {
+        const lines = comment.split('\n').map(line => line.replace(/^\s*(\/\*+|\*+\/|\*+)?/, '').trim());
+        for (let i = 0; i < lines.length - 1; i++) {
+            if (!/^\w+$/.test(lines[i]) || !lines[i + 1].startsWith(':') || lines[i] in productions) {
+                continue;
+            }
+            const rules = [];
+            for (let j = i + 1; j < lines.length && /^[:|;]/.test(lines[j]); j++) {
+                rules.push(lines[j]);
+            }
+            productions[lines[i]] = rules;
+        }
+    }
+    return productions;
+}
+
+test('the grammar table matches the productions documented in the Parser', () => {
+    assert.deepStrictEqual(Grammar, documentedProductions());
+});
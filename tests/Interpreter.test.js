@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Parser } = require('../Parser');
+const { Interpreter } = require('../Interpreter');
+
+/**
+ * Runs a program, returning what it printed.
+ */
+function run(source) {
+    const output = [];
+    const interpreter = new Interpreter({ builtins: { print: (...args) => output.push(args) } });
+    interpreter.evaluate(new Parser().parse(source, { locations: true }));
+    return output;
+}
+
+/**
+ * The error which running a program throws.
+ */
+function runError(source) {
+    try {
+        run(source);
+    } catch (error) {
+        return error;
+    }
+    assert.fail('The program ran without an error');
+}
+
+test('a program evaluates to the value of its last statement', () => {
+    assert.strictEqual(new Interpreter().evaluate(new Parser().parse('let a = 1; a + 2;')), 3);
+    assert.strictEqual(new Interpreter().evaluate(new Parser().parse('def f(n) { if (n < 1) { return 0; } return n + f(n - 1); } f(4);')), 10);
+});
+
+test('methods are inherited, and super calls the method of the parent class', () => {
+    assert.deepStrictEqual(run(`
+        class A { def constructor(x) { this.x = x; } def get() { return this.x; } def name() { return "A"; } }
+        class B extends A { def constructor(x) { super(x * 2); } def name() { return super() + "B"; } }
+        let b = new B(2);
+        print(b.get(), b.name());
+    `), [[4, 'AB']]);
+});
+
+test('fields start before the constructor runs, and accessors and static members belong to their class', () => {
+    assert.deepStrictEqual(run(`
+        class A {
+            static count = 0;
+            x = 1;
+            y;
+            def constructor() { A.count += 1; this.y = this.x + 1; }
+            get sum() { return this.x + this.y; }
+            set sum(value) { this.x = value - this.y; }
+            static def make() { return new A(); }
+        }
+        class B extends A {
+            z = this.x * 10;
+            get sum() { return super.sum + this.z; }
+        }
+        let a = A.make();
+        a.sum = 10;
+        let b = new B();
+        print(a.x, a.sum, b.sum, A.count, b.count);
+    `), [[8, 10, 13, 2, null]]);
+});
+
+test('the builtins can be replaced', () => {
+    assert.deepStrictEqual(run('print(1, "a");'), [[1, 'a']]);
+});
+
+test('a runtime error is located at its node', () => {
+    const error = runError('let a = 1;\nb + 1;');
+    assert.ok(error instanceof ReferenceError);
+    assert.strictEqual(error.message, 'Variable "b" is not defined (2:0)');
+});
+
+test('redefining a variable is reported at its declaration', () => {
+    for (const source of ['let x = 1; let x = 2;', 'let x = 1; def x() {}', 'let x = 1; class x {}', 'let [a, x, x] = [];']) {
+        const error = runError(source);
+        assert.ok(error instanceof ReferenceError);
+        assert.strictEqual(error.message, 'Variable "x" is already defined (1:' + source.lastIndexOf('x') + ')');
+    }
+});
+
+test('assigning an undefined variable is reported where it is assigned', () => {
+    for (const source of ['let a = 1; y = 3;', 'let a = 1; ++y;', 'let a = 1; [y] = [1];']) {
+        const error = runError(source);
+        assert.ok(error instanceof ReferenceError);
+        assert.deepStrictEqual(error.loc, { line: 1, column: source.indexOf('y') });
+    }
+});
+
+test('function expressions and arrow functions close over their scope', () => {
+    const source = 'def counter() { let n = 0; return () => n = n + 1; } let c = counter(); c(); ' +
+        'let twice = def (f, x) { return f(f(x)); }; print(c(), twice(x => x * 3, 2), ((a, b) => { return a - b; })(5, 1));';
+    assert.deepStrictEqual(run(source), [[2, 18, 4]]);
+});
+
+test('array and object literals are indexed, and a method sees its object as this', () => {
+    const source = 'let k = "c"; let a = [1, , 3]; let o = { a, "b": 2, [k]: 3, m() { return this.b; } }; ' +
+        'a[1] = 2; o.d = a.length; print(a, o.a[0], o["c"], o.m(), o.d);';
+    assert.deepStrictEqual(run(source), [[[1, 2, 3], 1, 3, 2, 3]]);
+});
+
+test('the arithmetic, bitwise, conditional and update operators compute as in JavaScript', () => {
+    const source = 'let a = 5; let o = { n: 1 }; let b = a++ + ++a; o.n--; ' +
+        'print(7 % 3, 2 ** 3 ** 2, ~5 & 6 | 1 ^ 8, -9 >> 1, -9 >>> 28, 1 << 4, a > 6 ? "big" : "small", b, o.n);';
+    assert.deepStrictEqual(run(source), [[1, 512, 11, -5, 15, 16, 'big', 12, 0]]);
+});
+
+test('switch falls through its clauses until a break, and labels name the loop to jump to', () => {
+    const source = 'def kind(n) { let s = ""; switch (n) { case 1: s = s + "one"; case 2: s = s + "few"; break; ' +
+        'default: s = "many"; case 0: s = s + "!"; } return s; } ' +
+        'let pairs = 0; outer: for (let i = 0; i < 3; i++) { for (let j = 0; j < 3; j++) { ' +
+        'if (j == 1) continue outer; if (i == 2) break outer; pairs++; } } ' +
+        'print(kind(1), kind(2), kind(5), kind(0), pairs);';
+    assert.deepStrictEqual(run(source), [['onefew', 'few', 'many!', '!', 2]]);
+});
+
+test('a redefinition can be caught', () => {
+    assert.deepStrictEqual(run('try { let q; let q; } catch (e) { print(e.message); }'), [['Variable "q" is already defined']]);
+});
+
+test('a thrown value or runtime error is caught, and finally runs however the try ends', () => {
+    const source = 'def f() { try { return 1; } finally { print("finally"); } } ' +
+        'try { throw { code: 2 }; } catch (e) { print(e.code); } ' +
+        'try { null.x; } catch (e) { print(e.name); } ' +
+        'try { throw 3; } catch { print("no binding"); } print(f());';
+    assert.deepStrictEqual(run(source), [[2], ['TypeError'], ['no binding'], ['finally'], [1]]);
+    const error = runError('let a = 1;\nthrow "oops";');
+    assert.deepStrictEqual([error.name, error.message, error.loc], ['Exception', 'oops (2:0)', { line: 2, column: 0 }]);
+});
+
+test('a missing argument takes its default, the rest parameter the remaining ones, and ... spreads the arguments', () => {
+    const source = 'def f(a, b = a * 2, ...rest) { return [a, b, rest]; } ' +
+        'print(f(1), f(1, null, 3, 4), f(...[5, 6], ..."ab"));';
+    assert.deepStrictEqual(run(source), [[[1, 2, []], [1, null, [3, 4]], [5, 6, ['a', 'b']]]]);
+    assert.match(runError('let n = 1;\nprint(...n);').message, /^Cannot spread 1, which is not an array or a string \(2:9\)$/);
+});
+
+test('patterns take the elements of an array and the fields of an object, in let, parameters and assignments', () => {
+    const source = 'let [a, , b = 3, ...rest] = [1, 2, null, 4, 5]; let { x, y: { z = 6 } = {}, ...others } = { x: 7, w: 8 }; ' +
+        'def f([p, q], { r } = { r: 9 }) { return p + q + r; } ' +
+        'let o = {}; [o.first, a] = [a, 10]; ({ x, w: b } = { x: 11, w: 12 }); ' +
+        'print(a, b, rest, x, z, others.w, f([1, 2]), o.first, [...rest, ..."c"], { ...others, v: 1 }.v);';
+    assert.deepStrictEqual(run(source), [[10, 12, [4, 5], 11, 6, 8, 12, 1, [4, 5, 'c'], 1]]);
+    assert.match(runError('let [a] = 1;').message, /^Cannot destructure 1, which is not an array or a string/);
+});
+
+test('a template is the string of its parts and substituted values', () => {
+    assert.deepStrictEqual(run('let a = 2; print(`x${a + 1}y${"q"}`, "a\\tb", \'it\\\'s\');'), [['x3yq', 'a\tb', "it's"]]);
+});
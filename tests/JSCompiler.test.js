@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('assert');
+const vm = require('vm');
+const { Parser } = require('../Parser');
+const { Interpreter } = require('../Interpreter');
+const { compileToJS } = require('../JSCompiler');
+const { Programs } = require('./programs');
+
+/**
+ * Compiles a program, and runs the JavaScript, returning what it printed.
+ */
+function runCompiled(source) {
+    const output = [];
+    const code = compileToJS(new Parser().parse(source));
+    vm.runInNewContext(code, { console: { log: (...args) => output.push(args) } });
+    return output;
+}
+
+for (const [name, source] of Object.entries(Programs)) {
+    test(`the compiled ${name} program prints what it does interpreted`, () => {
+        const output = [];
+        new Interpreter({ builtins: { print: (...args) => output.push(args) } }).evaluate(new Parser().parse(source));
+        assert.deepStrictEqual(runCompiled(source), output);
+    });
+}
+
+test('the builtins used are defined in a prelude', () => {
+    assert.strictEqual(compileToJS(new Parser().parse('let x = 1; print(x);')),
+        'const print = (...args) => console.log(...args);\n\nlet x = 1;\nprint(x);\n');
+});
+
+test('a variable without an initializer is null, as in Letter', () => {
+    assert.strictEqual(compileToJS(new Parser().parse('let x;')), 'let x = null;\n');
+    assert.deepStrictEqual(runCompiled('let x, y = 1; print(x, y); for (let i; i == null; i = 1) print(i);'),
+        [[null, 1], [null]]);
+});
+
+test('a name reserved in JavaScript is reported, with its location', () => {
+    assert.throws(() => compileToJS(new Parser().parse('let eval = 1;', { locations: true })),
+        { message: 'Cannot compile to JavaScript:\n  Identifier: "eval" is a reserved word in JavaScript (1:4)' });
+});
+
+test('a name reserved in strict mode JavaScript is reported', () => {
+    for (const name of ['public', 'static', 'interface', 'package']) {
+        assert.throws(() => compileToJS(new Parser().parse(`let ${name} = 1;`)), /Cannot compile/);
+    }
+    assert.deepStrictEqual(runCompiled('let o = {static: 1}; print(o.static);'), [[1]]);
+});
+
+test('a program may import its own builtin', () => {
+    assert.strictEqual(compileToJS(new Parser().parse('import { print } from "./io"; print(1);')),
+        'import { print } from "./io";\nprint(1);\n');
+});
+
+test('a program may define its own builtin, with let', () => {
+    assert.deepStrictEqual(runCompiled('let [print] = [x => console.log(-x)]; print(1);'), [[-1]]);
+    assert.deepStrictEqual(runCompiled('def show(x) { console.log(x + 1); } let print = show; print(1);'), [[2]]);
+    assert.deepStrictEqual(runCompiled('def print(x) { console.log(-x); } print(1);'), [[-1]]);
+});
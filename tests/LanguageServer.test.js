@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const { LanguageServer, MessageReader, writeMessage } = require('../LanguageServer');
+
+/**
+ * A server with a document open, and the messages it sent.
+ */
+function open(text, uri = 'file:///main.lt') {
+    const sent = [];
+    const server = new LanguageServer(message => sent.push(message));
+    server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri, version: 1, text } } });
+    sent.length = 0;
+    return { server, sent };
+}
+
+test('messages are framed with a Content-Length header', () => {
+    const messages = [];
+    const reader = new MessageReader(message => messages.push(message));
+    const chunks = [];
+    writeMessage({ write: chunk => chunks.push(chunk) }, { jsonrpc: '2.0', id: 1, method: 'initialize' });
+    const framed = chunks.join('');
+    assert.match(framed, /^Content-Length: \d+\r\n\r\n/);
+    reader.push(Buffer.from(framed.slice(0, 10)));
+    reader.push(Buffer.from(framed.slice(10)));
+    assert.deepStrictEqual(messages, [{ jsonrpc: '2.0', id: 1, method: 'initialize' }]);
+});
+
+test('opening a document publishes its syntax errors and warnings', () => {
+    const sent = [];
+    const server = new LanguageServer(message => sent.push(message));
+    server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri: 'file:///main.lt', version: 1, text: 'f(y);\nlet = 1;\n' } } });
+    assert.strictEqual(sent[0].method, 'textDocument/publishDiagnostics');
+    assert.deepStrictEqual(sent[0].params.diagnostics.map(({ range, severity, message }) => [range.start, severity, message]), [
+        [{ line: 1, character: 4 }, 1, 'Unexpected token: "=", expected: "IDENTIFIER"'],
+        [{ line: 0, character: 0 }, 2, '"f" is not declared'],
+        [{ line: 0, character: 2 }, 2, '"y" is not declared'],
+    ]);
+});
+
+test('a name leads to its definition and references, and the declarations are symbols', () => {
+    const { server } = open('def f(x) {\n    return x;\n}\nf(1);\n');
+    const textDocument = { uri: 'file:///main.lt' };
+    assert.deepStrictEqual(server.definition({ textDocument, position: { line: 3, character: 0 } }),
+        { uri: 'file:///main.lt', range: { start: { line: 0, character: 4 }, end: { line: 0, character: 5 } } });
+    const references = server.references({ textDocument, position: { line: 0, character: 6 }, context: { includeDeclaration: true } });
+    assert.deepStrictEqual(references.map(reference => reference.range.start), [{ line: 0, character: 6 }, { line: 1, character: 11 }]);
+    assert.deepStrictEqual(server.documentSymbol({ textDocument }).map(symbol => symbol.name), ['f']);
+});
+
+test('each variable of a destructuring let is a symbol', () => {
+    const { server } = open('let [a, { b, c: d }] = [1, { b: 2, c: 3 }], e = 4;\n');
+    assert.deepStrictEqual(server.documentSymbol({ textDocument: { uri: 'file:///main.lt' } }).map(symbol => symbol.name),
+        ['a', 'b', 'd', 'e']);
+});
+
+test('a failing notification is logged, and the server keeps serving', () => {
+    const { server, sent } = open('let x = 1;');
+    server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didChange', params: { contentChanges: [{ text: '' }] } });
+    assert.strictEqual(sent[0].method, 'window/logMessage');
+    assert.strictEqual(sent[0].params.type, 1);
+
+    sent.length = 0;
+    server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didChange', params: { textDocument: { uri: 'file:///main.lt', version: 2 }, contentChanges: [] } });
+    assert.deepStrictEqual(sent, []);
+
+    server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'shutdown' });
+    assert.deepStrictEqual(sent, [{ jsonrpc: '2.0', id: 1, result: null }]);
+});
+
+test('hover shows the grammar production of the node', () => {
+    const { server } = open('if (a) b;');
+    const hover = server.hover({ textDocument: { uri: 'file:///main.lt' }, position: { line: 0, character: 1 } });
+    assert.strictEqual(hover.contents.value,
+        "**IfStatement**\n\n```\nIfStatement\n  : 'if' '(' Expression ')' Statement ('else' Statement)?\n  ;\n```");
+});
+
+test('the imported name of an import finds the references of its local name', () => {
+    const { server } = open("import { sum } from './math';\nprint(sum(1, 2));");
+    const references = server.references({
+        textDocument: { uri: 'file:///main.lt' },
+        position: { line: 0, character: 10 },
+        context: { includeDeclaration: false },
+    });
+    assert.deepStrictEqual(references.map(reference => reference.range.start), [{ line: 1, character: 6 }]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Runs the letter command on a program read from the standard input.
+ */
+function letter(command, source, options = []) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'Letter.js'), command, ...options, '-'], {
+        input: source,
+        encoding: 'utf8',
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('tokens and parse print the tokens and the AST', () => {
+    assert.strictEqual(letter('tokens', 'let a;').stdout, '1:1  let         "let"\n1:5  IDENTIFIER  "a"\n1:6  ;           ";"\n');
+    assert.strictEqual(letter('parse', 'a;', ['--compact']).stdout,
+        '{"type":"Program","body":[{"type":"ExpressionStatement","expression":{"type":"Identifier","name":"a"}}]}\n');
+    assert.strictEqual(letter('parse', 'a;', ['--format', 'sexpr']).stdout,
+        '(Program\n  [\n    (ExpressionStatement\n      (Identifier "a"))\n  ])\n');
+});
+
+test('check reports the errors and warnings, and fails on errors', () => {
+    const { status, stdout } = letter('check', 'let = 1;\nlet b = a;');
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, [
+        '<stdin>:1:5: error: Unexpected token: "=", expected: "IDENTIFIER"',
+        '<stdin>:2:9: warning: "a" is not declared [undeclared]',
+        '',
+    ].join('\n'));
+    assert.strictEqual(letter('check', 'let a = 1;').status, 0);
+});
+
+test('run runs the program, and reports its errors at their location', () => {
+    assert.deepStrictEqual(letter('run', 'print(1 + 2);'), { status: 0, stdout: '3\n', stderr: '' });
+    assert.deepStrictEqual(letter('run', 'let a = 1;\na();'),
+        { status: 1, stdout: '', stderr: '<stdin>:2:1: error: TypeError: 1 is not a function\n' });
+    assert.deepStrictEqual(letter('run', 'print(1);\nthrow "no";'),
+        { status: 1, stdout: '1\n', stderr: '<stdin>:2:1: error: Exception: no\n' });
+});
+
+test('a usage error exits with code 2', () => {
+    const { status, stderr } = letter('bogus', '');
+    assert.strictEqual(status, 2);
+    assert.match(stderr, /^Unknown command: bogus/);
+});
+
+test('run reports an error without a location as a diagnostic', () => {
+    const { status, stderr } = letter('run', 'def f() { return f(); } f();');
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stderr, '<stdin>: error: RangeError: Maximum call stack size exceeded\n');
+});
+
+test('run reports the semantic errors before running', () => {
+    const { status, stdout, stderr } = letter('run', 'print(1);\nprint(y);\nlet y = 1;');
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '');
+    assert.strictEqual(stderr, '<stdin>:2:7: error: "y" is used before its declaration [use-before-declaration]\n');
+});
+
+test('check and run follow the imports, naming the imported files from the working directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'letter-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'main.letter'), 'import { f } from "./lib";\nprint(f());\n');
+        fs.writeFileSync(path.join(dir, 'lib.letter'), 'export def f() {\n    return g();\n}\n');
+        const letterIn = command => spawnSync(process.execPath, [path.join(__dirname, '..', 'Letter.js'), command, 'main.letter'], {
+            cwd: dir,
+            encoding: 'utf8',
+        });
+        const checked = letterIn('check');
+        assert.deepStrictEqual([checked.status, checked.stdout], [0, 'lib.letter:2:12: warning: "g" is not declared [undeclared]\n']);
+        const ran = letterIn('run');
+        assert.deepStrictEqual([ran.status, ran.stderr], [1, 'lib.letter:2:12: error: ReferenceError: Variable "g" is not defined\n']);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { Loader } = require('../Loader');
+const { Interpreter } = require('../Interpreter');
+
+/**
+ * Loads a program from in-memory files, by absolute path.
+ */
+function load(files, root = '/main.letter') {
+    const loader = new Loader({
+        readFile: file => {
+            if (!Object.prototype.hasOwnProperty.call(files, file)) {
+                throw new Error(`ENOENT: ${file}`);
+            }
+            return files[file];
+        },
+    });
+    return loader.load(root);
+}
+
+test('the modules are evaluated once, each after the ones it imports', () => {
+    const graph = load({
+        '/main.letter': 'import { double } from "./math";\nimport * as log from "./log.letter";\nlog.show(double(2));',
+        '/math.letter': 'import { show } from "./log";\nexport def double(x) { return x * 2; }\nshow("math");',
+        '/log.letter': 'export def show(x) { print(x); }',
+    });
+    assert.deepStrictEqual(graph.diagnostics, []);
+    assert.deepStrictEqual(graph.order.map(module => path.basename(module.path)), ['log.letter', 'math.letter', 'main.letter']);
+    const output = [];
+    new Interpreter({ builtins: { print: x => output.push(x) } }).evaluateModules(graph);
+    assert.deepStrictEqual(output, ['math', 4]);
+});
+
+test('the load errors name the file they are in', () => {
+    const graph = load({
+        '/main.letter': 'import { f } from "./a";\nimport { g } from "./missing";',
+        '/a.letter': 'import { h } from "./main";',
+    });
+    assert.deepStrictEqual(graph.diagnostics.map(({ code, path }) => [code, path]), [
+        ['unresolved-import', path.resolve('/main.letter')],
+        ['missing-export', path.resolve('/main.letter')],
+        ['missing-export', path.resolve('/a.letter')],
+        ['import-cycle', path.resolve('/a.letter')],
+    ]);
+});
+
+test('evaluating a graph with load errors raises located Letter errors', () => {
+    const cases = [
+        ['import { f } from "./missing";', {}, 'Cannot find module "./missing" (1:18)'],
+        ['import { f } from "./a";', { '/a.letter': 'let x = 1;' }, 'Module "./a" has no export "f" (1:9)'],
+        ['import * as a from "./a";', { '/a.letter': 'import * as m from "./main";' },
+            'Cannot import "./main" before it is evaluated, in an import cycle (1:19)'],
+    ];
+    for (const [main, files, message] of cases) {
+        const graph = load({ '/main.letter': main, ...files });
+        assert.throws(() => new Interpreter().evaluateModules(graph), error =>
+            error instanceof ReferenceError && error.message === message);
+    }
+});
@@ -0,0 +1,314 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Parser } = require('../Parser');
+const CST = require('../CST');
+const { traverse } = require('../Traverse');
+const { Programs } = require('./programs');
+
+/**
+ * A pseudo-random generator, seeded for reproducible runs.
+ */
+function random(seed) {
+    return n => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+    };
+}
+
+/**
+ * The outcome of a parse: the AST as JSON, or the syntax error.
+ */
+function outcome(parse) {
+    try {
+        return JSON.stringify(parse());
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+            throw error;
+        }
+        return error.message;
+    }
+}
+
+const Snippets = [
+    '', ' ', '\n', ';', '{', '}', '(', ')', '[', ']', ',', '.', '=', '=>', '...',
+    'x', '1', '"s"', 'let q = 3;', 'def g() {}', 'class D {}', 'if (a) ', ' else ',
+    'return ', 'break;', 'case 1:', 'try {', ' catch (e) {', 'static ', 'get ',
+    '[a, b] = ', '{ c = 1 }', '/* c */', '// c\n',
+];
+
+for (const [name, source] of Object.entries(Programs)) {
+    test(`the ${name} program parses`, () => {
+        assert.strictEqual(new Parser().parse(source).type, 'Program');
+    });
+
+    test(`CST of the ${name} program prints back its source`, () => {
+        const cst = new Parser().parse(source, { cst: true });
+        assert.strictEqual(CST.print(cst), source);
+        assert.deepStrictEqual(CST.toAST(cst), new Parser().parse(source));
+    });
+
+    test(`reparse of the ${name} program matches a full parse`, () => {
+        const next = random(name.length);
+        const parser = new Parser();
+        let current = source;
+        let tree = parser.parse(source, { locations: true });
+
+        for (let i = 0; i < 300; i++) {
+            const offset = next(current.length + 1);
+            const deleteLength = next(Math.min(6, current.length - offset) + 1);
+            const insertText = Snippets[next(Snippets.length)];
+            const edited = current.slice(0, offset) + insertText + current.slice(offset + deleteLength);
+
+            let reparsed = null;
+            const incremental = outcome(() => (reparsed = parser.reparse(tree, { offset, deleteLength, insertText })));
+            const full = outcome(() => new Parser().parse(edited, { locations: true }));
+            assert.strictEqual(incremental, full, `after ${JSON.stringify({ offset, deleteLength, insertText })} in:\n${current}`);
+
+            // Keep editing the new tree, back to the start now and then;
+            // the old tree is spent once reparsed.
+            if (reparsed != null && edited.length < 3000) {
+                tree = reparsed;
+                current = edited;
+            } else if (reparsed != null || next(10) === 0) {
+                tree = parser.parse(source, { locations: true });
+                current = source;
+            }
+        }
+    });
+}
+
+test('a class declaration has its superclass, methods, accessors and fields', () => {
+    const [declaration] = new Parser().parse('class B extends A { static n = 1; x; def f(x) { return x; } get g() {} static def h() {} }').body;
+    assert.strictEqual(declaration.type, 'ClassDeclaration');
+    assert.strictEqual(declaration.superClass.name, 'A');
+    assert.deepStrictEqual(declaration.body.body.map(member => [member.type, member.key.name, member.kind, member.static]), [
+        ['ClassField', 'n', undefined, true],
+        ['ClassField', 'x', undefined, false],
+        ['MethodDefinition', 'f', 'method', false],
+        ['MethodDefinition', 'g', 'get', false],
+        ['MethodDefinition', 'h', 'method', true],
+    ]);
+    assert.deepStrictEqual(declaration.body.body[2].value.params.map(param => param.name), ['x']);
+    assert.throws(() => new Parser().parse('class A { get g(x) {} }'), /A getter takes no parameters/);
+    assert.throws(() => new Parser().parse('class A { set s() {} }'), /A setter takes exactly one parameter/);
+});
+
+test('with the locations option, nodes have their loc and range', () => {
+    const source = 'let a = 1;\nif (a) {\n    a = 2;\n}\n';
+    const program = new Parser().parse(source, { locations: true });
+    const ifStatement = program.body[1];
+    assert.deepStrictEqual(ifStatement.loc, { start: { line: 2, column: 0 }, end: { line: 4, column: 1 } });
+    assert.deepStrictEqual(ifStatement.range, [11, 32]);
+    const assignment = ifStatement.consequent.body[0].expression;
+    assert.deepStrictEqual(assignment.loc, { start: { line: 3, column: 4 }, end: { line: 3, column: 9 } });
+    assert.deepStrictEqual(program.range, [0, source.length]);
+    assert.strictEqual(new Parser().parse(source).body[1].loc, undefined);
+});
+
+test('a syntax error has the line and column where it occurred', () => {
+    assert.throws(() => new Parser().parse('let a = 1;\nlet = 2;'), error =>
+        error instanceof SyntaxError && / \(2:4\)$/.test(error.message) &&
+        error.pos === 15 && error.loc.line === 2 && error.loc.column === 4);
+    assert.throws(() => new Parser().parse('let a = 1;\n  @'), /Unexpected token: "@" \(2:2\)/);
+});
+
+test('the recover option reports every syntax error, with error nodes in place of the statements', () => {
+    const source = 'let a = ;\nlet b = 2;\nif (a { b = 1; }\nlet c = @ 3;\n';
+    const { ast, errors } = new Parser().parse(source, { recover: true, locations: true });
+    assert.deepStrictEqual(ast.body.map(node => node.type), ['ErrorNode', 'VariableStatement', 'ErrorNode', 'VariableStatement']);
+    assert.deepStrictEqual(errors.map(error => error.message), [
+        'Unexpected primary expression: ";" (1:8)',
+        'Unexpected token: "{", expected: ")" (3:6)',
+        'Unexpected token: "@" (4:8)',
+    ]);
+    assert.strictEqual(ast.body[0].message, errors[0].message);
+    assert.deepStrictEqual(ast.body[0].range, [0, 9]);
+    assert.deepStrictEqual(new Parser().parse('', { recover: true }), { ast: { type: 'Program', body: [] }, errors: [] });
+});
+
+test('with the comments option, comments are collected and attached to the nearest node', () => {
+    const source = '// lead\nlet a = 1; // trail\n/** Doc. */\ndef f() {\n    /* inner */\n}\n';
+    const program = new Parser().parse(source, { comments: true });
+    assert.deepStrictEqual(program.comments.map(({ kind, value }) => [kind, value]),
+        [['line', ' lead'], ['line', ' trail'], ['block', '* Doc. '], ['block', ' inner ']]);
+    assert.deepStrictEqual(program.comments[1].range, [19, 27]);
+    const [variable, fn] = program.body;
+    assert.deepStrictEqual(variable.leadingComments, [program.comments[0]]);
+    assert.deepStrictEqual(variable.trailingComments, [program.comments[1]]);
+    assert.strictEqual(fn.docComment, program.comments[2]);
+    assert.deepStrictEqual(fn.body.innerComments, [program.comments[3]]);
+    assert.deepStrictEqual(new Parser().parse(source), new Parser().parse(source.replace(/\/\/.*|\/\*.*\*\//g, '')));
+});
+
+test('the CST holds the productions, with the nodes they produced, and the tokens with their trivia', () => {
+    const cst = new Parser().parse('let a = 1; // one\n', { cst: true });
+    const statement = cst.children[0].children[0];
+    assert.deepStrictEqual([cst.kind, statement.kind, statement.node.type], ['Program', 'VariableStatement', 'VariableStatement']);
+    const semicolon = statement.children[1];
+    assert.deepStrictEqual([semicolon.kind, semicolon.value], ['Token', ';']);
+    assert.deepStrictEqual(semicolon.trailingTrivia.map(trivia => trivia.text), [' ', '// one', '\n']);
+});
+
+test('** is right-associative, and its base can\'t be a unary expression', () => {
+    const { init } = new Parser().parse('let x = 2 ** 3 ** 2;').body[0].declarations[0];
+    assert.deepStrictEqual([init.left.value, init.right.operator], [2, '**']);
+    assert.throws(() => new Parser().parse('-2 ** 2;'), /Unary operator used immediately before "\*\*"/);
+    assert.strictEqual(new Parser().parse('(-2) ** 2;').body[0].expression.left.type, 'UnaryExpression');
+});
+
+test('jumps are checked against their enclosing loops, switches and labels', () => {
+    const errors = {
+        'break;': '"break" outside of a loop or switch',
+        'while (a) { def f() { continue; } }': '"continue" outside of a loop',
+        'switch (a) { case 1: continue; }': '"continue" outside of a loop',
+        'while (a) break b;': 'Undefined label "b"',
+        'b: { while (a) continue b; }': '"continue" to label "b", which isn\'t a loop',
+        'b: b: while (a) break b;': 'Label "b" is already declared',
+        'switch (a) { default: default: }': 'More than one "default" clause in a switch',
+    };
+    for (const [source, message] of Object.entries(errors)) {
+        assert.throws(() => new Parser().parse(source), { name: 'SyntaxError', message: new RegExp(message) }, source);
+    }
+    assert.strictEqual(new Parser().parse('b: { switch (a) { case 1: break b; } }').body[0].type, 'LabeledStatement');
+});
+
+test('imports name the specifiers of a module, and exports wrap a declaration', () => {
+    const [named, namespace, exported] = new Parser().parse('import { a, b as c } from "./m"; import * as n from "./n"; export let x = 1;').body;
+    assert.deepStrictEqual(named.specifiers.map(({ imported, local }) => [imported.name, local.name]), [['a', 'a'], ['b', 'c']]);
+    assert.deepStrictEqual([namespace.specifiers[0].type, namespace.source.value], ['ImportNamespaceSpecifier', './n']);
+    assert.strictEqual(exported.declaration.type, 'VariableStatement');
+    assert.throws(() => new Parser().parse('export f();'), /"export" must be followed by a class, def or let declaration/);
+});
+
+test('only the last parameter may be a rest parameter', () => {
+    const [fn] = new Parser().parse('def f(a, b = a + 1, ...c) {}').body;
+    assert.deepStrictEqual(fn.params.map(param => param.type), ['Identifier', 'AssignmentPattern', 'RestElement']);
+    assert.throws(() => new Parser().parse('def f(...a, b) {}'), /A rest parameter must be the last parameter/);
+    assert.throws(() => new Parser().parse('def f(...a, ...b) {}'), /A function can only have one rest parameter/);
+    assert.throws(() => new Parser().parse('class A { set s(...v) {} }'), /A setter takes exactly one parameter/);
+});
+
+test('deeply nested expressions parse, with the CST productions out of the plain parse', () => {
+    const nested = `let x = ${'('.repeat(200)}1${')'.repeat(200)};`;
+    assert.strictEqual(new Parser().parse(nested).body[0].declarations[0].init.value, 1);
+    assert.strictEqual(CST.print(new Parser().parse('let x = ((1));', { cst: true })), 'let x = ((1));');
+});
+
+test('parenthesized expressions are told from arrow functions without scanning to their end', () => {
+    class CountingParser extends Parser {
+        _peek(n) {
+            this.peeks++;
+            return super._peek(n);
+        }
+    }
+    const parser = new CountingParser();
+    parser.peeks = 0;
+    parser.parse(`let x = ${'('.repeat(100)}1${')'.repeat(100)};`);
+    assert.ok(parser.peeks <= 100, `${parser.peeks} tokens peeked`);
+
+    const ast = new Parser().parse('let f = () => 1, g = (a, ...d) => a, h = ((a)) + (1);');
+    assert.deepStrictEqual(ast.body[0].declarations.map(declaration => declaration.init.type),
+        ['ArrowFunctionExpression', 'ArrowFunctionExpression', 'BinaryExpression']);
+});
+
+test('reparse reuses the statements after an edit, shifted in place, rather than copying them', () => {
+    const parser = new Parser();
+    const tree = parser.parse('let a = 1;\nlet b = 2;\nprint(b);\n', { locations: true });
+    const last = tree.body[2];
+    const reparsed = parser.reparse(tree, { offset: 8, deleteLength: 1, insertText: '10' });
+    assert.strictEqual(reparsed.body[2], last);
+    assert.deepStrictEqual(last.range, [23, 32]);
+    assert.deepStrictEqual(reparsed, parser.parse('let a = 10;\nlet b = 2;\nprint(b);\n', { locations: true }));
+    assert.throws(() => parser.reparse(tree, { offset: 0 }), /expects a Program returned by parse\(\) or reparse\(\)/);
+    assert.throws(() => parser.reparse(reparsed, { offset: 40 }), RangeError);
+});
+
+test('numbers may be decimal, with an exponent, prefixed or separated', () => {
+    const numbers = ['1.5', '.5', '1e3', '2.5E-2', '0x1F', '0b101', '0o17', '1_000'].map(raw => {
+        const { value } = new Parser().parse(`${raw};`).body[0].expression;
+        return value;
+    });
+    assert.deepStrictEqual(numbers, [1.5, 0.5, 1000, 0.025, 31, 5, 15, 1000]);
+    assert.strictEqual(new Parser().parse('0x1F;').body[0].expression.raw, '0x1F');
+    for (const [raw, reason] of [['1__0', 'numeric separators'], ['0x', 'hexadecimal digits'], ['1e', 'exponent'], ['01a', 'identifier']]) {
+        assert.throws(() => new Parser().parse(`${raw};`), new RegExp(`^SyntaxError: Invalid number "${raw}": .*${reason}.* \\(1:0\\)$`));
+    }
+});
+
+test('strings have their escapes processed, and templates their substitutions', () => {
+    const [string, template] = new Parser().parse('"a\\tb\\u0041\\n"; `a${b}c`;').body.map(statement => statement.expression);
+    assert.strictEqual(string.value, 'a\tbA\n');
+    assert.deepStrictEqual(template.quasis.map(quasi => [quasi.value.cooked, quasi.tail]), [['a', false], ['c', true]]);
+    assert.strictEqual(template.expressions[0].name, 'b');
+    assert.throws(() => new Parser().parse('"a\\q";'), /^SyntaxError: Invalid escape sequence: "\\q" \(1:2\)$/);
+    assert.throws(() => new Parser().parse('"abc'), /^SyntaxError: Unterminated string \(1:0\)$/);
+});
+
+test('a comment in a template substitution is attached to the expression before it', () => {
+    const ast = new Parser().parse('let s = `a${x /* c */}b${y}c`;', { comments: true });
+    const template = ast.body[0].declarations[0].init;
+    assert.deepStrictEqual(template.expressions[0].trailingComments.map(comment => comment.value), [' c ']);
+    assert.ok(template.quasis.every(quasi => quasi.trailingComments == null));
+});
+
+/**
+ * Checks that keywords are names after `.`, as property keys and as
+ * class members, but not shorthand properties.
+ */
+function assertKeywordNames(keywords) {
+    for (const keyword of keywords) {
+        const source = `p.${keyword}; let o = {${keyword}: 1, ${keyword}() {}};\n` +
+            `class A { ${keyword} = 1; static def ${keyword}() {} } class B { get ${keyword}() {} }`;
+        const names = [];
+        traverse(new Parser().parse(source), {
+            Identifier: path => names.push(path.node.name),
+        });
+        assert.strictEqual(names.filter(name => name === keyword).length, 6, source);
+        assert.throws(() => new Parser().parse(`let o = {${keyword}};`), /expected: ":"/);
+    }
+}
+
+test('the exception keywords are property and member names', () => {
+    assertKeywordNames(['try', 'catch', 'finally', 'throw']);
+});
+
+test('the switch and jump keywords are property and member names', () => {
+    assertKeywordNames(['default', 'case', 'switch', 'break', 'continue']);
+});
+
+test('the module keywords are property and member names', () => {
+    assertKeywordNames(['import', 'export']);
+});
+
+test('a statement in a class body is reported as such, though it starts with a keyword', () => {
+    for (const [source, column] of [['class A { if (x) {} }', 10], ['class A { return 1; }', 10], ['class A { static if (x) {} }', 17]]) {
+        assert.throws(() => new Parser().parse(source),
+            new RegExp(`^SyntaxError: Unexpected "\\w+" in class body, expected a method or a field \\(1:${column}\\)$`));
+    }
+    const ast = new Parser().parse('class A { default = 1; static import; }');
+    assert.deepStrictEqual(ast.body[0].body.body.map(member => member.key.name), ['default', 'import']);
+});
+
+test('an array or object literal on the left of = is a pattern, but not when parenthesized', () => {
+    assert.throws(() => new Parser().parse('([a]) = [1];'), /Invalid left-hand side in assignment expression \(1:0\)/);
+    assert.throws(() => new Parser().parse('({a}) = {a: 1};'), /Invalid left-hand side in assignment expression \(1:0\)/);
+    assert.throws(() => new Parser().parse('[([a])] = [[1]];'), /Invalid destructuring assignment target \(1:1\)/);
+    const ast = new Parser().parse('(a) = 1; [(o.x), {y: (b)}] = [1, {y: 2}]; ({c} = {c: 3});');
+    assert.deepStrictEqual(ast.body.map(statement => statement.expression.left.type),
+        ['Identifier', 'ArrayPattern', 'ObjectPattern']);
+});
+
+test('patterns are checked where they start', () => {
+    const errors = {
+        'let [a];': 'Missing initializer in destructuring declaration',
+        'let [...a, b] = [];': 'A rest element must be last in a destructuring pattern',
+        'let {...[a]} = {};': 'The rest element of an object pattern must be an identifier',
+        'let o = { x = 1 };': 'A shorthand property initializer is only allowed in a destructuring pattern',
+    };
+    for (const [source, message] of Object.entries(errors)) {
+        assert.throws(() => new Parser().parse(source), { name: 'SyntaxError', message: new RegExp(message) }, source);
+    }
+    const [declaration] = new Parser().parse('let [a, , b = 1, ...c] = [], { d, e: [f], ...g } = {};').body[0].declarations;
+    assert.deepStrictEqual(declaration.id.elements.map(element => element && element.type),
+        ['Identifier', null, 'AssignmentPattern', 'RestElement']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const { Repl, isComplete } = require('../Repl');
+
+/**
+ * Runs a REPL session on the input lines, returning its output.
+ */
+async function session(lines) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => {
+        text += chunk;
+    });
+    const done = new Repl({ input, output, historyFile: null }).start();
+    input.end(lines.map(line => line + '\n').join(''));
+    await done;
+    return text;
+}
+
+test('an entry is complete once its brackets balance and it parses', () => {
+    assert.strictEqual(isComplete('let a = 1;'), true);
+    assert.strictEqual(isComplete('def f() {'), false);
+    assert.strictEqual(isComplete('let a = 1'), false);
+    assert.strictEqual(isComplete('let = 1;'), true);
+});
+
+test('an entry continues over several lines, and shows its AST', async () => {
+    const output = await session(['def f() {', '}']);
+    assert.strictEqual(output, [
+        'Letter REPL. Type .help for help.',
+        '>>> ... (Program',
+        '  [',
+        '    (FunctionDeclaration',
+        '      (Identifier "f")',
+        '      []',
+        '      (BlockStatement',
+        '        []))',
+        '  ])',
+        '>>> ',
+    ].join('\n'));
+});
+
+test('the commands switch what is shown, and a syntax error is shown too', async () => {
+    const output = await session(['.tokens', 'a;', '.nope', 'let = 1;']);
+    assert.strictEqual(output, [
+        'Letter REPL. Type .help for help.',
+        '>>> Showing the tokens.',
+        '>>> 1:1  IDENTIFIER  "a"',
+        '1:2  ;           ";"',
+        '>>> Unknown command: .nope (type .help for help)',
+        '>>> 1:1  let            "let"',
+        '1:5  SIMPLE_ASSIGN  "="',
+        '1:7  NUMBER         "1"',
+        '1:8  ;              ";"',
+        'SyntaxError: Unexpected token: "=", expected: "IDENTIFIER" (1:4)',
+        '>>> ',
+    ].join('\n'));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Tokenizer } = require('../Tokenizer');
+
+/**
+ * All the tokens of a source.
+ */
+function tokens(source) {
+    const tokenizer = new Tokenizer();
+    tokenizer.init(source);
+    const list = [];
+    for (let token = tokenizer.getNextToken(); token != null; token = tokenizer.getNextToken()) {
+        list.push(token);
+    }
+    return list;
+}
+
+test('tokens have their offsets and line and column', () => {
+    const [, name] = tokens('a\n  bc');
+    assert.deepStrictEqual(name, {
+        type: 'IDENTIFIER',
+        value: 'bc',
+        start: 4,
+        end: 6,
+        loc: { start: { line: 2, column: 2 }, end: { line: 2, column: 4 } },
+    });
+});
+
+test('the comments option collects the comments, which are skipped all the same', () => {
+    const tokenizer = new Tokenizer();
+    tokenizer.init('a // one\n/* two */ b', { comments: true });
+    assert.deepStrictEqual([tokenizer.getNextToken().value, tokenizer.getNextToken().value], ['a', 'b']);
+    assert.deepStrictEqual(tokenizer.comments.map(comment => [comment.value, comment.start]), [['// one', 2], ['/* two */', 9]]);
+});
+
+test('each token is matched where the previous one ended', () => {
+    assert.deepStrictEqual(tokens('let a=b>=1&&!c;').map(token => [token.type, token.value]), [
+        ['let', 'let'], ['IDENTIFIER', 'a'], ['SIMPLE_ASSIGN', '='], ['IDENTIFIER', 'b'],
+        ['RELATIONAL_OPERATOR', '>='], ['NUMBER', '1'], ['LOGICAL_AND', '&&'], ['LOGICAL_NOT', '!'],
+        ['IDENTIFIER', 'c'], [';', ';'],
+    ]);
+    assert.deepStrictEqual(tokens('letter classy').map(token => token.type), ['IDENTIFIER', 'IDENTIFIER']);
+});
+
+test('a long run of comments and whitespace is skipped without recursing', () => {
+    const [token] = tokens('// comment\n'.repeat(1e5) + 'end');
+    assert.deepStrictEqual([token.value, token.loc.start.line], ['end', 1e5 + 1]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Parser } = require('../Parser');
+const { traverse } = require('../Traverse');
+const { Programs } = require('./programs');
+
+/**
+ * The AST of a source, without the locations.
+ */
+function ast(source) {
+    return new Parser().parse(source);
+}
+
+for (const [name, source] of Object.entries(Programs)) {
+    test(`every node of the ${name} program is entered and exited once`, () => {
+        const entered = [];
+        const exited = [];
+        traverse(ast(source), {
+            enter: path => entered.push(path.node),
+            exit: path => exited.push(path.node),
+        });
+        assert.strictEqual(new Set(entered).size, entered.length);
+        assert.deepStrictEqual(new Set(exited), new Set(entered));
+    });
+}
+
+test('the hooks of a node type see its parent, key and index', () => {
+    const calls = [];
+    traverse(ast('f(a, b);'), {
+        Identifier(path) {
+            calls.push([path.node.name, path.parent.type, path.key, path.index]);
+        },
+        CallExpression: {
+            exit(path) {
+                calls.push(['exit', path.findParent(parent => parent.node.type === 'Program').node.type]);
+            },
+        },
+    });
+    assert.deepStrictEqual(calls, [
+        ['f', 'CallExpression', 'callee', null],
+        ['a', 'CallExpression', 'arguments', 0],
+        ['b', 'CallExpression', 'arguments', 1],
+        ['exit', 'Program'],
+    ]);
+});
+
+test('a hook can skip the children, and replace, remove or insert nodes', () => {
+    const program = traverse(ast('a; b; def f() { c; } d;'), {
+        FunctionDeclaration(path) {
+            path.skip();
+        },
+        Identifier(path) {
+            if (path.node.name === 'a') {
+                path.replaceWith({ type: 'Identifier', name: 'x' });
+            } else if (path.node.name === 'c') {
+                path.node.name = 'skipped';
+            }
+        },
+        ExpressionStatement(path) {
+            if (path.node.expression.name === 'b') {
+                path.remove();
+            } else if (path.node.expression.name === 'd') {
+                path.insertBefore({ type: 'EmptyStatement' });
+                path.insertAfter({ type: 'EmptyStatement' });
+            }
+        },
+    });
+    assert.deepStrictEqual(program, ast('x; def f() { c; } ; d; ;'));
+});
+
+test('an unknown node type is an error', () => {
+    assert.throws(() => traverse({ type: 'Program', body: [{ type: 'Unknown' }] }, {}), /Unknown node type: "Unknown"/);
+});
@@ -0,0 +1,119 @@
+/**
+ * Sample Letter programs shared by the tests, covering the grammar.
+ */
+
+const Programs = {
+    classes: `// Points and their distance.
+class Point {
+    static count = 0;
+    x;
+    y = 0;
+
+    def constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        Point.count += 1;
+    }
+
+    get norm() {
+        return this.x ** 2 + this.y ** 2;
+    }
+
+    set norm(value) {
+        this.x = value;
+    }
+
+    static def origin() {
+        return new Point(0, 0);
+    }
+}
+
+class Point3D extends Point {
+    def constructor(x, y, z = 0) {
+        super(x, y);
+        this.z = z;
+    }
+
+    get norm() {
+        return super.norm + this.z ** 2; // with the depth
+    }
+}
+
+let p = new Point3D(1, 2, 3);
+let origin = Point.origin();
+print(p.norm, Point.count, origin.x);
+`,
+
+    statements: `def fib(n) {
+    if (n < 2) {
+        return n;
+    } else {
+        return fib(n - 1) + fib(n - 2);
+    }
+}
+
+let total = 0, i = 0;
+while (i < 10) {
+    total += fib(i);
+    i += 1;
+}
+
+do {
+    i -= 1;
+} while (i > 0 && total != 0);
+
+for (let j = 0; j < 3; j += 1) {
+    if (j == 1) continue;
+    total = total * 2;
+}
+
+outer: for (let a = 0; a < 3; a++) {
+    switch (a) {
+        case 0:
+            break;
+        case 1:
+            continue outer;
+        default:
+            break outer;
+    }
+}
+
+try {
+    throw "failed";
+} catch (error) {
+    print(error);
+} finally {
+    print(total, i);
+}
+`,
+
+    expressions: `/* Operators and literals. */
+let numbers = 0x1F + 0b101 + 0o17 + 1_000 + 2.5e3 + .5;
+let values = [1, , numbers, "a"];
+let object = { a: 1, "b": 2, [values[0]]: 3, method() {
+    return this.a;
+}, values };
+let bits = ~1 & 2 | 3 ^ 4 << 1 >> 2 >>> 1;
+let choice = bits > 1 && !false || -1 ? "yes" : "no";
+let count = 2 ** 3 ** 2 % 7;
+count++;
+--count;
+let square = x => x * x;
+let add = (a, b = 1, ...rest) => a + b + rest.length;
+let twice = def (f) {
+    return f(f(2));
+};
+let message = \`\${numbers} numbers, \${square(3)}\`;
+print(add(numbers), add(...[1, 2, 3, 4]), twice(square), choice, message, 'it\\'s');
+print(object.method(), object[1]++, object.values.length, count);
+let [first, , third = 3, ...others] = values;
+let { a, b: bee = 2, ...more } = { ...object, c: [...others] };
+[first, third] = [third, first];
+({ a, method: object.m } = object);
+print(first, third, others.length, a, bee, more.c[0]);
+`,
+};
+
+module.exports = {
+    Programs,
+}